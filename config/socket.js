@@ -0,0 +1,261 @@
+const socketio = require('socket.io');
+const Ride = require('../models/rideModel');
+const Session = require('../models/sessionModel');
+const { authenticateToken } = require('../middleware/auth');
+const driverLocation = require('../utils/driverLocation');
+const chat = require('../utils/chat');
+const eventBus = require('../utils/eventBus');
+const notifications = require('../utils/notifications');
+
+// Send a result back through a socket acknowledgement, if the client asked for one
+const reply = (callback, payload) => {
+  if (typeof callback === 'function') {
+    callback(payload);
+  }
+};
+
+// Load a ride and check the socket's user may act on it
+const findRideForUser = async (rideId, user) => {
+  const ride = await Ride.findById(rideId);
+
+  if (!ride) {
+    return { error: `Ride not found with id of ${rideId}` };
+  }
+
+  if (user.role !== 'admin' && !ride.hasParticipant(user._id)) {
+    return { error: 'Not authorized to access this ride' };
+  }
+
+  return { ride };
+};
+
+let io;
+
+// Disconnect sockets whose session was revoked or expired after the handshake
+const checkSessions = async () => {
+  const sockets = [...io.of('/').sockets.values()];
+
+  if (sockets.length === 0) {
+    return;
+  }
+
+  const sessions = await Session.find({ _id: { $in: sockets.map(socket => socket.authSession._id) } });
+  const active = new Set(sessions.filter(session => session.isActive).map(session => session.id));
+
+  sockets
+    .filter(socket => !active.has(socket.authSession.id))
+    .forEach(socket => socket.disconnect(true));
+};
+
+const initSocket = (server) => {
+  io = socketio(server, {
+    cors: {
+      origin: '*',
+      methods: ['GET', 'POST']
+    }
+  });
+
+  // Authenticate the handshake with the same access token as the REST API
+  // Clients send it as `auth: { token }` or a Bearer authorization header
+  io.use(async (socket, next) => {
+    let token = socket.handshake.auth && socket.handshake.auth.token;
+    const header = socket.handshake.headers.authorization;
+
+    if (!token && header && header.startsWith('Bearer')) {
+      token = header.split(' ')[1];
+    }
+
+    try {
+      const { user, session } = await authenticateToken(token);
+
+      socket.user = user;
+      socket.authSession = session;
+
+      next();
+    } catch (err) {
+      next(new Error(err.message || 'Not authorized'));
+    }
+  });
+
+  // Relay events published by controllers and services
+  eventBus.on('publish', ({ rooms, event, payload }) => {
+    io.to(rooms).emit(event, payload);
+  });
+
+  // Users who leave or are taken off a ride stop receiving its room's events
+  eventBus.on('leave', ({ rooms, room }) => {
+    io.in(rooms).socketsLeave(room);
+  });
+
+  // Sessions are checked again while connected, so logging out or revoking
+  // a session also ends its sockets
+  const sessionCheckSeconds = parseInt(process.env.SOCKET_SESSION_CHECK_SECONDS, 10) || 60;
+
+  setInterval(() => {
+    checkSessions().catch(err => console.error(`Session check failed: ${err.message}`));
+  }, sessionCheckSeconds * 1000).unref();
+
+  // Socket.io connection
+  io.on('connection', (socket) => {
+    const { user } = socket;
+
+    console.log(`User ${user.id} connected`);
+
+    // Every connection of a user receives their personal events
+    socket.join(`user_${user.id}`);
+
+    // Join a ride room
+    socket.on('joinRide', async (rideId, callback) => {
+      try {
+        const { error } = await findRideForUser(rideId, user);
+
+        if (error) {
+          return reply(callback, { success: false, error });
+        }
+
+        socket.join(`ride_${rideId}`);
+        console.log(`User ${user.id} joined ride_${rideId}`);
+
+        reply(callback, { success: true });
+      } catch (err) {
+        reply(callback, { success: false, error: 'Could not join ride' });
+      }
+    });
+
+    // Leave a ride room
+    socket.on('leaveRide', (rideId, callback) => {
+      socket.leave(`ride_${rideId}`);
+      console.log(`User ${user.id} left ride_${rideId}`);
+
+      reply(callback, { success: true });
+    });
+
+    // Update driver location
+    socket.on('updateDriverLocation', async (data, callback) => {
+      // data = { rideId, location: { lat, lng } }
+      try {
+        if (user.role !== 'driver' || !data || !data.location) {
+          return reply(callback, { success: false, error: 'Only drivers can update location' });
+        }
+
+        const position = driverLocation.parseCoords(data.location);
+
+        if (!position) {
+          return reply(callback, {
+            success: false,
+            error: 'Please provide a latitude between -90 and 90 and a longitude between -180 and 180'
+          });
+        }
+
+        // Without a ride this is just a heartbeat
+        if (!data.rideId) {
+          await driverLocation.updateDriverLocation(user._id, position);
+          return reply(callback, { success: true });
+        }
+
+        const ride = await Ride.findById(data.rideId);
+
+        // Only the assigned driver of an active ride may broadcast its position
+        if (!ride || !ride.driver || !ride.driver.equals(user._id)) {
+          return reply(callback, { success: false, error: 'Not authorized to update location for this ride' });
+        }
+
+        if (ride.status !== 'assigned' && ride.status !== 'started') {
+          return reply(callback, { success: false, error: `Cannot update location for ${ride.status} ride` });
+        }
+
+        ride.driverLocation = {
+          type: 'Point',
+          coordinates: [position.lng, position.lat],
+          lastUpdated: Date.now()
+        };
+        await ride.save();
+
+        await driverLocation.updateDriverLocation(user._id, position);
+
+        io.to(`ride_${data.rideId}`).emit('driverLocationUpdated', position);
+
+        await notifications.checkDriverArriving(ride);
+
+        reply(callback, { success: true });
+      } catch (err) {
+        console.error(`Error: ${err.message}`);
+        reply(callback, { success: false, error: 'Could not update location' });
+      }
+    });
+
+    // New message in chat, stored and relayed by the chat service
+    socket.on('sendMessage', async (data, callback) => {
+      // data = { rideId, text }
+      try {
+        const text = data && (data.text || data.message);
+
+        if (!text) {
+          return reply(callback, { success: false, error: 'Please provide a message text' });
+        }
+
+        const { ride, error } = await findRideForUser(data.rideId, user);
+
+        if (error) {
+          return reply(callback, { success: false, error });
+        }
+
+        const message = await chat.postMessage(ride, user, text);
+
+        reply(callback, { success: true, data: message });
+      } catch (err) {
+        reply(callback, { success: false, error: 'Could not send message' });
+      }
+    });
+
+    // Mark chat messages as read
+    socket.on('markRead', async (data, callback) => {
+      // data = { rideId, upTo }
+      try {
+        const { ride, error } = await findRideForUser(data && data.rideId, user);
+
+        if (error) {
+          return reply(callback, { success: false, error });
+        }
+
+        const receipt = await chat.markRead(ride, user, data.upTo);
+
+        reply(callback, { success: true, data: receipt });
+      } catch (err) {
+        reply(callback, { success: false, error: 'Could not mark messages as read' });
+      }
+    });
+
+    // Typing indicator, only relayed within rooms the user has joined
+    socket.on('typing', (data) => {
+      // data = { rideId, isTyping }
+      const room = `ride_${data && data.rideId}`;
+
+      if (!socket.rooms.has(room)) {
+        return;
+      }
+
+      socket.to(room).emit('userTyping', {
+        rideId: data.rideId,
+        userId: user.id,
+        name: user.name,
+        isTyping: Boolean(data.isTyping)
+      });
+    });
+
+    // Disconnect
+    socket.on('disconnect', () => {
+      console.log(`User ${user.id} disconnected`);
+    });
+  });
+
+  return io;
+};
+
+// Get the Socket.io server, or undefined before initSocket has run
+const getIO = () => io;
+
+module.exports = {
+  initSocket,
+  getIO
+};
@@ -1,12 +1,26 @@
 const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
+const { sendSms } = require('../utils/sms');
+const { sendEmail } = require('../utils/mailer');
+const promotions = require('../utils/promotions');
 
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
 exports.register = asyncHandler(async (req, res, next) => {
-  const { name, email, phone, password, role } = req.body;
+  const { name, email, phone, password, role, referralCode } = req.body;
+  
+  // Credit whoever invited the new user after their first ride
+  let referrer;
+  if (referralCode) {
+    referrer = await User.findOne({ referralCode: String(referralCode).trim().toUpperCase() });
+    
+    if (!referrer) {
+      return next(new ErrorResponse('Referral code is not valid', 400));
+    }
+  }
   
   // Create user
   const user = await User.create({
@@ -14,10 +28,18 @@ exports.register = asyncHandler(async (req, res, next) => {
     email,
     phone,
     password,
-    role: role || 'passenger'
+    role: role || 'passenger',
+    referredBy: referrer ? referrer._id : undefined
   });
   
-  sendTokenResponse(user, 201, res);
+  // Registration succeeds even if the verification email cannot be sent
+  try {
+    await sendEmailVerification(user, req);
+  } catch (err) {
+    console.error(err);
+  }
+  
+  await sendTokenResponse(user, 201, req, res);
 });
 
 // @desc    Login user
@@ -45,13 +67,119 @@ exports.login = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Invalid credentials', 401));
   }
   
-  sendTokenResponse(user, 200, res);
+  await sendTokenResponse(user, 200, req, res);
 });
 
-// @desc    Log user out / clear cookie
+// @desc    Refresh access token
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = asyncHandler(async (req, res, next) => {
+  const parsed = Session.parseRefreshToken(req.body.refreshToken);
+  
+  if (!parsed) {
+    return next(new ErrorResponse('Please provide a valid refresh token', 400));
+  }
+  
+  const session = await Session.findById(parsed.sessionId).select('+refreshToken +previousRefreshToken');
+  
+  if (!session || !session.isActive) {
+    return next(new ErrorResponse('Session has expired or been revoked', 401));
+  }
+  
+  const match = session.matchRefreshToken(parsed.secret);
+  
+  // A rotated token being used again means it leaked, so end the session
+  if (match === 'previous') {
+    session.revokedAt = Date.now();
+    await session.save();
+    
+    return next(new ErrorResponse('Refresh token has already been used, session revoked', 401));
+  }
+  
+  if (!match) {
+    return next(new ErrorResponse('Invalid refresh token', 401));
+  }
+  
+  const user = await User.findById(session.user);
+  
+  if (!user) {
+    return next(new ErrorResponse('Invalid refresh token', 401));
+  }
+  
+  const refreshToken = session.rotateRefreshToken();
+  await session.save();
+  
+  res.status(200).json({
+    success: true,
+    token: user.getSignedJwtToken(session._id),
+    refreshToken
+  });
+});
+
+// @desc    Log user out of the current session
 // @route   GET /api/auth/logout
 // @access  Private
 exports.logout = asyncHandler(async (req, res, next) => {
+  req.authSession.revokedAt = Date.now();
+  await req.authSession.save();
+  
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Log user out of all devices
+// @route   POST /api/auth/logoutall
+// @access  Private
+exports.logoutAll = asyncHandler(async (req, res, next) => {
+  await Session.revokeAllForUser(req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Get active sessions of current user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await Session.find({
+    user: req.user.id,
+    revokedAt: null,
+    expiresAt: { $gt: Date.now() }
+  }).sort('-lastUsedAt');
+  
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map(session => ({
+      id: session._id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.equals(req.authSession._id)
+    }))
+  });
+});
+
+// @desc    Revoke one session of current user
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findOne({ _id: req.params.id, user: req.user.id });
+  
+  if (!session) {
+    return next(new ErrorResponse(`Session not found with id of ${req.params.id}`, 404));
+  }
+  
+  session.revokedAt = Date.now();
+  await session.save();
+  
   res.status(200).json({
     success: true,
     data: {}
@@ -70,6 +198,32 @@ exports.getMe = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get referral code and referral progress
+// @route   GET /api/auth/referrals
+// @access  Private
+exports.getReferrals = asyncHandler(async (req, res, next) => {
+  const referralCode = await req.user.getReferralCode();
+  
+  const referred = await User.find({ referredBy: req.user.id })
+    .select('name createdAt referralRewardedAt')
+    .sort({ createdAt: -1 });
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      referralCode,
+      creditPerReferral: promotions.getReferralCredit(),
+      count: referred.length,
+      rewarded: referred.filter(user => user.referralRewardedAt).length,
+      referred: referred.map(user => ({
+        name: user.name,
+        joinedAt: user.createdAt,
+        rewardedAt: user.referralRewardedAt || null
+      }))
+    }
+  });
+});
+
 // @desc    Update user details
 // @route   PUT /api/auth/updatedetails
 // @access  Private
@@ -77,9 +231,19 @@ exports.updateDetails = asyncHandler(async (req, res, next) => {
   const fieldsToUpdate = {
     name: req.body.name,
     email: req.body.email,
-    phone: req.body.phone
+    phone: req.body.phone,
+    billing: req.body.billing
   };
   
+  // A new email or phone number has to be verified again
+  if (req.body.email && req.body.email !== req.user.email) {
+    fieldsToUpdate.isEmailVerified = false;
+  }
+  
+  if (req.body.phone && req.body.phone !== req.user.phone) {
+    fieldsToUpdate.isPhoneVerified = false;
+  }
+  
   const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
     new: true,
     runValidators: true
@@ -105,7 +269,10 @@ exports.updatePassword = asyncHandler(async (req, res, next) => {
   user.password = req.body.newPassword;
   await user.save();
   
-  sendTokenResponse(user, 200, res);
+  // Sign out every other device
+  await Session.revokeAllForUser(user._id);
+  
+  await sendTokenResponse(user, 200, req, res);
 });
 
 // @desc    Send verification code
@@ -115,14 +282,44 @@ exports.sendVerification = asyncHandler(async (req, res, next) => {
   const { phone } = req.body;
   
   // Check if user exists
-  const user = await User.findOne({ phone });
+  const user = await User.findOne({ phone }).select('+phoneOtpSentAt');
   
   if (!user) {
     return next(new ErrorResponse('User not found with this phone number', 404));
   }
   
-  // In real app, implement OTP generation and SMS sending here
-  // For demo purposes, we'll just return a success message
+  if (user.isPhoneVerified) {
+    return next(new ErrorResponse('Phone number is already verified', 400));
+  }
+  
+  // Enforce resend cooldown
+  const cooldown = (parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS, 10) || 60) * 1000;
+  const sinceLastSent = user.phoneOtpSentAt ? Date.now() - user.phoneOtpSentAt.getTime() : Infinity;
+  
+  if (sinceLastSent < cooldown) {
+    const wait = Math.ceil((cooldown - sinceLastSent) / 1000);
+    return next(new ErrorResponse(`Please wait ${wait} seconds before requesting a new code`, 429));
+  }
+  
+  // Generate OTP
+  const code = user.getPhoneOtp();
+  
+  await user.save({ validateBeforeSave: false });
+  
+  try {
+    await sendSms({
+      to: user.phone,
+      message: `Your CabPool verification code is ${code}. It expires in ${parseInt(process.env.OTP_EXPIRE_MINUTES, 10) || 10} minutes.`
+    });
+  } catch (err) {
+    console.error(err);
+    
+    user.clearPhoneOtp();
+    user.phoneOtpSentAt = undefined;
+    await user.save({ validateBeforeSave: false });
+    
+    return next(new ErrorResponse('Verification code could not be sent', 500));
+  }
   
   res.status(200).json({
     success: true,
@@ -136,18 +333,46 @@ exports.sendVerification = asyncHandler(async (req, res, next) => {
 exports.verifyPhone = asyncHandler(async (req, res, next) => {
   const { phone, code } = req.body;
   
+  if (!phone || !code) {
+    return next(new ErrorResponse('Please provide a phone number and verification code', 400));
+  }
+  
   // Check if user exists
-  const user = await User.findOne({ phone });
+  const user = await User.findOne({ phone }).select('+phoneOtp +phoneOtpExpire +phoneOtpAttempts');
   
   if (!user) {
     return next(new ErrorResponse('User not found with this phone number', 404));
   }
   
-  // In real app, validate OTP here
-  // For demo purposes, we'll just update the user
+  if (!user.phoneOtp || !user.phoneOtpExpire || user.phoneOtpExpire.getTime() < Date.now()) {
+    return next(new ErrorResponse('Verification code is invalid or has expired', 400));
+  }
+  
+  // Limit attempts per code; each attempt is counted atomically before the code is
+  // compared, so parallel guesses cannot all see the same count
+  const maxAttempts = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+  
+  const counted = await User.updateOne(
+    { _id: user._id, phoneOtp: user.phoneOtp, phoneOtpAttempts: { $lt: maxAttempts } },
+    { $inc: { phoneOtpAttempts: 1 } }
+  );
+  
+  if (counted.modifiedCount === 0) {
+    await User.updateOne(
+      { _id: user._id, phoneOtp: user.phoneOtp },
+      { $unset: { phoneOtp: '', phoneOtpExpire: '' }, phoneOtpAttempts: 0 }
+    );
+    
+    return next(new ErrorResponse('Too many attempts, please request a new code', 429));
+  }
+  
+  if (!user.matchPhoneOtp(code)) {
+    return next(new ErrorResponse('Invalid verification code', 400));
+  }
   
   user.isPhoneVerified = true;
-  await user.save();
+  user.clearPhoneOtp();
+  await user.save({ validateBeforeSave: false });
   
   res.status(200).json({
     success: true,
@@ -155,14 +380,154 @@ exports.verifyPhone = asyncHandler(async (req, res, next) => {
   });
 });
 
-// Helper function to get token from model, create cookie and send response
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = user.getSignedJwtToken();
+// @desc    Forgot password
+// @route   POST /api/auth/forgotpassword
+// @access  Public
+exports.forgotPassword = asyncHandler(async (req, res, next) => {
+  const user = await User.findOne({ email: req.body.email });
+  
+  if (!user) {
+    return next(new ErrorResponse('There is no user with that email', 404));
+  }
+  
+  // Get reset token
+  const resetToken = user.getResetPasswordToken();
+  
+  await user.save({ validateBeforeSave: false });
+  
+  // Create reset url
+  const resetUrl = `${req.protocol}://${req.get('host')}/api/auth/resetpassword/${resetToken}`;
+  
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'Password reset',
+      text: `You are receiving this email because you (or someone else) has requested the reset of a password. Please make a PUT request to:\n\n${resetUrl}`
+    });
+  } catch (err) {
+    console.error(err);
+    
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+    
+    return next(new ErrorResponse('Email could not be sent', 500));
+  }
+  
+  res.status(200).json({
+    success: true,
+    message: 'Password reset email sent'
+  });
+});
+
+// @desc    Reset password
+// @route   PUT /api/auth/resetpassword/:token
+// @access  Public
+exports.resetPassword = asyncHandler(async (req, res, next) => {
+  if (!req.body.password) {
+    return next(new ErrorResponse('Please provide a new password', 400));
+  }
+  
+  const user = await User.findOne({
+    resetPasswordToken: User.hashToken(req.params.token),
+    resetPasswordExpire: { $gt: Date.now() }
+  });
+  
+  if (!user) {
+    return next(new ErrorResponse('Invalid or expired token', 400));
+  }
+  
+  // Set new password
+  user.password = req.body.password;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  await user.save();
+  
+  // Sign out every device that used the old password
+  await Session.revokeAllForUser(user._id);
+  
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    Send email verification link
+// @route   POST /api/auth/sendemailverification
+// @access  Private
+exports.sendEmailVerificationLink = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  
+  if (user.isEmailVerified) {
+    return next(new ErrorResponse('Email is already verified', 400));
+  }
+  
+  try {
+    await sendEmailVerification(user, req);
+  } catch (err) {
+    console.error(err);
+    
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+    
+    return next(new ErrorResponse('Email could not be sent', 500));
+  }
+  
+  res.status(200).json({
+    success: true,
+    message: 'Verification email sent'
+  });
+});
+
+// @desc    Verify email
+// @route   GET /api/auth/verifyemail/:token
+// @access  Public
+exports.verifyEmail = asyncHandler(async (req, res, next) => {
+  const user = await User.findOne({
+    emailVerificationToken: User.hashToken(req.params.token),
+    emailVerificationExpire: { $gt: Date.now() }
+  });
+  
+  if (!user) {
+    return next(new ErrorResponse('Invalid or expired token', 400));
+  }
+  
+  user.isEmailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+  
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully'
+  });
+});
+
+// Helper function to create an email verification token and mail the link
+const sendEmailVerification = async (user, req) => {
+  const verificationToken = user.getEmailVerificationToken();
+  
+  await user.save({ validateBeforeSave: false });
+  
+  const verifyUrl = `${req.protocol}://${req.get('host')}/api/auth/verifyemail/${verificationToken}`;
+  
+  await sendEmail({
+    to: user.email,
+    subject: 'Verify your email',
+    text: `Please confirm your email address by opening:\n\n${verifyUrl}`
+  });
+};
+
+// Helper function to start a session, get tokens from model and send response
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  // Create session with its refresh token
+  const { session, refreshToken } = await Session.createForUser(user, req);
+  
+  // Create access token
+  const token = user.getSignedJwtToken(session._id);
   
   res.status(statusCode).json({
     success: true,
     token,
+    refreshToken,
     user: {
       id: user._id,
       name: user.name,
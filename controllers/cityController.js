@@ -1,7 +1,9 @@
 const City = require('../models/cityModel');
 const Landmark = require('../models/landmarkModel');
+const FareRule = require('../models/fareRuleModel');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
+const pricing = require('../utils/pricing');
 
 // @desc    Get all cities
 // @route   GET /api/cities
@@ -42,7 +44,18 @@ exports.createCity = asyncHandler(async (req, res, next) => {
 // @route   PUT /api/cities/:id
 // @access  Private/Admin
 exports.updateCity = asyncHandler(async (req, res, next) => {
-  const city = await City.findByIdAndUpdate(req.params.id, req.body, {
+  const { invoicing, ...fields } = req.body;
+  
+  // Update invoicing settings one by one so the invoice counter is kept
+  if (invoicing) {
+    ['prefix', 'legalName', 'gstin', 'gstRate'].forEach(key => {
+      if (invoicing[key] !== undefined) {
+        fields[`invoicing.${key}`] = invoicing[key];
+      }
+    });
+  }
+  
+  const city = await City.findByIdAndUpdate(req.params.id, fields, {
     new: true,
     runValidators: true
   });
@@ -74,6 +87,7 @@ exports.deleteCity = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Cannot delete city with existing landmarks`, 400));
   }
   
+  await FareRule.deleteOne({ city: city._id });
   await city.deleteOne();
   
   res.status(200).json({
@@ -110,3 +124,72 @@ exports.getCityLandmarks = asyncHandler(async (req, res, next) => {
     data: landmarks
   });
 });
+
+// @desc    Get city fare rule and current surge
+// @route   GET /api/cities/:id/fares
+// @access  Private/Admin
+exports.getCityFares = asyncHandler(async (req, res, next) => {
+  const city = await City.findById(req.params.id);
+  
+  if (!city) {
+    return next(new ErrorResponse(`City not found with id of ${req.params.id}`, 404));
+  }
+  
+  const fareRule = await FareRule.findOne({ city: city._id });
+  const { rule, surgeMultiplier, demand } = await pricing.getPricing(city._id);
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      isDefault: !fareRule,
+      rule,
+      surgeMultiplier,
+      demand
+    }
+  });
+});
+
+// @desc    Create or update city fare rule
+// @route   PUT /api/cities/:id/fares
+// @access  Private/Admin
+exports.updateCityFares = asyncHandler(async (req, res, next) => {
+  const city = await City.findById(req.params.id);
+  
+  if (!city) {
+    return next(new ErrorResponse(`City not found with id of ${req.params.id}`, 404));
+  }
+  
+  const fareRule = await FareRule.findOneAndUpdate(
+    { city: city._id },
+    { ...req.body, city: city._id },
+    {
+      new: true,
+      upsert: true,
+      runValidators: true,
+      setDefaultsOnInsert: true
+    }
+  );
+  
+  res.status(200).json({
+    success: true,
+    data: fareRule
+  });
+});
+
+// @desc    Delete city fare rule (revert to default fares)
+// @route   DELETE /api/cities/:id/fares
+// @access  Private/Admin
+exports.deleteCityFares = asyncHandler(async (req, res, next) => {
+  const fareRule = await FareRule.findOne({ city: req.params.id });
+  
+  if (!fareRule) {
+    return next(new ErrorResponse(`No fare rule found for city with id of ${req.params.id}`, 404));
+  }
+  
+  await fareRule.deleteOne();
+  
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -1,6 +1,17 @@
 const User = require('../models/userModel');
+const Payout = require('../models/payoutModel');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
+const locationUtils = require('../utils/locationUtils');
+const driverLocation = require('../utils/driverLocation');
+const cancellationPolicy = require('../utils/cancellationPolicy');
+const ledger = require('../utils/ledger');
+const earnings = require('../utils/earnings');
+const eventBus = require('../utils/eventBus');
+const storage = require('../utils/storage');
+const driverVerification = require('../utils/driverVerification');
+const DriverDocument = require('../models/driverDocumentModel');
+const VerificationLog = require('../models/verificationLogModel');
 
 // @desc    Get driver details
 // @route   GET /api/drivers/:id
@@ -20,6 +31,9 @@ exports.getDriverDetails = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Vehicle fields that are checked when a driver is verified
+const REVIEWED_VEHICLE_FIELDS = ['vehicleNumber', 'vehicleType', 'seatingCapacity'];
+
 // @desc    Update driver details
 // @route   PUT /api/drivers/me
 // @access  Private/Driver
@@ -30,11 +44,13 @@ exports.updateDriverDetails = asyncHandler(async (req, res, next) => {
   }
   
   const allowedFields = {
+    'driverDetails.city': req.body['driverDetails.city'],
     'driverDetails.vehicleNumber': req.body['driverDetails.vehicleNumber'],
     'driverDetails.vehicleModel': req.body['driverDetails.vehicleModel'],
     'driverDetails.vehicleColor': req.body['driverDetails.vehicleColor'],
     'driverDetails.vehicleYear': req.body['driverDetails.vehicleYear'],
-    'driverDetails.isAvailable': req.body['driverDetails.isAvailable']
+    'driverDetails.vehicleType': req.body['driverDetails.vehicleType'],
+    'driverDetails.seatingCapacity': req.body['driverDetails.seatingCapacity']
   };
   
   // Filter out undefined fields
@@ -45,14 +61,38 @@ exports.updateDriverDetails = asyncHandler(async (req, res, next) => {
       return obj;
     }, {});
   
+  // Dispatch trusts the vehicle on file, so a verified driver who changes it needs a new review
+  const changedVehicleFields = REVIEWED_VEHICLE_FIELDS.filter(field => {
+    const value = req.body[`driverDetails.${field}`];
+    return value !== undefined && String(value) !== String(req.user.driverDetails[field]);
+  });
+  const needsReview = req.user.driverDetails.isVerified && changedVehicleFields.length > 0;
+  
+  if (needsReview) {
+    Object.assign(fieldsToUpdate, {
+      'driverDetails.isVerified': false,
+      'driverDetails.isAvailable': false,
+      'driverDetails.verification.status': 'pending',
+      'driverDetails.verification.submittedAt': Date.now()
+    });
+  }
+  
   const driver = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
     new: true,
     runValidators: true
   });
   
+  if (needsReview) {
+    await driverVerification.recordEvent(req.user._id, 'submitted', {
+      reason: 'Vehicle details changed',
+      details: { changed: changedVehicleFields }
+    });
+  }
+  
   res.status(200).json({
     success: true,
-    data: driver
+    data: driver,
+    ...(needsReview && { message: 'Vehicle details changed. Pending admin approval.' })
   });
 });
 
@@ -71,6 +111,19 @@ exports.setAvailability = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Only drivers can update availability`, 403));
   }
   
+  // A position sent along must be a real one
+  const hasPosition = req.body.lat !== undefined || req.body.lng !== undefined;
+  const position = hasPosition ? driverLocation.parseCoords(req.body) : null;
+  
+  if (hasPosition && !position) {
+    return next(new ErrorResponse('Please provide a latitude between -90 and 90 and a longitude between -180 and 180', 400));
+  }
+  
+  // Suspended drivers cannot go available until the suspension ends
+  if (isAvailable && cancellationPolicy.isSuspended(req.user)) {
+    return next(new ErrorResponse(`Driver account is suspended until ${req.user.driverDetails.suspendedUntil.toISOString()}`, 403));
+  }
+  
   const driver = await User.findByIdAndUpdate(
     req.user.id,
     { 'driverDetails.isAvailable': isAvailable },
@@ -80,15 +133,47 @@ exports.setAvailability = asyncHandler(async (req, res, next) => {
     }
   );
   
+  // Going available with a position counts as a heartbeat
+  if (isAvailable && position) {
+    driver.location = await driverLocation.updateDriverLocation(req.user.id, position);
+  }
+  
   res.status(200).json({
     success: true,
     data: driver
   });
 });
 
-// @desc    Submit driver verification
+// @desc    Driver location heartbeat
+// @route   PUT /api/drivers/heartbeat
+// @access  Private/Driver
+exports.heartbeat = asyncHandler(async (req, res, next) => {
+  const position = driverLocation.parseCoords(req.body);
+  
+  if (!position) {
+    return next(new ErrorResponse('Please provide a latitude between -90 and 90 and a longitude between -180 and 180', 400));
+  }
+  
+  // Check if user is a driver
+  if (req.user.role !== 'driver') {
+    return next(new ErrorResponse(`Only drivers can send location updates`, 403));
+  }
+  
+  const location = await driverLocation.updateDriverLocation(req.user.id, position);
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      ...position,
+      lastUpdated: location.lastUpdated
+    }
+  });
+});
+
+// @desc    Submit driver verification with document uploads
 // @route   POST /api/drivers/verify
 // @access  Private/Driver
+// @files   license, rc, insurance, photo (JPEG, PNG or PDF)
 exports.submitVerification = asyncHandler(async (req, res, next) => {
   const {
     licenseNumber,
@@ -96,11 +181,13 @@ exports.submitVerification = asyncHandler(async (req, res, next) => {
     vehicleNumber,
     vehicleModel,
     vehicleColor,
-    vehicleYear
+    vehicleYear,
+    vehicleType,
+    seatingCapacity
   } = req.body;
   
   // Check if all required fields are provided
-  if (!licenseNumber || !licenseExpiry || !vehicleNumber || !vehicleModel || !vehicleColor || !vehicleYear) {
+  if (!licenseNumber || !licenseExpiry || !vehicleNumber || !vehicleModel || !vehicleColor || !vehicleYear || !vehicleType || !seatingCapacity) {
     return next(new ErrorResponse('Please provide all required fields', 400));
   }
   
@@ -109,17 +196,35 @@ exports.submitVerification = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Only drivers can submit verification`, 403));
   }
   
-  // In a real app, you would handle document uploads and verification process
-  // For now, we'll just update the driver's details
+  const expiry = new Date(licenseExpiry);
+  
+  if (isNaN(expiry.getTime()) || expiry.getTime() <= Date.now()) {
+    return next(new ErrorResponse('Please provide a licence expiry date in the future', 400));
+  }
+  
+  // Every document must be uploaded now or kept from an earlier submission
+  const current = await driverVerification.getCurrentDocuments(req.user._id);
+  const files = req.files || {};
+  const missing = driverVerification.DOCUMENT_TYPES.filter(type => !files[type] && !current[type]);
+  
+  if (missing.length > 0) {
+    return next(new ErrorResponse(`Please upload these documents: ${missing.join(', ')}`, 400));
+  }
+  
+  const uploaded = await driverVerification.saveDocuments(req.user._id, files);
   
   const fieldsToUpdate = {
     'driverDetails.licenseNumber': licenseNumber,
-    'driverDetails.licenseExpiry': new Date(licenseExpiry),
+    'driverDetails.licenseExpiry': expiry,
     'driverDetails.vehicleNumber': vehicleNumber,
     'driverDetails.vehicleModel': vehicleModel,
     'driverDetails.vehicleColor': vehicleColor,
     'driverDetails.vehicleYear': parseInt(vehicleYear),
-    'driverDetails.isVerified': false // Set to false until admin approves
+    'driverDetails.vehicleType': vehicleType,
+    'driverDetails.seatingCapacity': parseInt(seatingCapacity),
+    'driverDetails.isVerified': false, // Set to false until admin approves
+    'driverDetails.verification.status': 'pending',
+    'driverDetails.verification.submittedAt': Date.now()
   };
   
   const driver = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
@@ -127,6 +232,15 @@ exports.submitVerification = asyncHandler(async (req, res, next) => {
     runValidators: true
   });
   
+  await driverVerification.recordEvent(req.user._id, 'submitted', {
+    details: {
+      licenseNumber,
+      licenseExpiry: expiry,
+      vehicleNumber,
+      documents: uploaded.map(document => document._id)
+    }
+  });
+  
   res.status(200).json({
     success: true,
     data: driver,
@@ -134,6 +248,87 @@ exports.submitVerification = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get a driver's verification status, documents and history
+// @route   GET /api/drivers/:id/verification
+// @access  Private (the driver or admin)
+exports.getVerification = asyncHandler(async (req, res, next) => {
+  if (req.user.role !== 'admin' && req.user.id !== req.params.id) {
+    return next(new ErrorResponse(`Not authorized to access this driver's verification`, 403));
+  }
+  
+  const driver = await User.findById(req.params.id).select('name email phone role driverDetails');
+  
+  if (!driver || driver.role !== 'driver') {
+    return next(new ErrorResponse(`Driver not found with id of ${req.params.id}`, 404));
+  }
+  
+  const history = await VerificationLog.find({ driver: driver._id })
+    .populate('by', 'name')
+    .sort({ createdAt: -1 });
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      driver,
+      verification: driver.driverDetails.verification,
+      documents: await driverVerification.getCurrentDocuments(driver._id),
+      history
+    }
+  });
+});
+
+// @desc    Download a driver document
+// @route   GET /api/drivers/:id/documents/:documentId
+// @access  Private (the driver or admin)
+exports.getDocument = asyncHandler(async (req, res, next) => {
+  if (req.user.role !== 'admin' && req.user.id !== req.params.id) {
+    return next(new ErrorResponse(`Not authorized to access this driver's documents`, 403));
+  }
+  
+  const document = await DriverDocument.findOne({
+    _id: req.params.documentId,
+    driver: req.params.id
+  });
+  
+  if (!document) {
+    return next(new ErrorResponse(`Document not found with id of ${req.params.documentId}`, 404));
+  }
+  
+  const file = await storage.readFile(document.key);
+  
+  res.attachment(document.filename || `${document.type}${driverVerification.CONTENT_TYPES[document.contentType] || ''}`);
+  res.type(document.contentType || 'application/octet-stream').send(file);
+});
+
+// @desc    Get driver verifications waiting for review, oldest first
+// @route   GET /api/drivers/verifications
+// @access  Private/Admin
+// @params  status (pending by default)
+exports.getVerificationQueue = asyncHandler(async (req, res, next) => {
+  const { status = 'pending' } = req.query;
+  
+  const drivers = await User.find({
+    role: 'driver',
+    'driverDetails.verification.status': status
+  })
+    .select('name email phone driverDetails createdAt')
+    .sort({ 'driverDetails.verification.submittedAt': 1 });
+  
+  const documents = await DriverDocument.find({
+    driver: { $in: drivers.map(driver => driver._id) },
+    status: 'current'
+  }).select('driver type filename contentType size createdAt');
+  
+  res.status(200).json({
+    success: true,
+    count: drivers.length,
+    data: drivers.map(driver => ({
+      ...driver.toJSON(),
+      documents: documents.filter(document => document.driver.equals(driver._id))
+    }))
+  });
+});
+
 // @desc    Approve driver verification (admin only)
 // @route   PUT /api/drivers/:id/approve
 // @access  Private/Admin
@@ -149,8 +344,85 @@ exports.approveDriver = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Driver not found with id of ${req.params.id}`, 404));
   }
   
-  driver.driverDetails.isVerified = true;
-  await driver.save();
+  if (driver.driverDetails.verification.status !== 'pending') {
+    return next(new ErrorResponse(`Verification cannot be approved in ${driver.driverDetails.verification.status} status`, 400));
+  }
+  
+  const { licenseExpiry } = driver.driverDetails;
+  
+  if (!licenseExpiry || licenseExpiry.getTime() <= Date.now()) {
+    return next(new ErrorResponse('The driving licence has expired', 400));
+  }
+  
+  const current = await driverVerification.getCurrentDocuments(driver._id);
+  const missing = driverVerification.DOCUMENT_TYPES.filter(type => !current[type]);
+  
+  if (missing.length > 0) {
+    return next(new ErrorResponse(`Driver has not uploaded these documents: ${missing.join(', ')}`, 400));
+  }
+  
+  // Claim the review so two admins cannot both act on it
+  const approved = await User.findOneAndUpdate(
+    { _id: driver._id, 'driverDetails.verification.status': 'pending' },
+    {
+      'driverDetails.isVerified': true,
+      'driverDetails.verification.status': 'approved',
+      'driverDetails.verification.reviewedAt': Date.now()
+    },
+    { new: true }
+  );
+  
+  if (!approved) {
+    return next(new ErrorResponse('This verification has already been reviewed', 400));
+  }
+  
+  await driverVerification.recordEvent(driver._id, 'approved', {
+    by: req.user._id,
+    reason: req.body.reason,
+    details: { documents: Object.values(current).map(document => document._id) }
+  });
+  await driverVerification.notifyDriver(driver._id, 'approved', req.body.reason);
+  
+  res.status(200).json({
+    success: true,
+    data: approved
+  });
+});
+
+// @desc    Reject driver verification, or revoke an approval
+// @route   PUT /api/drivers/:id/reject
+// @access  Private/Admin
+exports.rejectDriver = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body;
+  
+  if (!reason) {
+    return next(new ErrorResponse('Please provide a rejection reason', 400));
+  }
+  
+  const driver = await User.findOneAndUpdate(
+    {
+      _id: req.params.id,
+      role: 'driver',
+      'driverDetails.verification.status': { $in: ['pending', 'approved'] }
+    },
+    {
+      'driverDetails.isVerified': false,
+      'driverDetails.isAvailable': false,
+      'driverDetails.verification.status': 'rejected',
+      'driverDetails.verification.reviewedAt': Date.now()
+    },
+    { new: true }
+  );
+  
+  if (!driver) {
+    return next(new ErrorResponse(`No pending or approved driver verification found with id of ${req.params.id}`, 404));
+  }
+  
+  await driverVerification.recordEvent(driver._id, 'rejected', {
+    by: req.user._id,
+    reason
+  });
+  await driverVerification.notifyDriver(driver._id, 'rejected', reason);
   
   res.status(200).json({
     success: true,
@@ -185,23 +457,276 @@ exports.getNearbyDrivers = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Please provide latitude and longitude', 400));
   }
   
-  // Calculate radius in radians
-  const radius = distance / 6371;
+  const drivers = await User.aggregate([
+    {
+      $geoNear: {
+        near: {
+          type: 'Point',
+          coordinates: [parseFloat(lng), parseFloat(lat)]
+        },
+        distanceField: 'distance',
+        maxDistance: parseFloat(distance) * 1000, // km to meters
+        spherical: true,
+        query: driverLocation.availableDriverFilter()
+      }
+    },
+    {
+      $project: {
+        name: 1,
+        profileImage: 1,
+        rating: 1,
+        driverDetails: 1,
+        location: 1,
+        distance: 1
+      }
+    }
+  ]);
   
-  const drivers = await User.find({
-    role: 'driver',
-    'driverDetails.isVerified': true,
-    'driverDetails.isAvailable': true,
-    location: {
-      $geoWithin: {
-        $centerSphere: [[parseFloat(lng), parseFloat(lat)], radius]
+  // Convert distance to km and add ETA to pickup point
+  const driversWithEta = drivers.map(driver => {
+    const km = driver.distance / 1000;
+    
+    return {
+      ...driver,
+      distance: parseFloat(km.toFixed(2)),
+      eta: locationUtils.estimateDuration(km)
+    };
+  });
+  
+  res.status(200).json({
+    success: true,
+    count: driversWithEta.length,
+    data: driversWithEta
+  });
+});
+
+// Earnings still available for a new payout request
+// Payouts approved but not yet recorded in the ledger are still reserved
+const getAvailableEarnings = async (driverId, currency) => {
+  const balance = await ledger.getBalance('driver_earnings', driverId, { currency });
+  
+  const [pending] = await Payout.aggregate([
+    {
+      $match: {
+        driver: driverId,
+        currency,
+        $or: [
+          { status: 'pending' },
+          { status: 'approved', transaction: { $exists: false } }
+        ]
       }
+    },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+  
+  const pendingPayouts = pending ? pending.amount : 0;
+  const available = Math.round((balance - pendingPayouts) * 100) / 100;
+  
+  return {
+    balance,
+    pendingPayouts,
+    available: Math.max(0, available),
+    overdrawn: available < 0
+  };
+};
+
+// @desc    Get earnings balance and recent statements
+// @route   GET /api/drivers/me/earnings
+// @access  Private/Driver
+// @params  period (weekly or monthly), count
+exports.getMyEarnings = asyncHandler(async (req, res, next) => {
+  const { period = 'weekly' } = req.query;
+  const count = Math.min(parseInt(req.query.count, 10) || 4, 24);
+  
+  if (!earnings.PERIODS.includes(period)) {
+    return next(new ErrorResponse(`Period must be one of ${earnings.PERIODS.join(', ')}`, 400));
+  }
+  
+  const currency = await earnings.getCurrency(req.user);
+  const { overdrawn, ...available } = await getAvailableEarnings(req.user._id, currency);
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      ...available,
+      currency,
+      commissionRate: ledger.getCommissionRate(),
+      statements: await earnings.getSummaries(req.user._id, period, count, currency)
     }
-  }).select('name profileImage rating driverDetails location');
+  });
+});
+
+// @desc    Get an earnings statement as JSON, CSV or PDF
+// @route   GET /api/drivers/me/earnings/statement
+// @access  Private/Driver
+// @params  period (weekly or monthly), date, format (json, csv or pdf)
+exports.getEarningsStatement = asyncHandler(async (req, res, next) => {
+  const { period = 'weekly', format = 'json' } = req.query;
+  const date = req.query.date ? new Date(req.query.date) : new Date();
+  
+  if (!earnings.PERIODS.includes(period)) {
+    return next(new ErrorResponse(`Period must be one of ${earnings.PERIODS.join(', ')}`, 400));
+  }
+  
+  if (isNaN(date.getTime())) {
+    return next(new ErrorResponse('Please provide a valid date', 400));
+  }
+  
+  const currency = await earnings.getCurrency(req.user);
+  const statement = await earnings.getStatement(req.user._id, period, date, currency);
+  const filename = `earnings-${period}-${statement.start.toISOString().slice(0, 10)}`;
+  
+  if (format === 'csv') {
+    res.attachment(`${filename}.csv`);
+    return res.type('text/csv').send(earnings.toCsv(statement));
+  }
+  
+  if (format === 'pdf') {
+    res.attachment(`${filename}.pdf`);
+    return res.type('application/pdf').send(earnings.toPdf(statement, req.user));
+  }
   
   res.status(200).json({
     success: true,
-    count: drivers.length,
-    data: drivers
+    data: statement
+  });
+});
+
+// @desc    Request a payout of earnings
+// @route   POST /api/drivers/me/payouts
+// @access  Private/Driver
+exports.requestPayout = asyncHandler(async (req, res, next) => {
+  const amount = parseFloat(req.body.amount);
+  const { destination } = req.body;
+  const minimum = parseFloat(process.env.PAYOUT_MINIMUM_AMOUNT) || 100;
+  
+  if (!(amount >= minimum)) {
+    return next(new ErrorResponse(`Payouts must be at least ${minimum}`, 400));
+  }
+  
+  const currency = await earnings.getCurrency(req.user);
+  
+  // Reserve the amount first and check what is left after, so concurrent
+  // requests cannot reserve the same earnings
+  const payout = await Payout.create({
+    driver: req.user.id,
+    amount,
+    currency,
+    destination
+  });
+  
+  const { balance, pendingPayouts, overdrawn } = await getAvailableEarnings(req.user._id, currency);
+  
+  if (overdrawn) {
+    await Payout.deleteOne({ _id: payout._id });
+    const available = Math.max(0, Math.round((balance - pendingPayouts + amount) * 100) / 100);
+    return next(new ErrorResponse(`Only ${available} is available for payout`, 400));
+  }
+  
+  res.status(201).json({
+    success: true,
+    data: payout
+  });
+});
+
+// @desc    Get my payout requests
+// @route   GET /api/drivers/me/payouts
+// @access  Private/Driver
+exports.getMyPayouts = asyncHandler(async (req, res, next) => {
+  const payouts = await Payout.find({ driver: req.user.id }).sort({ createdAt: -1 });
+  
+  res.status(200).json({
+    success: true,
+    count: payouts.length,
+    data: payouts
+  });
+});
+
+// @desc    Get payout requests
+// @route   GET /api/drivers/payouts
+// @access  Private/Admin
+exports.getPayouts = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+// @desc    Approve a payout request and send the money
+// @route   PUT /api/drivers/payouts/:id/approve
+// @access  Private/Admin
+exports.approvePayout = asyncHandler(async (req, res, next) => {
+  // Claim the request so it cannot be paid twice
+  const payout = await Payout.findOneAndUpdate(
+    { _id: req.params.id, status: 'pending' },
+    { status: 'approved', reviewedBy: req.user.id, reviewedAt: Date.now() },
+    { new: true }
+  );
+  
+  if (!payout) {
+    return next(new ErrorResponse(`No pending payout found with id of ${req.params.id}`, 404));
+  }
+  
+  try {
+    const transaction = await ledger.payout(payout.driver, payout.amount, {
+      currency: payout.currency,
+      destination: payout.destination,
+      createdBy: req.user.id
+    });
+    
+    payout.transaction = transaction._id;
+    await payout.save();
+  } catch (err) {
+    await Payout.updateOne(
+      { _id: payout._id },
+      { status: 'pending', $unset: { reviewedBy: 1, reviewedAt: 1 } }
+    );
+    throw err;
+  }
+  
+  eventBus.toUser(payout.driver, 'payoutUpdated', {
+    payoutId: payout._id,
+    status: payout.status,
+    amount: payout.amount
+  });
+  
+  res.status(200).json({
+    success: true,
+    data: payout
+  });
+});
+
+// @desc    Reject a payout request
+// @route   PUT /api/drivers/payouts/:id/reject
+// @access  Private/Admin
+exports.rejectPayout = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body;
+  
+  if (!reason) {
+    return next(new ErrorResponse('Please provide a rejection reason', 400));
+  }
+  
+  const payout = await Payout.findOneAndUpdate(
+    { _id: req.params.id, status: 'pending' },
+    {
+      status: 'rejected',
+      rejectionReason: reason,
+      reviewedBy: req.user.id,
+      reviewedAt: Date.now()
+    },
+    { new: true }
+  );
+  
+  if (!payout) {
+    return next(new ErrorResponse(`No pending payout found with id of ${req.params.id}`, 404));
+  }
+  
+  eventBus.toUser(payout.driver, 'payoutUpdated', {
+    payoutId: payout._id,
+    status: payout.status,
+    amount: payout.amount,
+    reason
+  });
+  
+  res.status(200).json({
+    success: true,
+    data: payout
   });
 });
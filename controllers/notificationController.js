@@ -0,0 +1,157 @@
+const Notification = require('../models/notificationModel');
+const User = require('../models/userModel');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const notifications = require('../utils/notifications');
+
+// @desc    Get my notifications with the unread count
+// @route   GET /api/notifications
+// @access  Private
+// @params  unread (true for unread only), page, limit
+exports.getNotifications = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 25;
+  const startIndex = (page - 1) * limit;
+
+  const query = { user: req.user._id };
+
+  if (req.query.unread === 'true') {
+    query.readAt = null;
+  }
+
+  const total = await Notification.countDocuments(query);
+  const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+  const items = await Notification.find(query)
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  const pagination = {};
+
+  if (startIndex + limit < total) {
+    pagination.next = { page: page + 1, limit };
+  }
+
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: items.length,
+    unreadCount,
+    pagination,
+    data: items
+  });
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+exports.markRead = asyncHandler(async (req, res, next) => {
+  const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!notification) {
+    return next(new ErrorResponse(`Notification not found with id of ${req.params.id}`, 404));
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = Date.now();
+    await notification.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: notification
+  });
+});
+
+// @desc    Mark all my notifications as read
+// @route   PUT /api/notifications/read
+// @access  Private
+exports.markAllRead = asyncHandler(async (req, res, next) => {
+  const result = await Notification.updateMany(
+    { user: req.user._id, readAt: null },
+    { readAt: Date.now() }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: { marked: result.modifiedCount }
+  });
+});
+
+// @desc    Get my notification channel preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+exports.getPreferences = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('notificationPreferences');
+
+  res.status(200).json({
+    success: true,
+    data: user.notificationPreferences
+  });
+});
+
+// @desc    Update my notification channel preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+exports.updatePreferences = asyncHandler(async (req, res, next) => {
+  const update = {};
+
+  for (const channel of Object.keys(notifications.channels)) {
+    if (req.body[channel] === undefined) {
+      continue;
+    }
+
+    if (typeof req.body[channel] !== 'boolean') {
+      return next(new ErrorResponse(`Preference ${channel} must be true or false`, 400));
+    }
+
+    update[`notificationPreferences.${channel}`] = req.body[channel];
+  }
+
+  const user = await User.findByIdAndUpdate(req.user.id, update, {
+    new: true,
+    runValidators: true
+  }).select('notificationPreferences');
+
+  res.status(200).json({
+    success: true,
+    data: user.notificationPreferences
+  });
+});
+
+// @desc    Register a device for push notifications
+// @route   POST /api/notifications/devices
+// @access  Private
+exports.addDevice = asyncHandler(async (req, res, next) => {
+  const { token } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    return next(new ErrorResponse('Please provide a device token', 400));
+  }
+
+  await User.findByIdAndUpdate(req.user.id, {
+    $addToSet: { pushTokens: token }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { token }
+  });
+});
+
+// @desc    Stop push notifications to a device
+// @route   DELETE /api/notifications/devices/:token
+// @access  Private
+exports.removeDevice = asyncHandler(async (req, res, next) => {
+  await User.findByIdAndUpdate(req.user.id, {
+    $pull: { pushTokens: req.params.token }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,107 @@
+const PromoCode = require('../models/promoCodeModel');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+
+// Fields admins can set; usedCount is only changed by bookings
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'maxDiscount',
+  'cities',
+  'validFrom',
+  'validUntil',
+  'usageLimit',
+  'perUserLimit',
+  'firstRideOnly',
+  'isActive'
+];
+
+const pickEditable = body => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) {
+    fields[key] = body[key];
+  }
+  return fields;
+}, {});
+
+// @desc    Get all promo codes
+// @route   GET /api/promos
+// @access  Private/Admin
+exports.getPromoCodes = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+// @desc    Get single promo code
+// @route   GET /api/promos/:id
+// @access  Private/Admin
+exports.getPromoCode = asyncHandler(async (req, res, next) => {
+  const promo = await PromoCode.findById(req.params.id);
+  
+  if (!promo) {
+    return next(new ErrorResponse(`Promo code not found with id of ${req.params.id}`, 404));
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: promo
+  });
+});
+
+// @desc    Create promo code
+// @route   POST /api/promos
+// @access  Private/Admin
+exports.createPromoCode = asyncHandler(async (req, res, next) => {
+  const promo = await PromoCode.create({
+    ...pickEditable(req.body),
+    createdBy: req.user.id
+  });
+  
+  res.status(201).json({
+    success: true,
+    data: promo
+  });
+});
+
+// @desc    Update promo code
+// @route   PUT /api/promos/:id
+// @access  Private/Admin
+exports.updatePromoCode = asyncHandler(async (req, res, next) => {
+  const promo = await PromoCode.findById(req.params.id);
+  
+  if (!promo) {
+    return next(new ErrorResponse(`Promo code not found with id of ${req.params.id}`, 404));
+  }
+  
+  // Save the document so the type, value and validity checks run
+  promo.set(pickEditable(req.body));
+  await promo.save();
+  
+  res.status(200).json({
+    success: true,
+    data: promo
+  });
+});
+
+// @desc    Delete promo code
+// @route   DELETE /api/promos/:id
+// @access  Private/Admin
+exports.deletePromoCode = asyncHandler(async (req, res, next) => {
+  const promo = await PromoCode.findById(req.params.id);
+  
+  if (!promo) {
+    return next(new ErrorResponse(`Promo code not found with id of ${req.params.id}`, 404));
+  }
+  
+  // Codes already used on bookings are kept so receipts and limits stay correct
+  if (promo.usedCount > 0) {
+    return next(new ErrorResponse('Promo code has been used, deactivate it instead', 400));
+  }
+  
+  await promo.deleteOne();
+  
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -2,10 +2,201 @@ const Ride = require('../models/rideModel');
 const User = require('../models/userModel');
 const Landmark = require('../models/landmarkModel');
 const City = require('../models/cityModel');
+const Quote = require('../models/quoteModel');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
 const locationUtils = require('../utils/locationUtils');
-const { v4: uuidv4 } = require('uuid');
+const poolMatcher = require('../utils/poolMatcher');
+const pricing = require('../utils/pricing');
+const driverLocation = require('../utils/driverLocation');
+const chat = require('../utils/chat');
+const eventBus = require('../utils/eventBus');
+const dispatcher = require('../utils/dispatcher');
+const routePlanner = require('../utils/routePlanner');
+const cancellationPolicy = require('../utils/cancellationPolicy');
+const ledger = require('../utils/ledger');
+const receipts = require('../utils/receipts');
+const promotions = require('../utils/promotions');
+const ratings = require('../utils/ratings');
+const booking = require('../utils/booking');
+const notifications = require('../utils/notifications');
+
+const {
+  activePassengers,
+  bookedSeats,
+  planRideDropoffs,
+  resplitFare,
+  removePassenger,
+  afterPassengerRemoved,
+  rideAudience,
+  fareSummary,
+  cancelPassenger
+} = booking;
+
+const idOf = ref => (ref && ref._id ? ref._id : ref);
+
+// Only show passengers their own ride PIN
+const hideOtherPins = (ride, userId) => {
+  ride.passengers.forEach(passenger => {
+    if (idOf(passenger.user).toString() !== userId) {
+      passenger.pin = undefined;
+    }
+  });
+  return ride;
+};
+
+// A user's entry on a ride; someone who left and rejoined also has an older cancelled one
+const findPassenger = (ride, userId) => {
+  const entries = ride.passengers.filter(p => idOf(p.user).toString() === String(userId));
+  return entries.find(p => p.status !== 'cancelled') || entries[entries.length - 1];
+};
+
+// Passengers the driver still has to pick up
+const isAwaitingPickup = passenger => ['pending', 'confirmed'].includes(passenger.status);
+
+// Mark a passenger as dropped off
+const markDroppedOff = (ride, passenger, userId) => {
+  passenger.status = 'completed';
+  passenger.dropoffTime = Date.now();
+  ride.logs.push({
+    action: 'passenger_dropped_off',
+    user: userId,
+    details: { passenger: passenger.user, fare: passenger.fare }
+  });
+};
+
+// Mark a ride as completed
+const markCompleted = (ride, userId) => {
+  ride.status = 'completed';
+  ride.completedAt = Date.now();
+  ride.logs.push({
+    action: 'ride_completed',
+    user: userId
+  });
+};
+
+// Charge a dropped off passenger's fare and credit the trip to passenger and driver stats
+const recordPassengerTrip = async (ride, passenger) => {
+  await ledger.chargeRide(ride, passenger);
+  
+  await User.findByIdAndUpdate(passenger.user, {
+    $inc: {
+      'stats.ridesCompleted': 1,
+      'stats.totalDistance': ride.estimatedDistance
+    }
+  });
+  
+  // Drivers earn the fares they carried before promo discounts, net of platform commission
+  const promoDiscount = passenger.promo ? passenger.promo.discount || 0 : 0;
+  await User.findByIdAndUpdate(ride.driver, {
+    $inc: { 'stats.totalEarnings': ledger.splitEarnings(passenger.fare + promoDiscount).net }
+  });
+  
+  await promotions.rewardReferral(passenger.user);
+  
+  await notifications.notifyRide(ride, 'rideCompleted', [passenger.user], {
+    fare: passenger.fare,
+    currency: ride.fare.currency
+  });
+  await notifications.notifyRide(ride, 'receiptReady', [passenger.user], {
+    receiptUrl: `/api/rides/${ride._id}/receipt`
+  });
+};
+
+// Credit a completed ride to driver and city stats
+const recordRideCompletion = async (ride) => {
+  const revenue = ride.passengers
+    .filter(passenger => passenger.status === 'completed')
+    .reduce((sum, passenger) => sum + passenger.fare, 0);
+  
+  await User.findByIdAndUpdate(ride.driver, {
+    $inc: {
+      'stats.ridesCompleted': 1,
+      'stats.totalDistance': ride.estimatedDistance
+    }
+  });
+  
+  await City.findByIdAndUpdate(ride.city, {
+    $inc: {
+      'stats.totalRides': 1,
+      'stats.totalRevenue': revenue
+    }
+  });
+  
+  eventBus.publishRide(ride, 'rideCompleted', {
+    completedAt: ride.completedAt,
+    fare: ride.fare
+  });
+};
+
+// Statuses in which passengers can still join or leave a ride
+const JOINABLE_STATUSES = ['pending', 'pooling', 'assigned'];
+
+// Seats a ride can hold: the assigned driver's vehicle, or the requested vehicle type
+const rideCapacity = async (ride) => {
+  if (ride.driver) {
+    const driver = await User.findById(ride.driver);
+    if (driver && driver.driverDetails && driver.driverDetails.seatingCapacity) {
+      return driver.driverDetails.seatingCapacity;
+    }
+  }
+  
+  return poolMatcher.capacityFor(ride.vehicleType);
+};
+
+// Seats still free in a ride's pool; every ride in the pool shares one vehicle
+const poolSeatsAvailable = async (ride) => {
+  const capacity = await rideCapacity(ride);
+  
+  if (!ride.poolId) {
+    return capacity - bookedSeats(ride);
+  }
+  
+  // Once assigned, the pool is the rides the driver took together
+  const statuses = ride.status === 'assigned' ? ['assigned'] : ['pending', 'pooling'];
+  
+  return capacity - await poolMatcher.countPoolSeats(ride.poolId, statuses);
+};
+
+// Vehicle type a ride will use: the assigned driver's, or the requested one
+const rideVehicleType = async (ride) => {
+  if (ride.driver) {
+    const driver = await User.findById(ride.driver);
+    if (driver && driver.driverDetails && driver.driverDetails.vehicleType) {
+      return driver.driverDetails.vehicleType;
+    }
+  }
+  
+  return ride.vehicleType;
+};
+
+// Take a join back off a ride, restoring the ride as it was before it
+const undoJoin = async (rideId, passengerId, before) => {
+  const ride = await Ride.findById(rideId);
+  
+  ride.passengers.pull(passengerId);
+  Object.assign(ride, before);
+  
+  await resplitFare(ride);
+  await ride.save();
+};
+
+// Validate a rating of a driver or passenger, returning {score, tags, comment} or {error}
+const parseRating = (body, rateeRole) => {
+  const score = Number(body.rating);
+  const tags = body.tags === undefined ? [] : body.tags;
+  const allowed = ratings.TAGS[rateeRole];
+  
+  if (!Number.isInteger(score) || score < 1 || score > 5) {
+    return { error: 'Please provide a valid rating between 1 and 5' };
+  }
+  
+  if (!Array.isArray(tags) || tags.some(tag => !allowed.includes(tag))) {
+    return { error: `Tags must be a list of ${allowed.join(', ')}` };
+  }
+  
+  return { score, tags, comment: body.comment };
+};
 
 // @desc    Get all rides
 // @route   GET /api/rides
@@ -31,7 +222,8 @@ exports.getRide = asyncHandler(async (req, res, next) => {
       path: 'passengers.user',
       select: 'name phone profileImage rating'
     })
-    .populate('city', 'name');
+    .populate('city', 'name')
+    .select('+passengers.pin');
   
   if (!ride) {
     return next(new ErrorResponse(`Ride not found with id of ${req.params.id}`, 404));
@@ -49,7 +241,208 @@ exports.getRide = asyncHandler(async (req, res, next) => {
   
   res.status(200).json({
     success: true,
-    data: ride
+    data: hideOtherPins(ride, req.user.id)
+  });
+});
+
+// @desc    Get the planned route of a ride with dropoff ETAs
+// @route   GET /api/rides/:id/route
+// @access  Private
+exports.getRideRoute = asyncHandler(async (req, res, next) => {
+  const ride = await Ride.findById(req.params.id);
+  
+  if (!ride) {
+    return next(new ErrorResponse(`Ride not found with id of ${req.params.id}`, 404));
+  }
+  
+  if (req.user.role !== 'admin' && !ride.hasParticipant(req.user.id)) {
+    return next(new ErrorResponse(`Not authorized to access this ride`, 403));
+  }
+  
+  const stops = routePlanner.getStopEtas(ride);
+  const lastStop = stops[stops.length - 1];
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      route: ride.route && ride.route.coordinates && ride.route.coordinates.length > 0
+        ? ride.route
+        : null,
+      totalDistance: lastStop ? lastStop.distance : 0,
+      totalDuration: lastStop ? lastStop.duration : 0,
+      stops,
+      myStop: stops.find(stop => stop.passenger && stop.passenger.toString() === req.user.id) || null
+    }
+  });
+});
+
+// @desc    Get a passenger's receipt for a ride as JSON, HTML or PDF
+// @route   GET /api/rides/:id/receipt
+// @access  Private
+// @params  format (json, html or pdf), passenger (admin only)
+exports.getRideReceipt = asyncHandler(async (req, res, next) => {
+  const { format = 'json' } = req.query;
+  
+  if (!['json', 'html', 'pdf'].includes(format)) {
+    return next(new ErrorResponse('Format must be one of json, html, pdf', 400));
+  }
+  
+  const ride = await Ride.findById(req.params.id)
+    .populate({
+      path: 'pickupLandmark',
+      select: 'name address location'
+    })
+    .populate({
+      path: 'driver',
+      select: 'name driverDetails'
+    });
+  
+  if (!ride) {
+    return next(new ErrorResponse(`Ride not found with id of ${req.params.id}`, 404));
+  }
+  
+  const userId = req.user.role === 'admin' && req.query.passenger
+    ? req.query.passenger
+    : req.user.id;
+  
+  const passenger = findPassenger(ride, userId);
+  
+  if (!passenger) {
+    return next(new ErrorResponse(`Not authorized to access this ride`, 403));
+  }
+  
+  if (passenger.status !== 'completed') {
+    return next(new ErrorResponse('A receipt is available once the passenger has been dropped off', 400));
+  }
+  
+  const customer = await User.findById(passenger.user);
+  const invoice = await receipts.issueInvoice(ride, passenger, customer);
+  const { receipt } = invoice;
+  
+  if (format === 'html') {
+    return res.status(200).type('html').send(receipts.toHtml(receipt));
+  }
+  
+  if (format === 'pdf') {
+    res.attachment(`receipt-${invoice.number}.pdf`);
+    return res.type('application/pdf').send(receipts.toPdf(receipt));
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: receipt
+  });
+});
+
+// @desc    Get fare estimate and quote
+// @route   GET /api/rides/estimate
+// @access  Private
+// @params  pickupLandmarkId, lat, lng, passengerCount, vehicleType, scheduledTime, promoCode
+exports.getFareEstimate = asyncHandler(async (req, res, next) => {
+  const {
+    pickupLandmarkId,
+    lat,
+    lng,
+    passengerCount = 1,
+    vehicleType = 'any',
+    promoCode
+  } = req.query;
+  
+  // Check if destination coordinates are provided
+  if (!lat || !lng) {
+    return next(new ErrorResponse('Please provide destination latitude and longitude', 400));
+  }
+  
+  const landmark = await Landmark.findById(pickupLandmarkId);
+  if (!landmark) {
+    return next(new ErrorResponse(`Landmark not found with id of ${pickupLandmarkId}`, 404));
+  }
+  
+  if (vehicleType !== 'any' && !booking.isVehicleTypeAllowed(landmark, vehicleType)) {
+    return next(new ErrorResponse(`Vehicle type ${vehicleType} is not allowed at this pickup landmark`, 400));
+  }
+  
+  const seatCapacity = poolMatcher.capacityFor(vehicleType);
+  const seats = parseInt(passengerCount, 10);
+  if (!(seats >= 1 && seats <= seatCapacity)) {
+    return next(new ErrorResponse(`Passenger count must be between 1 and ${seatCapacity}`, 400));
+  }
+  
+  const coordinates = [parseFloat(lng), parseFloat(lat)];
+  const distance = locationUtils.calculateDistance(
+    locationUtils.toLatLng(landmark.location.coordinates),
+    locationUtils.toLatLng(coordinates)
+  );
+  const durationInMinutes = locationUtils.estimateDuration(distance);
+  
+  // Price with the city's fare rule and current surge
+  const { rule, surgeMultiplier } = await pricing.getPricing(landmark.city);
+  const fareOptions = {
+    rule,
+    surgeMultiplier,
+    duration: durationInMinutes,
+    time: req.query.scheduledTime ? new Date(req.query.scheduledTime) : Date.now()
+  };
+  
+  const fareDetails = locationUtils.calculateFare(distance, seats, fareOptions);
+  
+  // What this booking pays: the per-seat share for each of its seats
+  const bookingFare = fareDetails.farePerPassenger * seats;
+  
+  // Projected fare per passenger if the vehicle fills up
+  const pooled = [];
+  for (let count = 1; count <= seatCapacity; count++) {
+    const pooledFare = locationUtils.calculateFare(distance, count, fareOptions);
+    pooled.push({
+      passengers: count,
+      farePerPassenger: pooledFare.farePerPassenger,
+      discount: pooledFare.discount
+    });
+  }
+  
+  // Discount the passenger's share with a promo code
+  let promo = null;
+  if (promoCode) {
+    const promoDoc = await promotions.findApplicable(promoCode, {
+      userId: req.user.id,
+      cityId: landmark.city
+    });
+    const discount = promotions.getDiscount(promoDoc, bookingFare);
+    
+    promo = {
+      code: promoDoc.code,
+      description: promoDoc.description,
+      discount,
+      fare: bookingFare - discount
+    };
+  }
+  
+  const quote = await Quote.create({
+    user: req.user.id,
+    pickupLandmark: landmark._id,
+    destination: { type: 'Point', coordinates },
+    passengerCount: seats,
+    vehicleType,
+    scheduledTime: req.query.scheduledTime ? fareOptions.time : undefined,
+    estimatedDistance: distance,
+    estimatedDuration: durationInMinutes,
+    fareDetails,
+    expiresAt: Date.now() + (parseInt(process.env.FARE_QUOTE_EXPIRE_MINUTES, 10) || 5) * 60 * 1000
+  });
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      quoteId: quote._id,
+      expiresAt: quote.expiresAt,
+      distance,
+      duration: durationInMinutes,
+      fare: fareDetails,
+      bookingFare,
+      solo: locationUtils.calculateFare(distance, 1, fareOptions),
+      pooled,
+      promo
+    }
   });
 });
 
@@ -66,135 +459,339 @@ exports.createRide = asyncHandler(async (req, res, next) => {
     pickupLandmarkId,
     destination,
     scheduledTime,
-    passengerCount = 1
+    passengerCount = 1,
+    vehicleType = 'any',
+    quoteId,
+    promoCode
   } = req.body;
   
+  // Outstanding fares must be paid before booking again
+  if (await ledger.hasOutstandingBalance(req.user.id)) {
+    return next(new ErrorResponse('Please top up your wallet to clear your outstanding balance', 402));
+  }
+  
   // Validate landmark
   const landmark = await Landmark.findById(pickupLandmarkId);
   if (!landmark) {
     return next(new ErrorResponse(`Landmark not found with id of ${pickupLandmarkId}`, 404));
   }
   
+  // Validate requested vehicle type against the pickup landmark
+  if (vehicleType !== 'any' && !booking.isVehicleTypeAllowed(landmark, vehicleType)) {
+    return next(new ErrorResponse(`Vehicle type ${vehicleType} is not allowed at this pickup landmark`, 400));
+  }
+  
+  // Validate seats against the requested vehicle
+  const seatCapacity = poolMatcher.capacityFor(vehicleType);
+  const seats = parseInt(passengerCount, 10);
+  if (!(seats >= 1 && seats <= seatCapacity)) {
+    return next(new ErrorResponse(`Passenger count must be between 1 and ${seatCapacity}`, 400));
+  }
+  
   // Validate destination coordinates
   if (!destination || !destination.location || !destination.location.coordinates) {
     return next(new ErrorResponse('Please provide destination coordinates', 400));
   }
   
-  // Calculate estimated distance and duration
-  const pickupCoords = {
-    lat: landmark.location.coordinates[1],
-    lng: landmark.location.coordinates[0]
-  };
+  // Calculate estimated distance, duration and fare
+  let { distance, duration: durationInMinutes, fareDetails } = await booking.estimateTrip(
+    landmark,
+    destination.location.coordinates,
+    seats,
+    scheduledTime
+  );
   
-  const destCoords = {
-    lat: destination.location.coordinates[1],
-    lng: destination.location.coordinates[0]
-  };
+  // Honour a fare quote from the estimate endpoint
+  const quote = quoteId ? await Quote.findById(quoteId) : null;
+  
+  if (quoteId) {
+    const isValidQuote = quote && quote.matchesBooking({
+      userId: req.user.id,
+      pickupLandmarkId: landmark._id,
+      coordinates: destination.location.coordinates,
+      passengerCount: seats,
+      vehicleType,
+      scheduledTime
+    });
+    
+    if (!isValidQuote) {
+      return next(new ErrorResponse('Fare quote is invalid or has expired, please request a new estimate', 400));
+    }
+    
+    distance = quote.estimatedDistance;
+    durationInMinutes = quote.estimatedDuration;
+    fareDetails = quote.fareDetails;
+  }
   
-  const distance = locationUtils.calculateDistance(pickupCoords, destCoords);
+  // Check the promo code before anything is booked
+  const promo = promoCode
+    ? await promotions.findApplicable(promoCode, { userId: req.user.id, cityId: landmark.city })
+    : null;
   
-  // Estimate duration (assume average speed of 40 km/h)
-  const durationInMinutes = Math.round((distance / 40) * 60);
+  // A quote books one ride only
+  if (quote && !(await quote.consume())) {
+    return next(new ErrorResponse('Fare quote has already been used, please request a new estimate', 400));
+  }
   
-  // Calculate fare
-  const fareDetails = locationUtils.calculateFare(distance, passengerCount);
+  const ride = await booking.bookRide({
+    userId: req.user.id,
+    landmark,
+    destination,
+    scheduledTime,
+    passengerCount: seats,
+    vehicleType,
+    distance,
+    duration: durationInMinutes,
+    fareDetails,
+    promo,
+    details: { quoteId }
+  });
   
-  // Generate a pool ID (in a real app, this would involve a matching algorithm)
-  // For now, we'll create a new pool for each booking
-  const poolId = uuidv4();
+  // Return response with ride details
+  const populatedRide = await Ride.findById(ride._id)
+    .populate({
+      path: 'pickupLandmark',
+      select: 'name address location'
+    })
+    .populate('city', 'name')
+    .select('+passengers.pin');
   
-  // Create the ride
-  const ride = await Ride.create({
-    pickupLandmark: landmark._id,
-    destination,
-    scheduledTime: new Date(scheduledTime),
-    estimatedDistance: distance,
-    estimatedDuration: durationInMinutes,
-    poolId,
-    city: landmark.city,
-    passengers: [
-      {
-        user: req.user.id,
-        fare: fareDetails.farePerPassenger
-      }
-    ],
-    fare: {
-      baseFare: fareDetails.baseFare,
-      distanceFare: fareDetails.distanceFare,
-      totalFare: fareDetails.totalFare,
-      discount: fareDetails.discount,
-      currency: fareDetails.currency
-    },
-    status: 'pending',
-    logs: [
-      {
-        action: 'ride_created',
-        user: req.user.id,
-        details: { fareDetails }
-      }
-    ]
-  });
-  
-  // Find potential matching rides for pooling
-  // This is a simplified implementation
-  const potentialMatches = await Ride.find({
-    _id: { $ne: ride._id },
-    status: 'pending',
-    poolId: { $ne: ride.poolId },
-    scheduledTime: {
-      $gte: new Date(new Date(scheduledTime).getTime() - 30 * 60000), // 30 min before
-      $lte: new Date(new Date(scheduledTime).getTime() + 30 * 60000)  // 30 min after
-    },
-    'pickupLandmark': landmark._id,
-    'destination.location': {
-      $near: {
-        $geometry: {
-          type: 'Point',
-          coordinates: destination.location.coordinates
-        },
-        $maxDistance: 3000 // 3 km in meters
-      }
-    }
-  }).limit(3);
+  res.status(201).json({
+    success: true,
+    data: populatedRide
+  });
+});
+
+// @desc    Get open pooled rides at a landmark that can still be joined
+// @route   GET /api/rides/pools
+// @access  Private
+// @params  landmarkId, seats
+exports.getJoinableRides = asyncHandler(async (req, res, next) => {
+  const { landmarkId } = req.query;
+  const seats = parseInt(req.query.seats, 10) || 1;
   
-  // If matches found, update them to the same pool
-  if (potentialMatches.length > 0) {
-    await Ride.updateMany(
-      { _id: { $in: potentialMatches.map(match => match._id) } },
-      { 
-        poolId: ride.poolId,
-        status: 'pooling',
-        $push: {
-          logs: {
-            action: 'ride_pooled',
-            user: req.user.id,
-            details: { poolId: ride.poolId }
-          }
-        }
-      }
-    );
+  if (!landmarkId) {
+    return next(new ErrorResponse('Please provide a pickup landmark', 400));
+  }
+  
+  const rides = await Ride.find({
+    pickupLandmark: landmarkId,
+    status: { $in: JOINABLE_STATUSES },
+    scheduledTime: { $gte: new Date() },
+    // Passengers who left a ride may join it again
+    passengers: { $not: { $elemMatch: { user: req.user.id, status: { $ne: 'cancelled' } } } }
+  })
+    .populate({
+      path: 'pickupLandmark',
+      select: 'name address location'
+    })
+    .sort({ scheduledTime: 1 });
+  
+  const data = [];
+  
+  for (const ride of rides) {
+    const seatsAvailable = await poolSeatsAvailable(ride);
     
-    // Update the current ride status to pooling
+    if (seatsAvailable >= seats) {
+      data.push({
+        _id: ride._id,
+        poolId: ride.poolId,
+        pickupLandmark: ride.pickupLandmark,
+        destination: ride.destination,
+        scheduledTime: ride.scheduledTime,
+        status: ride.status,
+        vehicleType: ride.vehicleType,
+        riders: activePassengers(ride).length,
+        seatsAvailable,
+        fare: ride.fare
+      });
+    }
+  }
+  
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data
+  });
+});
+
+// @desc    Join an open pooled ride
+// @route   POST /api/rides/:id/join
+// @access  Private/Passenger
+exports.joinRide = asyncHandler(async (req, res, next) => {
+  const { destination, pickupLandmarkId, vehicleType = 'any', passengerCount = 1 } = req.body;
+  const seats = parseInt(passengerCount, 10);
+  
+  if (!pickupLandmarkId) {
+    return next(new ErrorResponse('Please provide a pickup landmark', 400));
+  }
+  
+  const ride = await Ride.findById(req.params.id).populate('pickupLandmark', 'location');
+  
+  if (!ride) {
+    return next(new ErrorResponse(`Ride not found with id of ${req.params.id}`, 404));
+  }
+  
+  if (ride.pickupLandmark._id.toString() !== String(pickupLandmarkId)) {
+    return next(new ErrorResponse('This ride picks up at another landmark', 400));
+  }
+  
+  if (vehicleType !== 'any' && await rideVehicleType(ride) !== vehicleType) {
+    return next(new ErrorResponse(`This ride does not use a ${vehicleType}`, 400));
+  }
+  
+  if (!JOINABLE_STATUSES.includes(ride.status)) {
+    return next(new ErrorResponse(`Ride cannot be joined in ${ride.status} status`, 400));
+  }
+  
+  if (ride.passengers.some(p => p.user.toString() === req.user.id && p.status !== 'cancelled')) {
+    return next(new ErrorResponse('You are already a passenger of this ride', 400));
+  }
+  
+  // Outstanding fares must be paid before booking again
+  if (await ledger.hasOutstandingBalance(req.user.id)) {
+    return next(new ErrorResponse('Please top up your wallet to clear your outstanding balance', 402));
+  }
+  
+  const seatsAvailable = await poolSeatsAvailable(ride);
+  if (!(seats >= 1 && seats <= seatsAvailable)) {
+    return next(new ErrorResponse(`Only ${Math.max(0, seatsAvailable)} seats are available on this ride`, 400));
+  }
+  
+  if (destination && !(destination.location && destination.location.coordinates)) {
+    return next(new ErrorResponse('Please provide destination coordinates', 400));
+  }
+  
+  const before = {
+    status: ride.status,
+    estimatedDistance: ride.estimatedDistance,
+    estimatedDuration: ride.estimatedDuration
+  };
+  
+  ride.passengers.push({
+    user: req.user.id,
+    fare: 0,
+    seats,
+    destination: destination || undefined,
+    status: ride.status === 'assigned' ? 'confirmed' : 'pending',
+    pin: Ride.generatePin()
+  });
+  
+  // Nobody may be taken too far out of their way by the new dropoff
+  const plan = await planRideDropoffs(ride, ride.pickupLandmark);
+  
+  if (!plan.feasible) {
+    return next(new ErrorResponse('Your destination is too far off this ride\'s route', 400));
+  }
+  
+  ride.estimatedDistance = Math.max(ride.estimatedDistance, plan.totalDistance);
+  ride.estimatedDuration = locationUtils.estimateDuration(ride.estimatedDistance);
+  
+  if (ride.status === 'pending') {
     ride.status = 'pooling';
+  }
+  
+  await resplitFare(ride);
+  
+  ride.logs.push({
+    action: 'passenger_joined',
+    user: req.user.id,
+    details: { seats, fare: ride.fare.totalFare }
+  });
+  
+  // Save only if nobody else changed the ride since its seats were counted
+  ride.increment();
+  
+  try {
     await ride.save();
+  } catch (err) {
+    if (err.name === 'VersionError') {
+      return next(new ErrorResponse('The ride changed while you were joining, please try again', 409));
+    }
+    throw err;
   }
   
-  // Update landmark stats
-  await Landmark.findByIdAndUpdate(landmark._id, {
+  // A join to another ride of the pool may have taken the same seats meanwhile
+  if (await poolSeatsAvailable(ride) < 0) {
+    await undoJoin(ride._id, ride.passengers[ride.passengers.length - 1]._id, before);
+    return next(new ErrorResponse('The seats on this ride were just taken, please try again', 409));
+  }
+  
+  await routePlanner.planPoolRoute(ride.poolId);
+  
+  eventBus.publishRide(ride, 'passengerJoined', {
+    passenger: req.user._id,
+    ...fareSummary(ride)
+  });
+  
+  await Landmark.findByIdAndUpdate(ride.pickupLandmark._id, {
     $inc: { 'stats.pickupCount': 1 }
   });
   
-  // Return response with ride details
-  const populatedRide = await Ride.findById(ride._id)
+  const joinedRide = await Ride.findById(ride._id)
     .populate({
       path: 'pickupLandmark',
       select: 'name address location'
     })
-    .populate('city', 'name');
+    .populate('city', 'name')
+    .select('+passengers.pin');
   
-  res.status(201).json({
+  res.status(200).json({
     success: true,
-    data: populatedRide
+    data: hideOtherPins(joinedRide, req.user.id)
+  });
+});
+
+// @desc    Leave a pooled ride
+// @route   DELETE /api/rides/:id/leave
+// @access  Private/Passenger
+exports.leaveRide = asyncHandler(async (req, res, next) => {
+  const ride = await Ride.findById(req.params.id).populate('pickupLandmark', 'location');
+  
+  if (!ride) {
+    return next(new ErrorResponse(`Ride not found with id of ${req.params.id}`, 404));
+  }
+  
+  const passenger = ride.passengers.find(
+    p => p.user.toString() === req.user.id && p.status !== 'cancelled'
+  );
+  
+  if (!passenger) {
+    return next(new ErrorResponse('You are not a passenger of this ride', 400));
+  }
+  
+  if (!JOINABLE_STATUSES.includes(ride.status) || !isAwaitingPickup(passenger)) {
+    return next(new ErrorResponse(`Ride cannot be left in ${ride.status} status`, 400));
+  }
+  
+  const notifyRide = rideAudience(ride);
+  const fee = cancellationPolicy.getPassengerCancellationFee(ride, passenger);
+  
+  await removePassenger(ride, passenger, {
+    by: 'passenger',
+    reason: 'Left the ride',
+    fee
+  });
+  
+  ride.logs.push({
+    action: 'passenger_left',
+    user: req.user.id,
+    details: { seats: passenger.seats, fee }
+  });
+  
+  await ride.save();
+  
+  eventBus.publishRide(
+    { ...notifyRide, status: ride.status },
+    'passengerLeft',
+    { passenger: req.user._id, ...fareSummary(ride) }
+  );
+  
+  await afterPassengerRemoved(ride, passenger, req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    data: { cancellationFee: fee }
   });
 });
 
@@ -208,14 +805,15 @@ exports.cancelRide = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Please provide a cancellation reason', 400));
   }
   
-  const ride = await Ride.findById(req.params.id);
+  const ride = await Ride.findById(req.params.id).populate('pickupLandmark', 'location');
   
   if (!ride) {
     return next(new ErrorResponse(`Ride not found with id of ${req.params.id}`, 404));
   }
   
   // Check if user is authorized to cancel this ride
-  const isPassenger = ride.passengers.some(p => p.user.toString() === req.user.id);
+  const passenger = findPassenger(ride, req.user.id);
+  const isPassenger = Boolean(passenger);
   const isDriver = ride.driver && ride.driver.toString() === req.user.id;
   const isAdmin = req.user.role === 'admin';
   
@@ -228,39 +826,159 @@ exports.cancelRide = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Ride cannot be cancelled in ${ride.status} status`, 400));
   }
   
-  // If driver is cancelling, update only their status
+  if (ride.status === 'started' && !isAdmin) {
+    return next(new ErrorResponse(`Ride cannot be cancelled once it has started`, 400));
+  }
+  
+  if (isPassenger && !isAwaitingPickup(passenger)) {
+    return next(new ErrorResponse(`Booking cannot be cancelled in ${passenger.status} status`, 400));
+  }
+  
+  // A passenger only takes themselves off the ride
+  if (isPassenger) {
+    const fee = cancellationPolicy.getPassengerCancellationFee(ride, passenger);
+    
+    await cancelPassenger(ride, passenger, { by: 'passenger', reason, fee, userId: req.user.id });
+    
+    return res.status(200).json({
+      success: true,
+      cancellationFee: fee,
+      data: ride
+    });
+  }
+  
+  const notifyRide = rideAudience(ride);
+  let cancelledByAdmin = [];
+  
   if (isDriver) {
-    ride.status = 'pending'; // Reset to pending so another driver can accept
+    // Reset to pending so another driver can accept
+    ride.status = 'pending';
     ride.driver = undefined;
+    ride.driverArrivingAt = undefined;
+    ride.passengers.forEach(p => {
+      if (p.status === 'confirmed') {
+        p.status = 'pending';
+      }
+    });
     ride.logs.push({
       action: 'driver_cancelled',
       user: req.user.id,
       details: { reason }
     });
   } else {
-    // If passenger or admin is cancelling
+    // Admins cancel the whole ride without fees
     ride.status = 'cancelled';
     ride.cancellationReason = reason;
+    cancelledByAdmin = activePassengers(ride).filter(p => p.status !== 'completed');
+    cancelledByAdmin.forEach(p => {
+      p.status = 'cancelled';
+      p.cancellation = { by: 'admin', reason, fee: 0, cancelledAt: Date.now() };
+    });
     ride.logs.push({
       action: 'ride_cancelled',
       user: req.user.id,
       details: { reason }
     });
+  }
+  
+  await ride.save();
+  
+  eventBus.publishRide(
+    { ...notifyRide, status: ride.status },
+    isDriver ? 'driverCancelled' : 'rideCancelled',
+    { reason, cancelledBy: req.user.role }
+  );
+  eventBus.leaveRide(ride._id, isDriver ? [req.user.id] : undefined);
+  
+  if (isDriver) {
+    await cancellationPolicy.recordDriverCancellation(req.user.id);
     
-    // If cancelled by passenger, update their status
-    if (isPassenger) {
-      const passengerIndex = ride.passengers.findIndex(
-        p => p.user.toString() === req.user.id
-      );
-      
-      if (passengerIndex !== -1) {
-        ride.passengers[passengerIndex].status = 'cancelled';
-      }
+    // Driver dropped out, offer the ride to other drivers
+    await dispatcher.dispatch(ride);
+  } else {
+    await afterPassengerRemoved(ride, null, req.user.id);
+    
+    await notifications.notifyRide(ride, 'rideCancelled', [
+      ...cancelledByAdmin.map(p => p.user),
+      ...(ride.driver ? [ride.driver] : [])
+    ], { reason });
+    
+    // Nobody pays for a ride the platform cancelled
+    await ledger.refundRide(ride, { reason, createdBy: req.user.id });
+    
+    for (const cancelled of cancelledByAdmin) {
+      await promotions.release(cancelled);
     }
   }
   
+  res.status(200).json({
+    success: true,
+    cancellationFee: 0,
+    data: ride
+  });
+});
+
+// @desc    Mark a passenger who did not turn up as a no-show
+// @route   PUT /api/rides/:id/passengers/:userId/noshow
+// @access  Private/Driver
+exports.markNoShow = asyncHandler(async (req, res, next) => {
+  const ride = await Ride.findById(req.params.id).populate('pickupLandmark', 'location');
+  
+  if (!ride) {
+    return next(new ErrorResponse(`Ride not found with id of ${req.params.id}`, 404));
+  }
+  
+  // Check if user is the assigned driver
+  if (!ride.driver || ride.driver.toString() !== req.user.id) {
+    return next(new ErrorResponse(`Not authorized to update passengers of this ride`, 403));
+  }
+  
+  if (ride.status !== 'assigned' && ride.status !== 'started') {
+    return next(new ErrorResponse(`Passengers cannot be marked as no-shows in ${ride.status} status`, 400));
+  }
+  
+  const passenger = findPassenger(ride, req.params.userId);
+  
+  if (!passenger) {
+    return next(new ErrorResponse(`Passenger not found with id of ${req.params.userId}`, 404));
+  }
+  
+  if (!isAwaitingPickup(passenger)) {
+    return next(new ErrorResponse(`Passenger cannot be marked as a no-show in ${passenger.status} status`, 400));
+  }
+  
+  const noShowTime = cancellationPolicy.getNoShowTime(ride);
+  
+  if (Date.now() < noShowTime.getTime()) {
+    return next(new ErrorResponse(`Passengers can be marked as no-shows from ${noShowTime.toISOString()}`, 400));
+  }
+  
+  const notifyRide = rideAudience(ride);
+  const fee = cancellationPolicy.getNoShowFee(passenger);
+  
+  await removePassenger(ride, passenger, {
+    by: 'driver',
+    reason: 'Passenger did not show up',
+    fee,
+    noShow: true
+  });
+  
+  ride.logs.push({
+    action: 'passenger_no_show',
+    user: req.user.id,
+    details: { passenger: passenger.user, fee }
+  });
+  
   await ride.save();
   
+  eventBus.publishRide({ ...notifyRide, status: ride.status }, 'passengerNoShow', {
+    passenger: passenger.user,
+    ...fareSummary(ride)
+  });
+  eventBus.leaveRide(ride._id, ride.status === 'cancelled' ? undefined : [passenger.user]);
+  
+  await afterPassengerRemoved(ride, passenger, req.user.id);
+  
   res.status(200).json({
     success: true,
     data: ride
@@ -282,37 +1000,75 @@ exports.acceptRide = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Driver account is not verified`, 403));
   }
   
-  const ride = await Ride.findById(req.params.id);
+  if (cancellationPolicy.isSuspended(driver)) {
+    return next(new ErrorResponse(`Driver account is suspended until ${driver.driverDetails.suspendedUntil.toISOString()}`, 403));
+  }
+  
+  const ride = await Ride.findById(req.params.id);
+  
+  if (!ride) {
+    return next(new ErrorResponse(`Ride not found with id of ${req.params.id}`, 404));
+  }
+  
+  // Check if ride can be accepted
+  if (ride.status !== 'pending' && ride.status !== 'pooling') {
+    return next(new ErrorResponse(`Ride cannot be accepted in ${ride.status} status`, 400));
+  }
+  
+  // Check the driver's vehicle against the pickup landmark and the booking
+  const { vehicleType, seatingCapacity } = driver.driverDetails;
+  
+  if (!vehicleType || !seatingCapacity) {
+    return next(new ErrorResponse(`Please add your vehicle type and seating capacity before accepting rides`, 400));
+  }
+  
+  const landmark = await Landmark.findById(ride.pickupLandmark);
+  if (landmark && !booking.isVehicleTypeAllowed(landmark, vehicleType)) {
+    return next(new ErrorResponse(`Vehicle type ${vehicleType} is not allowed at this pickup landmark`, 400));
+  }
   
-  if (!ride) {
-    return next(new ErrorResponse(`Ride not found with id of ${req.params.id}`, 404));
+  if (ride.vehicleType !== 'any' && ride.vehicleType !== vehicleType) {
+    return next(new ErrorResponse(`This ride requires a ${ride.vehicleType}`, 400));
   }
   
-  // Check if ride can be accepted
-  if (ride.status !== 'pending' && ride.status !== 'pooling') {
-    return next(new ErrorResponse(`Ride cannot be accepted in ${ride.status} status`, 400));
+  // Check the whole pool fits in the vehicle
+  const poolSeats = await poolMatcher.countPoolSeats(ride.poolId);
+  if (poolSeats > seatingCapacity) {
+    return next(new ErrorResponse(`This pool needs ${poolSeats} seats but your vehicle has ${seatingCapacity}`, 400));
   }
   
-  // Check if driver is already assigned to another ride
-  const activeRides = await Ride.countDocuments({
-    driver: req.user.id,
-    status: { $in: ['assigned', 'started'] }
-  });
+  // Check the driver has no other ride around the same time
+  const clashingRides = await Ride.countDocuments(
+    dispatcher.clashingRidesFilter(req.user.id, ride.scheduledTime)
+  );
   
-  if (activeRides > 0) {
-    return next(new ErrorResponse(`Driver already has an active ride`, 400));
+  if (clashingRides > 0) {
+    return next(new ErrorResponse(`Driver already has an active ride around this pickup time`, 400));
   }
   
-  // Assign driver to ride
+  // Assign driver to ride and confirm its passengers
   ride.driver = req.user.id;
   ride.status = 'assigned';
+  ride.passengers.forEach(passenger => {
+    if (passenger.status === 'pending') {
+      passenger.status = 'confirmed';
+    }
+  });
   ride.logs.push({
     action: 'driver_assigned',
     user: req.user.id
   });
   
   // Check if this is a pooled ride, assign same driver to all rides in pool
+  let poolRides = [];
+  
   if (ride.poolId) {
+    poolRides = await Ride.find({
+      poolId: ride.poolId,
+      _id: { $ne: ride._id },
+      status: 'pooling'
+    });
+    
     await Ride.updateMany(
       { 
         poolId: ride.poolId, 
@@ -322,18 +1078,56 @@ exports.acceptRide = asyncHandler(async (req, res, next) => {
       { 
         driver: req.user.id,
         status: 'assigned',
+        'passengers.$[passenger].status': 'confirmed',
         $push: {
           logs: {
             action: 'driver_assigned',
             user: req.user.id
           }
         }
-      }
+      },
+      { arrayFilters: [{ 'passenger.status': 'pending' }] }
     );
   }
   
   await ride.save();
   
+  // Withdraw offers sent to other drivers
+  await dispatcher.stop(ride.poolId, req.user.id);
+  
+  // Notify every ride in the pool
+  const driverInfo = {
+    driver: {
+      id: driver._id,
+      name: driver.name,
+      phone: driver.phone,
+      profileImage: driver.profileImage,
+      rating: driver.rating,
+      vehicleNumber: driver.driverDetails.vehicleNumber,
+      vehicleModel: driver.driverDetails.vehicleModel,
+      vehicleColor: driver.driverDetails.vehicleColor,
+      vehicleType: driver.driverDetails.vehicleType
+    }
+  };
+  
+  await cancellationPolicy.recordDriverAcceptance(driver._id);
+  
+  eventBus.publishRide(ride, 'rideAssigned', driverInfo);
+  poolRides.forEach(poolRide => {
+    poolRide.driver = driver._id;
+    poolRide.status = 'assigned';
+    eventBus.publishRide(poolRide, 'rideAssigned', driverInfo);
+  });
+  
+  for (const assigned of [ride, ...poolRides]) {
+    await notifications.notifyRide(
+      assigned,
+      'rideAssigned',
+      activePassengers(assigned).map(p => p.user),
+      notifications.driverData(driver)
+    );
+  }
+  
   // Return response with ride details
   const populatedRide = await Ride.findById(ride._id)
     .populate({
@@ -352,6 +1146,109 @@ exports.acceptRide = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Decline ride offer (for drivers)
+// @route   PUT /api/rides/:id/decline
+// @access  Private/Driver
+exports.declineRide = asyncHandler(async (req, res, next) => {
+  const ride = await Ride.findById(req.params.id);
+  
+  if (!ride) {
+    return next(new ErrorResponse(`Ride not found with id of ${req.params.id}`, 404));
+  }
+  
+  const hasOffer = ride.offers.some(
+    offer => offer.driver.toString() === req.user.id && offer.status === 'pending'
+  );
+  
+  if (!hasOffer) {
+    return next(new ErrorResponse(`No pending offer for this ride`, 400));
+  }
+  
+  await dispatcher.decline(ride.poolId, req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Get open rides and offers near a driver
+// @route   GET /api/rides/open
+// @access  Private/Driver
+// @params  lat, lng, distance (km) - defaults to the driver's live location
+exports.getOpenRides = asyncHandler(async (req, res, next) => {
+  let { lat, lng } = req.query;
+  const distance = parseFloat(req.query.distance) || parseFloat(process.env.DISPATCH_RADIUS_KM) || 5;
+  
+  // Fall back to the driver's live location
+  if ((!lat || !lng) && req.user.location && req.user.location.coordinates) {
+    [lng, lat] = req.user.location.coordinates;
+  }
+  
+  if (!lat || !lng) {
+    return next(new ErrorResponse('Please provide latitude and longitude or share your location', 400));
+  }
+  
+  const position = { lat: parseFloat(lat), lng: parseFloat(lng) };
+  
+  // Landmarks within range of the driver
+  const landmarks = await Landmark.find({
+    location: {
+      $geoWithin: {
+        $centerSphere: [[position.lng, position.lat], distance / 6371]
+      }
+    },
+    isActive: true
+  }).select('_id');
+  
+  const rides = await Ride.find({
+    pickupLandmark: { $in: landmarks.map(landmark => landmark._id) },
+    status: { $in: ['pending', 'pooling'] }
+  })
+    .populate({
+      path: 'pickupLandmark',
+      select: 'name address location'
+    })
+    .sort('scheduledTime');
+  
+  const openRides = rides.map(ride => {
+    const offer = ride.offers.find(
+      o => o.driver.toString() === req.user.id && o.status === 'pending' && o.expiresAt > Date.now()
+    );
+    const distanceToPickup = locationUtils.calculateDistance(
+      position,
+      locationUtils.toLatLng(ride.pickupLandmark.location.coordinates)
+    );
+    
+    return {
+      id: ride._id,
+      poolId: ride.poolId,
+      status: ride.status,
+      pickupLandmark: ride.pickupLandmark,
+      destination: ride.destination,
+      scheduledTime: ride.scheduledTime,
+      vehicleType: ride.vehicleType,
+      seats: ride.passengers
+        .filter(p => p.status !== 'cancelled')
+        .reduce((sum, p) => sum + (p.seats || 1), 0),
+      fare: ride.fare,
+      distanceToPickup: parseFloat(distanceToPickup.toFixed(2)),
+      eta: locationUtils.estimateDuration(distanceToPickup),
+      offered: Boolean(offer),
+      offerExpiresAt: offer ? offer.expiresAt : undefined
+    };
+  });
+  
+  // Offers to this driver first, then nearest
+  openRides.sort((a, b) => (b.offered - a.offered) || (a.distanceToPickup - b.distanceToPickup));
+  
+  res.status(200).json({
+    success: true,
+    count: openRides.length,
+    data: openRides
+  });
+});
+
 // @desc    Start ride
 // @route   PUT /api/rides/:id/start
 // @access  Private/Driver
@@ -382,6 +1279,8 @@ exports.startRide = asyncHandler(async (req, res, next) => {
   
   await ride.save();
   
+  eventBus.publishRide(ride, 'rideStarted', { startedAt: ride.startedAt });
+  
   res.status(200).json({
     success: true,
     data: ride
@@ -408,68 +1307,191 @@ exports.completeRide = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Ride cannot be completed in ${ride.status} status`, 400));
   }
   
-  // Update ride status
-  ride.status = 'completed';
-  ride.completedAt = Date.now();
+  if (ride.passengers.some(isAwaitingPickup)) {
+    return next(new ErrorResponse(`All passengers must be picked up or cancelled before completing the ride`, 400));
+  }
   
-  // Update passenger statuses
-  ride.passengers.forEach(passenger => {
-    if (passenger.status === 'confirmed') {
-      passenger.status = 'completed';
-      passenger.dropoffTime = Date.now();
-    }
+  // Drop off everyone still on board
+  const onboard = ride.passengers.filter(passenger => passenger.status === 'picked_up');
+  onboard.forEach(passenger => markDroppedOff(ride, passenger, req.user.id));
+  
+  markCompleted(ride, req.user.id);
+  
+  await ride.save();
+  
+  for (const passenger of onboard) {
+    await recordPassengerTrip(ride, passenger);
+  }
+  
+  await recordRideCompletion(ride);
+  
+  res.status(200).json({
+    success: true,
+    data: ride
   });
+});
+
+// @desc    Pick up a passenger
+// @route   PUT /api/rides/:id/passengers/:userId/pickup
+// @access  Private/Driver
+exports.pickupPassenger = asyncHandler(async (req, res, next) => {
+  const { pin } = req.body;
+  
+  if (!pin) {
+    return next(new ErrorResponse('Please provide the passenger ride PIN', 400));
+  }
+  
+  const ride = await Ride.findById(req.params.id).select('+passengers.pin');
+  
+  if (!ride) {
+    return next(new ErrorResponse(`Ride not found with id of ${req.params.id}`, 404));
+  }
   
+  // Check if user is the assigned driver
+  if (!ride.driver || ride.driver.toString() !== req.user.id) {
+    return next(new ErrorResponse(`Not authorized to pick up passengers for this ride`, 403));
+  }
+  
+  // Starting the ride is how the driver shows they are at the pickup, see the driver_no_show job
+  if (ride.status !== 'started') {
+    return next(new ErrorResponse(`Passengers cannot be picked up in ${ride.status} status, please start the ride first`, 400));
+  }
+  
+  const passenger = findPassenger(ride, req.params.userId);
+  
+  if (!passenger) {
+    return next(new ErrorResponse(`Passenger not found with id of ${req.params.userId}`, 404));
+  }
+  
+  if (!isAwaitingPickup(passenger)) {
+    return next(new ErrorResponse(`Passenger cannot be picked up in ${passenger.status} status`, 400));
+  }
+  
+  // Limit wrong PINs so the 4 digits cannot be guessed
+  const maxAttempts = parseInt(process.env.PICKUP_PIN_MAX_ATTEMPTS, 10) || 5;
+  const lockMinutes = parseInt(process.env.PICKUP_PIN_LOCK_MINUTES, 10) || 15;
+  const tooManyAttempts = `Too many wrong PINs, please try again after ${lockMinutes} minutes`;
+  
+  if (passenger.pinLockedUntil && passenger.pinLockedUntil.getTime() > Date.now()) {
+    return next(new ErrorResponse(tooManyAttempts, 429));
+  }
+  
+  // Count the attempt before checking the PIN, so parallel guesses cannot get past the limit
+  const counted = await Ride.updateOne(
+    {
+      _id: ride._id,
+      passengers: { $elemMatch: { _id: passenger._id, pinAttempts: { $lt: maxAttempts } } }
+    },
+    { $inc: { 'passengers.$.pinAttempts': 1 } }
+  );
+  
+  if (counted.modifiedCount === 0) {
+    await Ride.updateOne(
+      { _id: ride._id, 'passengers._id': passenger._id },
+      {
+        'passengers.$.pinAttempts': 0,
+        'passengers.$.pinLockedUntil': new Date(Date.now() + lockMinutes * 60000)
+      }
+    );
+    
+    return next(new ErrorResponse(tooManyAttempts, 429));
+  }
+  
+  if (passenger.pin !== String(pin)) {
+    return next(new ErrorResponse('Invalid ride PIN', 400));
+  }
+  
+  passenger.status = 'picked_up';
+  passenger.pickupTime = Date.now();
+  passenger.pinAttempts = 0;
+  passenger.pinLockedUntil = undefined;
   ride.logs.push({
-    action: 'ride_completed',
-    user: req.user.id
+    action: 'passenger_picked_up',
+    user: req.user.id,
+    details: { passenger: passenger.user }
   });
   
   await ride.save();
   
-  // Update driver stats
-  await User.findByIdAndUpdate(req.user.id, {
-    $inc: {
-      'stats.ridesCompleted': 1,
-      'stats.totalDistance': ride.estimatedDistance,
-      'stats.totalEarnings': ride.fare.totalFare
-    }
+  eventBus.publishRide(ride, 'passengerPickedUp', {
+    passenger: passenger.user,
+    pickupTime: passenger.pickupTime
   });
   
-  // Update passenger stats
-  for (const passenger of ride.passengers) {
-    if (passenger.status === 'completed') {
-      await User.findByIdAndUpdate(passenger.user, {
-        $inc: {
-          'stats.ridesCompleted': 1,
-          'stats.totalDistance': ride.estimatedDistance
-        }
-      });
-    }
+  res.status(200).json({
+    success: true,
+    data: hideOtherPins(ride, req.user.id)
+  });
+});
+
+// @desc    Drop off a passenger
+// @route   PUT /api/rides/:id/passengers/:userId/dropoff
+// @access  Private/Driver
+exports.dropoffPassenger = asyncHandler(async (req, res, next) => {
+  const ride = await Ride.findById(req.params.id);
+  
+  if (!ride) {
+    return next(new ErrorResponse(`Ride not found with id of ${req.params.id}`, 404));
   }
   
-  // Update city stats
-  await City.findByIdAndUpdate(ride.city, {
-    $inc: {
-      'stats.totalRides': 1,
-      'stats.totalRevenue': ride.fare.totalFare
-    }
+  // Check if user is the assigned driver
+  if (!ride.driver || ride.driver.toString() !== req.user.id) {
+    return next(new ErrorResponse(`Not authorized to drop off passengers for this ride`, 403));
+  }
+  
+  if (ride.status !== 'started') {
+    return next(new ErrorResponse(`Passengers cannot be dropped off in ${ride.status} status`, 400));
+  }
+  
+  const passenger = findPassenger(ride, req.params.userId);
+  
+  if (!passenger) {
+    return next(new ErrorResponse(`Passenger not found with id of ${req.params.userId}`, 404));
+  }
+  
+  if (passenger.status !== 'picked_up') {
+    return next(new ErrorResponse(`Passenger cannot be dropped off in ${passenger.status} status`, 400));
+  }
+  
+  markDroppedOff(ride, passenger, req.user.id);
+  
+  // The ride completes with its last rider
+  const isLastRider = !ride.passengers.some(
+    p => isAwaitingPickup(p) || p.status === 'picked_up'
+  );
+  
+  if (isLastRider) {
+    markCompleted(ride, req.user.id);
+  }
+  
+  await ride.save();
+  
+  await recordPassengerTrip(ride, passenger);
+  
+  eventBus.publishRide(ride, 'passengerDroppedOff', {
+    passenger: passenger.user,
+    dropoffTime: passenger.dropoffTime,
+    fare: passenger.fare
   });
   
+  if (isLastRider) {
+    await recordRideCompletion(ride);
+  }
+  
   res.status(200).json({
     success: true,
     data: ride
   });
 });
 
-// @desc    Rate ride
+// @desc    Rate the driver of a ride
 // @route   PUT /api/rides/:id/rate
 // @access  Private/Passenger
 exports.rateRide = asyncHandler(async (req, res, next) => {
-  const { rating, comment } = req.body;
+  const feedback = parseRating(req.body, 'driver');
   
-  if (!rating || rating < 1 || rating > 5) {
-    return next(new ErrorResponse('Please provide a valid rating between 1 and 5', 400));
+  if (feedback.error) {
+    return next(new ErrorResponse(feedback.error, 400));
   }
   
   const ride = await Ride.findById(req.params.id);
@@ -478,56 +1500,140 @@ exports.rateRide = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Ride not found with id of ${req.params.id}`, 404));
   }
   
-  // Check if ride is completed
-  if (ride.status !== 'completed') {
-    return next(new ErrorResponse(`Cannot rate a ride that is not completed`, 400));
-  }
-  
-  // Check if user is a passenger of this ride
-  const passengerIndex = ride.passengers.findIndex(
+  // Check if user is a passenger of this ride who has been dropped off
+  const passenger = ride.passengers.find(
     p => p.user.toString() === req.user.id && p.status === 'completed'
   );
   
-  if (passengerIndex === -1) {
+  if (!passenger || !ride.driver) {
     return next(new ErrorResponse(`Not authorized to rate this ride`, 403));
   }
   
   // Check if user has already rated
-  if (ride.passengers[passengerIndex].rating && ride.passengers[passengerIndex].rating.driver) {
+  if (passenger.rating && passenger.rating.driver) {
     return next(new ErrorResponse(`You have already rated this ride`, 400));
   }
   
-  // Add rating
-  ride.passengers[passengerIndex].rating = {
-    driver: rating,
-    comment,
-    createdAt: Date.now()
-  };
+  // Only the first of concurrent ratings is stored and counted
+  const updated = await Ride.findOneAndUpdate(
+    {
+      _id: ride._id,
+      passengers: { $elemMatch: { _id: passenger._id, 'rating.driver': { $exists: false } } }
+    },
+    {
+      $set: {
+        'passengers.$.rating': {
+          driver: feedback.score,
+          tags: feedback.tags,
+          comment: feedback.comment,
+          createdAt: Date.now()
+        }
+      },
+      $push: {
+        logs: {
+          action: 'ride_rated',
+          user: req.user.id,
+          details: feedback
+        }
+      }
+    },
+    { new: true }
+  );
   
-  ride.logs.push({
-    action: 'ride_rated',
-    user: req.user.id,
-    details: { rating, comment }
+  if (!updated) {
+    return next(new ErrorResponse(`You have already rated this ride`, 400));
+  }
+  
+  await ratings.recordRating({
+    ride: ride._id,
+    rater: req.user.id,
+    ratee: ride.driver,
+    rateeRole: 'driver',
+    ...feedback
   });
   
-  await ride.save();
+  res.status(200).json({
+    success: true,
+    data: updated
+  });
+});
+
+// @desc    Rate a dropped off passenger
+// @route   PUT /api/rides/:id/passengers/:userId/rate
+// @access  Private/Driver
+exports.ratePassenger = asyncHandler(async (req, res, next) => {
+  const feedback = parseRating(req.body, 'passenger');
   
-  // Update driver rating
-  const driver = await User.findById(ride.driver);
+  if (feedback.error) {
+    return next(new ErrorResponse(feedback.error, 400));
+  }
   
-  const newRatingCount = driver.rating.count + 1;
-  const newRatingAverage = (
-    (driver.rating.average * driver.rating.count) + rating
-  ) / newRatingCount;
+  const ride = await Ride.findById(req.params.id);
   
-  await User.findByIdAndUpdate(ride.driver, {
-    'rating.average': newRatingAverage,
-    'rating.count': newRatingCount
+  if (!ride) {
+    return next(new ErrorResponse(`Ride not found with id of ${req.params.id}`, 404));
+  }
+  
+  // Check if user is the driver of this ride
+  if (!ride.driver || ride.driver.toString() !== req.user.id) {
+    return next(new ErrorResponse(`Not authorized to rate passengers of this ride`, 403));
+  }
+  
+  const passenger = findPassenger(ride, req.params.userId);
+  
+  if (!passenger) {
+    return next(new ErrorResponse(`Passenger not found with id of ${req.params.userId}`, 404));
+  }
+  
+  if (passenger.status !== 'completed') {
+    return next(new ErrorResponse('Passengers can be rated once they have been dropped off', 400));
+  }
+  
+  if (passenger.driverRating && passenger.driverRating.score) {
+    return next(new ErrorResponse(`You have already rated this passenger`, 400));
+  }
+  
+  // Only the first of concurrent ratings is stored and counted
+  const updated = await Ride.findOneAndUpdate(
+    {
+      _id: ride._id,
+      passengers: { $elemMatch: { _id: passenger._id, 'driverRating.score': { $exists: false } } }
+    },
+    {
+      $set: {
+        'passengers.$.driverRating': {
+          score: feedback.score,
+          tags: feedback.tags,
+          comment: feedback.comment,
+          createdAt: Date.now()
+        }
+      },
+      $push: {
+        logs: {
+          action: 'passenger_rated',
+          user: req.user.id,
+          details: { passenger: passenger.user, ...feedback }
+        }
+      }
+    },
+    { new: true }
+  );
+  
+  if (!updated) {
+    return next(new ErrorResponse(`You have already rated this passenger`, 400));
+  }
+  
+  await ratings.recordRating({
+    ride: ride._id,
+    rater: req.user.id,
+    ratee: passenger.user,
+    rateeRole: 'passenger',
+    ...feedback
   });
   
   res.status(200).json({
     success: true,
-    data: ride
+    data: updated
   });
 });
 
@@ -556,12 +1662,44 @@ exports.getMyRides = asyncHandler(async (req, res, next) => {
       path: 'passengers.user',
       select: 'name phone profileImage rating'
     })
+    .select('+passengers.pin')
     .sort({ createdAt: -1 });
   
+  // Add unread chat messages for the current user
+  const data = rides.map(ride => ({
+    ...hideOtherPins(ride, req.user.id).toJSON(),
+    unreadCount: chat.countUnread(ride, req.user.id)
+  }));
+  
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data
+  });
+});
+
+// @desc    Get ride chat messages
+// @route   GET /api/rides/:id/messages
+// @access  Private
+// @params  before (message id cursor), limit
+exports.getMessages = asyncHandler(async (req, res, next) => {
+  const ride = await Ride.findById(req.params.id);
+  
+  if (!ride) {
+    return next(new ErrorResponse(`Ride not found with id of ${req.params.id}`, 404));
+  }
+  
+  if (!chat.canAccess(ride, req.user)) {
+    return next(new ErrorResponse(`Not authorized to read messages in this ride`, 403));
+  }
+  
+  const { messages, nextCursor } = await chat.getMessages(ride._id, req.query);
+  
   res.status(200).json({
     success: true,
-    count: rides.length,
-    data: rides
+    count: messages.length,
+    nextCursor,
+    data: messages
   });
 });
 
@@ -582,26 +1720,37 @@ exports.addMessage = asyncHandler(async (req, res, next) => {
   }
   
   // Check if user is authorized to send message
-  const isPassenger = ride.passengers.some(p => p.user.toString() === req.user.id);
-  const isDriver = ride.driver && ride.driver.toString() === req.user.id;
-  const isAdmin = req.user.role === 'admin';
-  
-  if (!isPassenger && !isDriver && !isAdmin) {
+  if (!chat.canAccess(ride, req.user)) {
     return next(new ErrorResponse(`Not authorized to send message in this ride`, 403));
   }
   
-  // Add message
-  ride.messages.push({
-    sender: req.user.id,
-    text,
-    timestamp: Date.now()
+  const message = await chat.postMessage(ride, req.user, text);
+  
+  res.status(201).json({
+    success: true,
+    data: message
   });
+});
+
+// @desc    Mark ride chat messages as read
+// @route   PUT /api/rides/:id/messages/read
+// @access  Private
+exports.markMessagesRead = asyncHandler(async (req, res, next) => {
+  const ride = await Ride.findById(req.params.id);
   
-  await ride.save();
+  if (!ride) {
+    return next(new ErrorResponse(`Ride not found with id of ${req.params.id}`, 404));
+  }
   
-  res.status(201).json({
+  if (!chat.canAccess(ride, req.user)) {
+    return next(new ErrorResponse(`Not authorized to read messages in this ride`, 403));
+  }
+  
+  const receipt = await chat.markRead(ride, req.user, req.body.upTo);
+  
+  res.status(200).json({
     success: true,
-    data: ride.messages[ride.messages.length - 1]
+    data: receipt
   });
 });
 
@@ -609,10 +1758,10 @@ exports.addMessage = asyncHandler(async (req, res, next) => {
 // @route   PUT /api/rides/:id/location
 // @access  Private/Driver
 exports.updateDriverLocation = asyncHandler(async (req, res, next) => {
-  const { lat, lng } = req.body;
+  const position = driverLocation.parseCoords(req.body);
   
-  if (!lat || !lng) {
-    return next(new ErrorResponse('Please provide latitude and longitude', 400));
+  if (!position) {
+    return next(new ErrorResponse('Please provide a latitude between -90 and 90 and a longitude between -180 and 180', 400));
   }
   
   const ride = await Ride.findById(req.params.id);
@@ -634,17 +1783,21 @@ exports.updateDriverLocation = asyncHandler(async (req, res, next) => {
   // Update location
   ride.driverLocation = {
     type: 'Point',
-    coordinates: [parseFloat(lng), parseFloat(lat)],
+    coordinates: [position.lng, position.lat],
     lastUpdated: Date.now()
   };
   
   await ride.save();
   
+  // Keep the driver's live location in step
+  await driverLocation.updateDriverLocation(req.user.id, position);
+  
+  await notifications.checkDriverArriving(ride);
+  
   res.status(200).json({
     success: true,
     data: {
-      lat,
-      lng,
+      ...position,
       lastUpdated: ride.driverLocation.lastUpdated
     }
   });
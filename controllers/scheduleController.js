@@ -0,0 +1,311 @@
+const RideSchedule = require('../models/rideScheduleModel');
+const Ride = require('../models/rideModel');
+const Landmark = require('../models/landmarkModel');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const booking = require('../utils/booking');
+const cancellationPolicy = require('../utils/cancellationPolicy');
+const poolMatcher = require('../utils/poolMatcher');
+const rideSchedules = require('../utils/rideSchedules');
+
+// Fields passengers can set on a schedule
+const EDITABLE_FIELDS = [
+  'name',
+  'pickupLandmark',
+  'destination',
+  'passengerCount',
+  'vehicleType',
+  'daysOfWeek',
+  'time',
+  'timezone',
+  'startDate',
+  'endDate',
+  'skipDates'
+];
+
+const pickEditable = body => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) {
+    fields[key] = body[key];
+  }
+  return fields;
+}, {});
+
+// Check the pickup landmark, vehicle and seats of a schedule
+// @returns {ErrorResponse|null} - Error to send, if any
+const checkBooking = async (schedule) => {
+  const landmark = await Landmark.findById(schedule.pickupLandmark);
+  if (!landmark) {
+    return new ErrorResponse(`Landmark not found with id of ${schedule.pickupLandmark}`, 404);
+  }
+
+  if (schedule.vehicleType !== 'any' && !booking.isVehicleTypeAllowed(landmark, schedule.vehicleType)) {
+    return new ErrorResponse(`Vehicle type ${schedule.vehicleType} is not allowed at this pickup landmark`, 400);
+  }
+
+  const seatCapacity = poolMatcher.capacityFor(schedule.vehicleType);
+  if (schedule.passengerCount < 1 || schedule.passengerCount > seatCapacity) {
+    return new ErrorResponse(`Passenger count must be between 1 and ${seatCapacity}`, 400);
+  }
+
+  return null;
+};
+
+// Find a schedule the current user may manage
+const findOwnSchedule = async (req) => {
+  const schedule = await RideSchedule.findById(req.params.id);
+
+  if (!schedule) {
+    return { error: new ErrorResponse(`Schedule not found with id of ${req.params.id}`, 404) };
+  }
+
+  if (schedule.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    return { error: new ErrorResponse(`Not authorized to access this schedule`, 403) };
+  }
+
+  return { schedule };
+};
+
+// Schedule with its next occurrences
+const withUpcoming = async schedule => ({
+  ...schedule.toObject(),
+  upcoming: await rideSchedules.getUpcoming(schedule)
+});
+
+// @desc    Get my ride schedules
+// @route   GET /api/schedules
+// @access  Private/Passenger
+exports.getSchedules = asyncHandler(async (req, res, next) => {
+  const schedules = await RideSchedule.find({ user: req.user.id })
+    .populate({
+      path: 'pickupLandmark',
+      select: 'name address'
+    })
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: schedules.length,
+    data: schedules
+  });
+});
+
+// @desc    Get a ride schedule with its upcoming occurrences
+// @route   GET /api/schedules/:id
+// @access  Private
+exports.getSchedule = asyncHandler(async (req, res, next) => {
+  const { schedule, error } = await findOwnSchedule(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await withUpcoming(schedule)
+  });
+});
+
+// @desc    Create a recurring ride schedule
+// @route   POST /api/schedules
+// @access  Private/Passenger
+exports.createSchedule = asyncHandler(async (req, res, next) => {
+  const schedule = new RideSchedule({
+    ...pickEditable(req.body),
+    user: req.user.id
+  });
+
+  await schedule.validate();
+
+  const error = await checkBooking(schedule);
+  if (error) {
+    return next(error);
+  }
+
+  await schedule.save();
+
+  // Book anything already inside the lookahead window
+  await rideSchedules.generateRides(schedule);
+
+  res.status(201).json({
+    success: true,
+    data: await withUpcoming(schedule)
+  });
+});
+
+// @desc    Edit a ride schedule; rides already booked are not changed
+// @route   PUT /api/schedules/:id
+// @access  Private
+exports.updateSchedule = asyncHandler(async (req, res, next) => {
+  const { schedule, error } = await findOwnSchedule(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  schedule.set(pickEditable(req.body));
+  await schedule.validate();
+
+  const bookingError = await checkBooking(schedule);
+  if (bookingError) {
+    return next(bookingError);
+  }
+
+  await schedule.save();
+
+  if (schedule.status === 'active') {
+    await rideSchedules.generateRides(schedule);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await withUpcoming(schedule)
+  });
+});
+
+// @desc    Delete a ride schedule; rides already booked are kept
+// @route   DELETE /api/schedules/:id
+// @access  Private
+exports.deleteSchedule = asyncHandler(async (req, res, next) => {
+  const { schedule, error } = await findOwnSchedule(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  await schedule.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Pause a ride schedule
+// @route   PUT /api/schedules/:id/pause
+// @access  Private
+exports.pauseSchedule = asyncHandler(async (req, res, next) => {
+  const { schedule, error } = await findOwnSchedule(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  schedule.status = 'paused';
+  await schedule.save();
+
+  res.status(200).json({
+    success: true,
+    data: schedule
+  });
+});
+
+// @desc    Resume a paused ride schedule
+// @route   PUT /api/schedules/:id/resume
+// @access  Private
+exports.resumeSchedule = asyncHandler(async (req, res, next) => {
+  const { schedule, error } = await findOwnSchedule(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  schedule.status = 'active';
+  await schedule.save();
+
+  await rideSchedules.generateRides(schedule);
+
+  res.status(200).json({
+    success: true,
+    data: await withUpcoming(schedule)
+  });
+});
+
+// @desc    Skip one occurrence of a ride schedule
+// @route   POST /api/schedules/:id/skip
+// @access  Private
+exports.skipOccurrence = asyncHandler(async (req, res, next) => {
+  const { date } = req.body;
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+    return next(new ErrorResponse('Please provide the date to skip as YYYY-MM-DD', 400));
+  }
+
+  const { schedule, error } = await findOwnSchedule(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  if (!schedule.skipDates.includes(date)) {
+    schedule.skipDates.push(date);
+    await schedule.save();
+  }
+
+  // Take the user off a ride already booked for that day; once a driver is
+  // assigned this costs the same fee as any other cancellation
+  const ride = await Ride.findOne({
+    schedule: schedule._id,
+    occurrence: date,
+    status: { $in: ['pending', 'pooling', 'assigned'] }
+  }).populate('pickupLandmark', 'location');
+
+  const passenger = ride && ride.passengers.find(
+    p => p.user.toString() === schedule.user.toString() && ['pending', 'confirmed'].includes(p.status)
+  );
+
+  const fee = passenger ? cancellationPolicy.getPassengerCancellationFee(ride, passenger) : 0;
+
+  if (passenger) {
+    await booking.cancelPassenger(ride, passenger, {
+      by: 'passenger',
+      reason: 'Schedule occurrence skipped',
+      fee,
+      userId: req.user.id
+    });
+
+    // Free the occurrence, so undoing the skip books it again
+    await Ride.updateOne({ _id: ride._id }, {
+      $unset: { schedule: '', occurrence: '' },
+      $set: { skippedOccurrence: { schedule: schedule._id, occurrence: date } }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    cancelledRide: passenger ? ride : null,
+    cancellationFee: fee,
+    data: schedule
+  });
+});
+
+// @desc    Undo skipping an occurrence of a ride schedule
+// @route   DELETE /api/schedules/:id/skip/:date
+// @access  Private
+exports.unskipOccurrence = asyncHandler(async (req, res, next) => {
+  const { schedule, error } = await findOwnSchedule(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  schedule.skipDates.pull(req.params.date);
+  await schedule.save();
+
+  if (schedule.status === 'active') {
+    await rideSchedules.generateRides(schedule);
+  }
+
+  // A ride for the date that was cancelled some other way is not booked again
+  const cancelled = await Ride.exists({
+    schedule: schedule._id,
+    occurrence: req.params.date,
+    status: 'cancelled'
+  });
+
+  res.status(200).json({
+    success: true,
+    restored: !cancelled,
+    message: cancelled ? 'The ride for this date was cancelled and is not booked again' : undefined,
+    data: await withUpcoming(schedule)
+  });
+});
@@ -1,6 +1,8 @@
 const User = require('../models/userModel');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
+const Rating = require('../models/ratingModel');
+const ratings = require('../utils/ratings');
 
 // @desc    Get all users
 // @route   GET /api/users
@@ -25,6 +27,42 @@ exports.getUser = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get a user's rating summary with score and tag breakdowns
+// @route   GET /api/users/:id/ratings
+// @access  Private
+exports.getUserRatings = asyncHandler(async (req, res, next) => {
+  const summary = await ratings.getSummary(req.params.id);
+  
+  if (!summary) {
+    return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+  }
+  
+  const isAdmin = req.user.role === 'admin';
+  const isSelf = req.user.id === req.params.id;
+  
+  // Flags are for admins only
+  if (!isAdmin) {
+    delete summary.flagged;
+    delete summary.flaggedAt;
+  }
+  
+  // Admins and the user themselves also see recent feedback; only admins see who left it
+  if (isAdmin || isSelf) {
+    const query = Rating.find({ ratee: req.params.id })
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 20, 100));
+    
+    summary.recent = await (isAdmin
+      ? query.populate('rater', 'name role')
+      : query.select('-rater'));
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: summary
+  });
+});
+
 // @desc    Create user
 // @route   POST /api/users
 // @access  Private/Admin
@@ -0,0 +1,159 @@
+const Transaction = require('../models/transactionModel');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const ledger = require('../utils/ledger');
+
+// Net effect of a transaction on one user's accounts
+const netForUser = (transaction, userId) => Transaction.round(transaction.entries
+  .filter(entry => entry.user && entry.user.toString() === userId)
+  .reduce((sum, entry) => sum + entry.credit - entry.debit, 0));
+
+// Three letter currency code from a request, or the ledger's default currency
+const currencyOf = value => (value === undefined ? ledger.CURRENCY : String(value).toUpperCase());
+
+const isCurrency = currency => /^[A-Z]{3}$/.test(currency);
+
+// @desc    Get wallet balance
+// @route   GET /api/wallet
+// @access  Private
+// @params  currency
+exports.getWallet = asyncHandler(async (req, res, next) => {
+  const currency = currencyOf(req.query.currency);
+
+  if (!isCurrency(currency)) {
+    return next(new ErrorResponse('Please provide a valid currency code', 400));
+  }
+
+  const data = {
+    balance: await ledger.getWalletBalance(req.user.id, currency),
+    currency,
+    balances: await ledger.getBalances('wallet', req.user.id)
+  };
+
+  if (req.user.role === 'driver') {
+    data.earnings = await ledger.getBalance('driver_earnings', req.user.id, { currency });
+  }
+
+  res.status(200).json({
+    success: true,
+    data
+  });
+});
+
+// @desc    Top up wallet
+// @route   POST /api/wallet/topup
+// @access  Private
+exports.topUpWallet = asyncHandler(async (req, res, next) => {
+  const amount = parseFloat(req.body.amount);
+  const { source } = req.body;
+  const currency = currencyOf(req.body.currency);
+
+  if (!(amount > 0)) {
+    return next(new ErrorResponse('Please provide an amount greater than 0', 400));
+  }
+
+  if (!source) {
+    return next(new ErrorResponse('Please provide a payment source', 400));
+  }
+
+  if (!isCurrency(currency)) {
+    return next(new ErrorResponse('Please provide a valid currency code', 400));
+  }
+
+  const transaction = await ledger.topUp(req.user, amount, source, currency);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      transaction,
+      balance: await ledger.getWalletBalance(req.user.id, currency)
+    }
+  });
+});
+
+// @desc    Get transaction history
+// @route   GET /api/wallet/transactions
+// @access  Private
+exports.getTransactions = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 25;
+  const startIndex = (page - 1) * limit;
+
+  const query = { 'entries.user': req.user._id };
+
+  if (req.query.type) {
+    query.type = req.query.type;
+  }
+
+  const total = await Transaction.countDocuments(query);
+  const transactions = await Transaction.find(query)
+    .populate('ride', 'pickupLandmark destination scheduledTime status')
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  const pagination = {};
+
+  if (startIndex + limit < total) {
+    pagination.next = { page: page + 1, limit };
+  }
+
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: transactions.length,
+    pagination,
+    data: transactions.map(transaction => ({
+      ...transaction.toJSON(),
+      net: netForUser(transaction, req.user.id)
+    }))
+  });
+});
+
+// @desc    Refund a transaction
+// @route   POST /api/wallet/transactions/:id/refund
+// @access  Private/Admin
+exports.refundTransaction = asyncHandler(async (req, res, next) => {
+  const transaction = await Transaction.findById(req.params.id);
+
+  if (!transaction) {
+    return next(new ErrorResponse(`Transaction not found with id of ${req.params.id}`, 404));
+  }
+
+  const refund = await ledger.refund(transaction, {
+    reason: req.body.reason,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: refund
+  });
+});
+
+// @desc    Get reconciliation report
+// @route   GET /api/wallet/reconciliation
+// @access  Private/Admin
+// @params  from, to, currency
+exports.getReconciliation = asyncHandler(async (req, res, next) => {
+  const { from, to } = req.query;
+  const currency = currencyOf(req.query.currency);
+
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return next(new ErrorResponse('Please provide valid from and to dates', 400));
+  }
+
+  if (!isCurrency(currency)) {
+    return next(new ErrorResponse('Please provide a valid currency code', 400));
+  }
+
+  const report = await ledger.getReconciliation({ from, to, currency });
+
+  res.status(200).json({
+    success: true,
+    data: report
+  });
+});
@@ -1,7 +1,41 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
 const ErrorResponse = require('../utils/errorResponse');
 
+// Verify an access token and load its user and session
+// Throws an ErrorResponse if the token cannot be used
+exports.authenticateToken = async (token) => {
+  // Make sure token exists
+  if (!token) {
+    throw new ErrorResponse('Not authorized to access this route', 401);
+  }
+  
+  let decoded;
+  
+  try {
+    // Verify token
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    throw new ErrorResponse('Not authorized to access this route', 401);
+  }
+  
+  // Make sure the session behind the token has not been revoked
+  const session = decoded.sid && await Session.findById(decoded.sid);
+  
+  if (!session || !session.isActive || session.user.toString() !== decoded.id) {
+    throw new ErrorResponse('Session has expired or been revoked', 401);
+  }
+  
+  const user = await User.findById(decoded.id);
+  
+  if (!user) {
+    throw new ErrorResponse('Not authorized to access this route', 401);
+  }
+  
+  return { user, session };
+};
+
 // Protect routes
 exports.protect = async (req, res, next) => {
   let token;
@@ -11,20 +45,17 @@ exports.protect = async (req, res, next) => {
     token = req.headers.authorization.split(' ')[1];
   }
   
-  // Make sure token exists
-  if (!token) {
-    return next(new ErrorResponse('Not authorized to access this route', 401));
-  }
-  
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const { user, session } = await exports.authenticateToken(token);
     
-    req.user = await User.findById(decoded.id);
+    req.user = user;
+    req.authSession = session;
     
     next();
   } catch (err) {
-    return next(new ErrorResponse('Not authorized to access this route', 401));
+    return next(err instanceof ErrorResponse
+      ? err
+      : new ErrorResponse('Not authorized to access this route', 401));
   }
 };
 
@@ -37,3 +68,11 @@ exports.authorize = (...roles) => {
     next();
   };
 };
+
+// Require a verified phone number
+exports.requirePhoneVerified = (req, res, next) => {
+  if (!req.user.isPhoneVerified) {
+    return next(new ErrorResponse('Please verify your phone number to access this route', 403));
+  }
+  next();
+};
@@ -25,6 +25,11 @@ const errorHandler = (err, req, res, next) => {
     error = new ErrorResponse(message, 400);
   }
   
+  // File upload errors, e.g. too large or an unexpected field
+  if (err.name === 'MulterError') {
+    error = new ErrorResponse(err.field ? `${err.message}: ${err.field}` : err.message, 400);
+  }
+  
   res.status(error.statusCode || 500).json({
     success: false,
     error: error.message || 'Server Error'
@@ -0,0 +1,22 @@
+const multer = require('multer');
+const ErrorResponse = require('../utils/errorResponse');
+const driverVerification = require('../utils/driverVerification');
+
+// Accept one file per driver document type, kept in memory until it is stored
+exports.driverDocuments = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: driverVerification.config().maxUploadMb * 1024 * 1024,
+      files: driverVerification.DOCUMENT_TYPES.length
+    },
+    fileFilter: (req, file, cb) => {
+      if (!driverVerification.CONTENT_TYPES[file.mimetype]) {
+        return cb(new ErrorResponse(`Document ${file.fieldname} must be a JPEG, PNG or PDF file`, 400));
+      }
+      cb(null, true);
+    }
+  }).fields(driverVerification.DOCUMENT_TYPES.map(name => ({ name, maxCount: 1 })));
+
+  upload(req, res, next);
+};
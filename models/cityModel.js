@@ -1,5 +1,18 @@
 const mongoose = require('mongoose');
 
+// 15 character Indian GST registration number
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// Check that a string names an IANA timezone
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
 const CitySchema = new mongoose.Schema({
   name: {
     type: String,
@@ -48,6 +61,45 @@ const CitySchema = new mongoose.Schema({
     type: Number,
     default: 12
   },
+  // Local time for fares, e.g. the night surcharge window
+  timezone: {
+    type: String,
+    default: () => process.env.SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    validate: {
+      validator: isTimeZone,
+      message: 'Please add a valid timezone, e.g. Asia/Kolkata'
+    }
+  },
+  // Invoice numbering and GST registration for trips in this city
+  invoicing: {
+    prefix: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9]{1,10}$/, 'Invoice prefix can only contain letters and numbers (up to 10)']
+    },
+    // Last invoice number issued, see utils/receipts.js
+    lastNumber: {
+      type: Number,
+      default: 0
+    },
+    legalName: {
+      type: String,
+      trim: true
+    },
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [GSTIN_PATTERN, 'Please add a valid GSTIN']
+    },
+    // GST included in fares, as a fraction (0.05 = 5%)
+    gstRate: {
+      type: Number,
+      min: [0, 'GST rate cannot be negative'],
+      max: [1, 'GST rate cannot be more than 1']
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -89,4 +141,6 @@ CitySchema.virtual('landmarks', {
   justOne: false
 });
 
+CitySchema.statics.GSTIN_PATTERN = GSTIN_PATTERN;
+
 module.exports = mongoose.model('City', CitySchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Verification document uploaded by a driver, stored through utils/storage.js
+const DriverDocumentSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['license', 'rc', 'insurance', 'photo'],
+    required: true
+  },
+  // Storage key of the file
+  key: {
+    type: String,
+    required: true
+  },
+  filename: {
+    type: String
+  },
+  contentType: {
+    type: String
+  },
+  size: {
+    type: Number
+  },
+  // Replaced documents are kept for the verification history
+  status: {
+    type: String,
+    enum: ['current', 'superseded'],
+    default: 'current'
+  }
+}, {
+  timestamps: true
+});
+
+DriverDocumentSchema.index({ driver: 1, type: 1, status: 1 });
+
+module.exports = mongoose.model('DriverDocument', DriverDocumentSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const FareRuleSchema = new mongoose.Schema({
+  city: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'City',
+    required: true,
+    unique: true
+  },
+  baseFare: {
+    type: Number,
+    required: [true, 'Please add a base fare'],
+    min: [0, 'Base fare cannot be negative']
+  },
+  perKmRate: {
+    type: Number,
+    required: [true, 'Please add a rate per km'],
+    min: [0, 'Rate per km cannot be negative']
+  },
+  perMinuteRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Rate per minute cannot be negative']
+  },
+  minimumFare: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum fare cannot be negative']
+  },
+  nightSurcharge: {
+    startHour: {
+      type: Number, // 24-hour format, e.g. 22
+      min: 0,
+      max: 23,
+      default: 22
+    },
+    endHour: {
+      type: Number, // 24-hour format, e.g. 6
+      min: 0,
+      max: 23,
+      default: 6
+    },
+    rate: {
+      type: Number, // Fraction of the metered fare, e.g. 0.25
+      min: 0,
+      default: 0
+    }
+  },
+  // Discount for the whole vehicle by number of passengers
+  poolingDiscounts: [
+    {
+      passengers: {
+        type: Number,
+        required: true,
+        min: [2, 'Pooling discounts start at 2 passengers']
+      },
+      discount: {
+        type: Number, // Fraction, e.g. 0.1 for 10%
+        required: true,
+        min: 0,
+        max: [1, 'Discount cannot be more than 100%']
+      }
+    }
+  ],
+  currency: {
+    type: String,
+    default: 'INR',
+    uppercase: true,
+    trim: true,
+    maxlength: [3, 'Currency must be a 3-letter code']
+  },
+  // Demand based surge pricing
+  surge: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    threshold: {
+      type: Number, // Pending rides per available driver before surge starts
+      min: 0,
+      default: 1
+    },
+    step: {
+      type: Number, // Multiplier added per pending ride per driver above threshold
+      min: 0,
+      default: 0.25
+    },
+    maxMultiplier: {
+      type: Number,
+      min: 1,
+      default: 2
+    }
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('FareRule', FareRuleSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Issued once per passenger and ride; the receipt is a snapshot so the
+// invoice never changes after it is issued
+const InvoiceSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  city: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'City',
+    required: true
+  },
+  // Position in the city's invoice series, unique so no number is issued twice
+  sequence: {
+    type: Number
+  },
+  ride: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  passenger: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  receipt: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+InvoiceSchema.index({ ride: 1, passenger: 1 }, { unique: true });
+InvoiceSchema.index({ passenger: 1, issuedAt: -1 });
+InvoiceSchema.index(
+  { city: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Background job run by utils/jobQueue.js
+const JobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  // Jobs with the same key are only scheduled once
+  key: {
+    type: String
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // A running job whose lock has expired is picked up again
+  lockedUntil: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+JobSchema.index({ key: 1 }, { unique: true, sparse: true });
+JobSchema.index({ status: 1, runAt: 1 });
+// Finished jobs are kept for a week
+JobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', JobSchema);
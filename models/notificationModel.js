@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// In-app notification, see utils/notifications.js
+const NotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Template the notification was rendered from, e.g. rideAssigned
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  ride: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Ride'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+NotificationSchema.index({ user: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const PayoutSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please add a payout amount'],
+    min: [1, 'Payout amount must be at least 1']
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  // Bank account or UPI id the money is sent to
+  destination: {
+    type: String,
+    required: [true, 'Please add a payout destination'],
+    trim: true,
+    maxlength: [100, 'Payout destination cannot be more than 100 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String
+  },
+  // Ledger transaction recorded when the payout is approved
+  transaction: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Transaction'
+  }
+}, {
+  timestamps: true
+});
+
+PayoutSchema.index({ driver: 1, createdAt: -1 });
+PayoutSchema.index({ status: 1 });
+
+module.exports = mongoose.model('Payout', PayoutSchema);
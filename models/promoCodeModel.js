@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const PromoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please add a promo code'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,20}$/, 'Promo codes can only contain letters, numbers, - and _ (3 to 20 characters)']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  // flat takes `value` off the fare, percentage takes `value`% off
+  type: {
+    type: String,
+    enum: ['flat', 'percentage'],
+    required: [true, 'Please add a promo type']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Please add a promo value'],
+    min: [0, 'Promo value cannot be negative']
+  },
+  // Upper limit of a percentage discount
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // Cities the code can be used in, all cities when empty
+  cities: [
+    {
+      type: mongoose.Schema.ObjectId,
+      ref: 'City'
+    }
+  ],
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date
+  },
+  // Total bookings allowed, unlimited when not set
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per user limit must be at least 1']
+  },
+  firstRideOnly: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Bookings currently using the code, released when they are cancelled
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+PromoCodeSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage discounts cannot be more than 100');
+  }
+
+  if (this.validUntil && this.validFrom && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'Promo code must end after it starts');
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('PromoCode', PromoCodeSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One use of a promo code by a passenger; the unique indexes enforce the
+// per-passenger limits even when bookings arrive at the same time
+const PromoRedemptionSchema = new mongoose.Schema({
+  promo: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Which of the passenger's allowed uses of the code this is (1 to perUserLimit)
+  slot: {
+    type: Number,
+    required: true
+  },
+  // Set for first ride codes, so a passenger redeems only one of them
+  firstRide: {
+    type: Boolean
+  }
+}, {
+  timestamps: true
+});
+
+PromoRedemptionSchema.index({ promo: 1, user: 1, slot: 1 }, { unique: true });
+PromoRedemptionSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { firstRide: true } }
+);
+
+module.exports = mongoose.model('PromoRedemption', PromoRedemptionSchema);
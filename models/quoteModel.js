@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const QuoteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  pickupLandmark: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Landmark',
+    required: true
+  },
+  destination: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    }
+  },
+  passengerCount: {
+    type: Number,
+    default: 1
+  },
+  vehicleType: {
+    type: String,
+    enum: ['sedan', 'suv', 'hatchback', 'any'],
+    default: 'any'
+  },
+  // Pickup time the fare was priced for; empty when priced for an immediate pickup
+  scheduledTime: {
+    type: Date
+  },
+  estimatedDistance: {
+    type: Number, // in kilometers
+    required: true
+  },
+  estimatedDuration: {
+    type: Number, // in minutes
+    required: true
+  },
+  // Fare details as returned by locationUtils.calculateFare
+  fareDetails: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when a ride is booked with the quote, so it is used only once
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Remove quotes once they expire
+QuoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check whether a quote still applies to a booking
+QuoteSchema.methods.matchesBooking = function({ userId, pickupLandmarkId, coordinates, passengerCount, vehicleType, scheduledTime }) {
+  const bookingTime = new Date(scheduledTime).getTime();
+  
+  // Scheduled quotes only hold for the time they were priced for, immediate ones until they expire
+  const matchesTime = this.scheduledTime
+    ? bookingTime === this.scheduledTime.getTime()
+    : bookingTime <= this.expiresAt.getTime();
+  
+  return !this.usedAt &&
+    this.expiresAt > Date.now() &&
+    matchesTime &&
+    this.user.toString() === String(userId) &&
+    this.pickupLandmark.toString() === String(pickupLandmarkId) &&
+    this.destination.coordinates[0] === parseFloat(coordinates[0]) &&
+    this.destination.coordinates[1] === parseFloat(coordinates[1]) &&
+    this.passengerCount === parseInt(passengerCount, 10) &&
+    this.vehicleType === vehicleType;
+};
+
+// Mark a quote used, unless another booking used it first
+QuoteSchema.methods.consume = async function() {
+  const quote = await this.constructor.findOneAndUpdate(
+    { _id: this._id, usedAt: null },
+    { usedAt: Date.now() }
+  );
+  
+  return Boolean(quote);
+};
+
+module.exports = mongoose.model('Quote', QuoteSchema);
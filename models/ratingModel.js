@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Feedback topics, by who is being rated
+const TAGS = {
+  driver: ['cleanliness', 'punctuality', 'route', 'driving', 'courtesy'],
+  passenger: ['cleanliness', 'punctuality', 'courtesy']
+};
+
+// One rating of a ride participant by another; passengers rate the driver
+// and the driver rates each passenger once per ride
+const RatingSchema = new mongoose.Schema({
+  ride: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  rater: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ratee: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Role of the user being rated
+  rateeRole: {
+    type: String,
+    enum: ['driver', 'passenger'],
+    required: true
+  },
+  score: {
+    type: Number,
+    required: [true, 'Please provide a rating between 1 and 5'],
+    min: [1, 'Rating must be at least 1'],
+    max: [5, 'Rating cannot be more than 5']
+  },
+  tags: {
+    type: [String],
+    validate: {
+      validator: function(tags) {
+        const allowed = TAGS[this.rateeRole] || [];
+        return tags.every(tag => allowed.includes(tag));
+      },
+      message: 'Please use valid feedback tags'
+    }
+  },
+  comment: {
+    type: String,
+    maxlength: [500, 'Comment cannot be more than 500 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RatingSchema.index({ ride: 1, rater: 1, ratee: 1 }, { unique: true });
+RatingSchema.index({ ratee: 1, createdAt: -1 });
+
+RatingSchema.statics.TAGS = TAGS;
+
+module.exports = mongoose.model('Rating', RatingSchema);
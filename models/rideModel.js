@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 
 const RideSchema = new mongoose.Schema({
   pickupLandmark: {
@@ -39,6 +40,25 @@ const RideSchema = new mongoose.Schema({
     type: String, // Used to group rides together for pooling
     required: true
   },
+  // Recurring schedule this ride was booked from, and the local date it is for
+  schedule: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'RideSchedule'
+  },
+  occurrence: {
+    type: String // YYYY-MM-DD in the schedule's timezone
+  },
+  // Where schedule and occurrence move when the schedule's owner skips the date,
+  // so the occurrence can be booked again if the skip is undone
+  skippedOccurrence: {
+    schedule: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'RideSchedule'
+    },
+    occurrence: {
+      type: String
+    }
+  },
   passengers: [
     {
       user: {
@@ -50,23 +70,131 @@ const RideSchema = new mongoose.Schema({
         type: Number,
         required: true
       },
+      // Promo code applied to this booking; fare is after the discount
+      promo: {
+        promoCode: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'PromoCode'
+        },
+        redemption: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'PromoRedemption'
+        },
+        code: {
+          type: String
+        },
+        type: {
+          type: String,
+          enum: ['flat', 'percentage']
+        },
+        value: {
+          type: Number
+        },
+        maxDiscount: {
+          type: Number
+        },
+        discount: {
+          type: Number
+        }
+      },
+      seats: {
+        type: Number,
+        default: 1,
+        min: [1, 'A booking needs at least 1 seat']
+      },
+      // Where this passenger gets off, when it differs from the ride destination
+      destination: {
+        address: {
+          type: String
+        },
+        location: {
+          type: {
+            type: String,
+            enum: ['Point']
+          },
+          coordinates: {
+            type: [Number], // [longitude, latitude]
+            default: undefined
+          }
+        }
+      },
       status: {
         type: String,
-        enum: ['pending', 'confirmed', 'cancelled', 'completed'],
+        enum: ['pending', 'confirmed', 'picked_up', 'cancelled', 'completed'],
         default: 'pending'
       },
+      bookedAt: {
+        type: Date,
+        default: Date.now
+      },
+      cancellation: {
+        by: {
+          type: String,
+          enum: ['passenger', 'driver', 'admin', 'system']
+        },
+        reason: {
+          type: String
+        },
+        fee: {
+          type: Number,
+          default: 0
+        },
+        noShow: {
+          type: Boolean,
+          default: false
+        },
+        cancelledAt: {
+          type: Date
+        }
+      },
+      // PIN the passenger gives the driver at pickup
+      pin: {
+        type: String,
+        select: false
+      },
+      // Wrong PINs entered since the last lockout
+      pinAttempts: {
+        type: Number,
+        default: 0
+      },
+      pinLockedUntil: {
+        type: Date
+      },
       pickupTime: {
         type: Date
       },
       dropoffTime: {
         type: Date
       },
+      // Passenger's rating of the driver
       rating: {
         driver: {
           type: Number,
           min: 1,
           max: 5
         },
+        tags: {
+          type: [String],
+          default: undefined
+        },
+        comment: {
+          type: String
+        },
+        createdAt: {
+          type: Date
+        }
+      },
+      // Driver's rating of this passenger
+      driverRating: {
+        score: {
+          type: Number,
+          min: 1,
+          max: 5
+        },
+        tags: {
+          type: [String],
+          default: undefined
+        },
         comment: {
           type: String
         },
@@ -80,6 +208,33 @@ const RideSchema = new mongoose.Schema({
     type: mongoose.Schema.ObjectId,
     ref: 'User'
   },
+  // Offers sent to drivers by the dispatcher
+  offers: [
+    {
+      driver: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      offeredAt: {
+        type: Date,
+        default: Date.now
+      },
+      expiresAt: {
+        type: Date
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined', 'expired', 'revoked'],
+        default: 'pending'
+      }
+    }
+  ],
+  vehicleType: {
+    type: String,
+    enum: ['sedan', 'suv', 'hatchback', 'any'],
+    default: 'any'
+  },
   route: {
     type: {
       type: String,
@@ -90,6 +245,41 @@ const RideSchema = new mongoose.Schema({
       type: [[Number]] // Array of [longitude, latitude] points
     }
   },
+  // Dropoff order planned for the pool, see utils/routePlanner.js
+  stops: [
+    {
+      ride: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Ride'
+      },
+      passenger: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+      },
+      location: {
+        type: {
+          type: String,
+          enum: ['Point'],
+          default: 'Point'
+        },
+        coordinates: {
+          type: [Number] // [longitude, latitude]
+        }
+      },
+      sequence: {
+        type: Number
+      },
+      distance: {
+        type: Number // km from pickup along the route
+      },
+      duration: {
+        type: Number // minutes from pickup along the route
+      },
+      detour: {
+        type: Number // km beyond the passenger's direct trip
+      }
+    }
+  ],
   status: {
     type: String,
     enum: ['pending', 'pooling', 'assigned', 'started', 'completed', 'cancelled'],
@@ -104,6 +294,18 @@ const RideSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
+    timeFare: {
+      type: Number,
+      default: 0
+    },
+    nightSurcharge: {
+      type: Number,
+      default: 0
+    },
+    surgeMultiplier: {
+      type: Number,
+      default: 1
+    },
     totalFare: {
       type: Number,
       required: true
@@ -117,6 +319,10 @@ const RideSchema = new mongoose.Schema({
       default: 'INR'
     }
   },
+  // Set when waiting passengers were told the driver is close to the pickup
+  driverArrivingAt: {
+    type: Date
+  },
   startedAt: {
     type: Date
   },
@@ -157,10 +363,23 @@ const RideSchema = new mongoose.Schema({
         type: Date,
         default: Date.now
       },
+      // True once anyone other than the sender has read the message
       isRead: {
         type: Boolean,
         default: false
-      }
+      },
+      readBy: [
+        {
+          user: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User'
+          },
+          readAt: {
+            type: Date,
+            default: Date.now
+          }
+        }
+      ]
     }
   ],
   driverLocation: {
@@ -199,5 +418,36 @@ RideSchema.index({ status: 1 });
 RideSchema.index({ driver: 1, status: 1 });
 RideSchema.index({ scheduledTime: 1 });
 RideSchema.index({ 'passengers.user': 1 });
+RideSchema.index({ 'passengers.promo.promoCode': 1 });
+// One booking per schedule occurrence
+RideSchema.index(
+  { schedule: 1, occurrence: 1 },
+  { unique: true, partialFilterExpression: { schedule: { $exists: true } } }
+);
+RideSchema.index({ 'offers.driver': 1, 'offers.status': 1 });
+
+// Generate a 4-digit ride PIN for a passenger
+RideSchema.statics.generatePin = function() {
+  return crypto.randomInt(0, 10000).toString().padStart(4, '0');
+};
+
+// Where a passenger gets off: their own destination or the ride's
+RideSchema.methods.dropoffFor = function(passenger) {
+  const own = passenger.destination && passenger.destination.location;
+  
+  return own && own.coordinates && own.coordinates.length === 2
+    ? own.coordinates
+    : this.destination.location.coordinates;
+};
+
+// Check if a user is an active passenger or the assigned driver of this ride
+// Passengers who cancelled no longer follow the ride or its chat
+RideSchema.methods.hasParticipant = function(userId) {
+  const id = userId.toString();
+  const idOf = ref => (ref && ref._id ? ref._id : ref);
+  
+  return (this.driver && idOf(this.driver).toString() === id) ||
+    this.passengers.some(p => p.status !== 'cancelled' && idOf(p.user).toString() === id);
+};
 
 module.exports = mongoose.model('Ride', RideSchema);
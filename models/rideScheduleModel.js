@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Check that a string names an IANA timezone
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Repeating booking, e.g. weekdays at 09:00 from a landmark to the office
+const RideScheduleSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  pickupLandmark: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Landmark',
+    required: [true, 'Please add a pickup landmark']
+  },
+  destination: {
+    address: {
+      type: String,
+      required: [true, 'Please add a destination address']
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: true
+      }
+    }
+  },
+  passengerCount: {
+    type: Number,
+    default: 1,
+    min: [1, 'A booking needs at least 1 seat']
+  },
+  vehicleType: {
+    type: String,
+    enum: ['any', 'sedan', 'suv', 'hatchback'],
+    default: 'any'
+  },
+  // Days of the week, 0 = Sunday
+  daysOfWeek: {
+    type: [Number],
+    validate: {
+      validator: days => days.length > 0 && days.every(day => Number.isInteger(day) && day >= 0 && day <= 6),
+      message: 'Please add days of the week between 0 (Sunday) and 6 (Saturday)'
+    }
+  },
+  // Pickup time in the schedule's timezone
+  time: {
+    type: String,
+    required: [true, 'Please add a pickup time'],
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Pickup time must be HH:mm']
+  },
+  timezone: {
+    type: String,
+    default: () => process.env.SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    validate: {
+      validator: isTimeZone,
+      message: 'Please add a valid timezone, e.g. Asia/Kolkata'
+    }
+  },
+  // First and last dates (YYYY-MM-DD) rides are booked for
+  startDate: {
+    type: String,
+    required: [true, 'Please add a start date'],
+    match: [DATE_PATTERN, 'Start date must be YYYY-MM-DD']
+  },
+  endDate: {
+    type: String,
+    match: [DATE_PATTERN, 'End date must be YYYY-MM-DD']
+  },
+  // Holidays and single skipped occurrences
+  skipDates: {
+    type: [String],
+    validate: {
+      validator: dates => dates.every(date => DATE_PATTERN.test(date)),
+      message: 'Skipped dates must be YYYY-MM-DD'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused'],
+    default: 'active'
+  },
+  // Last occurrence that could not be booked, so the user is told once
+  lastError: {
+    occurrence: {
+      type: String
+    },
+    message: {
+      type: String
+    },
+    at: {
+      type: Date
+    }
+  }
+}, {
+  timestamps: true
+});
+
+RideScheduleSchema.pre('validate', function(next) {
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be on or after the start date');
+  }
+
+  next();
+});
+
+RideScheduleSchema.index({ user: 1 });
+RideScheduleSchema.index({ status: 1 });
+
+module.exports = mongoose.model('RideSchedule', RideScheduleSchema);
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Hash a refresh token secret before it is stored
+const hashToken = token => crypto
+  .createHash('sha256')
+  .update(token)
+  .digest('hex');
+
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Current and previous refresh token secrets (hashed)
+  refreshToken: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousRefreshToken: {
+    type: String,
+    select: false
+  },
+  device: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot be more than 100 characters']
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Remove sessions once their refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+SessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Virtual field for whether the session can still be used
+SessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Create a session for a user and return it with its refresh token
+SessionSchema.statics.createForUser = async function(user, req) {
+  const secret = crypto.randomBytes(40).toString('hex');
+
+  const session = await this.create({
+    user: user._id,
+    refreshToken: hashToken(secret),
+    device: req.body && req.body.device,
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: Date.now() + (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30) * 24 * 60 * 60 * 1000
+  });
+
+  return {
+    session,
+    refreshToken: `${session._id}.${secret}`
+  };
+};
+
+// Split a refresh token into its session id and secret
+SessionSchema.statics.parseRefreshToken = function(refreshToken) {
+  const [sessionId, secret] = String(refreshToken).split('.');
+
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+
+  return { sessionId, secret };
+};
+
+// Revoke every active session of a user
+SessionSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: Date.now() }
+  );
+};
+
+// Check a refresh token secret against the current and previous token
+// Returns 'current', 'previous' or null
+SessionSchema.methods.matchRefreshToken = function(secret) {
+  const hashed = hashToken(secret);
+
+  if (hashed === this.refreshToken) {
+    return 'current';
+  }
+
+  if (hashed === this.previousRefreshToken) {
+    return 'previous';
+  }
+
+  return null;
+};
+
+// Replace the refresh token and return the new one
+SessionSchema.methods.rotateRefreshToken = function() {
+  const secret = crypto.randomBytes(40).toString('hex');
+
+  this.previousRefreshToken = this.refreshToken;
+  this.refreshToken = hashToken(secret);
+  this.lastUsedAt = Date.now();
+
+  return `${this._id}.${secret}`;
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// Ledger accounts
+// wallet and driver_earnings are kept per user, the others are platform-wide.
+// promotions is what the platform spends on promo discounts and referral credits
+const ACCOUNTS = ['wallet', 'driver_earnings', 'platform_commission', 'gateway', 'promotions'];
+
+// Accounts whose balance is debits minus credits
+const DEBIT_ACCOUNTS = ['gateway', 'promotions'];
+
+// Amounts are stored in the currency's main unit, rounded to 2 decimals
+const round = amount => Math.round(amount * 100) / 100;
+
+const EntrySchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: ACCOUNTS,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Debits cannot be negative'],
+    set: round
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credits cannot be negative'],
+    set: round
+  }
+}, { _id: false });
+
+const TransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['topup', 'ride_charge', 'cancellation_fee', 'refund', 'payout', 'referral_credit'],
+    required: true
+  },
+  // User the transaction is for (payer of a charge, owner of a top-up, driver paid out)
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ride: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Ride'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative'],
+    set: round
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  description: {
+    type: String
+  },
+  // Double-entry lines, debits and credits must balance
+  entries: {
+    type: [EntrySchema],
+    validate: {
+      validator: entries => entries.length >= 2,
+      message: 'A transaction needs at least two entries'
+    }
+  },
+  // Payment gateway reference for money moving in or out of the platform
+  gateway: {
+    name: {
+      type: String
+    },
+    reference: {
+      type: String
+    }
+  },
+  refundOf: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Transaction'
+  },
+  refundedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Make sure the books balance
+TransactionSchema.pre('validate', function(next) {
+  const debits = this.entries.reduce((sum, entry) => sum + entry.debit, 0);
+  const credits = this.entries.reduce((sum, entry) => sum + entry.credit, 0);
+
+  if (Math.abs(debits - credits) > 0.001) {
+    this.invalidate('entries', `Debits (${debits}) and credits (${credits}) do not balance`);
+  }
+
+  next();
+});
+
+TransactionSchema.index({ 'entries.account': 1, 'entries.user': 1 });
+TransactionSchema.index({ user: 1, createdAt: -1 });
+TransactionSchema.index({ ride: 1, type: 1 });
+
+// A passenger is charged each fare or fee of a ride once, and each
+// transaction is refunded once (refunds are told apart by refundOf)
+TransactionSchema.index(
+  { type: 1, ride: 1, user: 1, refundOf: 1 },
+  { unique: true, partialFilterExpression: { ride: { $exists: true } } }
+);
+
+TransactionSchema.statics.ACCOUNTS = ACCOUNTS;
+TransactionSchema.statics.DEBIT_ACCOUNTS = DEBIT_ACCOUNTS;
+TransactionSchema.statics.round = round;
+
+module.exports = mongoose.model('Transaction', TransactionSchema);
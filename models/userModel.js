@@ -1,7 +1,28 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
+// Hash an OTP before it is stored
+const hashOtp = code => crypto
+  .createHash('sha256')
+  .update(`${code}${process.env.JWT_SECRET}`)
+  .digest('hex');
+
+// Referral codes avoid characters that are easy to confuse (0/O, 1/I)
+const REFERRAL_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateReferralCode = () => Array.from(
+  crypto.randomBytes(8),
+  byte => REFERRAL_ALPHABET[byte % REFERRAL_ALPHABET.length]
+).join('');
+
+// Hash a link token before it is stored
+const hashToken = token => crypto
+  .createHash('sha256')
+  .update(token)
+  .digest('hex');
+
 const UserSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -46,6 +67,41 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Phone verification OTP (hashed)
+  phoneOtp: {
+    type: String,
+    select: false
+  },
+  phoneOtpExpire: {
+    type: Date,
+    select: false
+  },
+  phoneOtpAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  phoneOtpSentAt: {
+    type: Date,
+    select: false
+  },
+  // Email verification and password reset tokens (hashed)
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
   profileImage: {
     type: String,
     default: 'default.jpg'
@@ -60,6 +116,24 @@ const UserSchema = new mongoose.Schema({
   address: {
     type: String
   },
+  // Optional company details printed on trip invoices
+  billing: {
+    companyName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Company name cannot be more than 100 characters']
+    },
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Please add a valid GSTIN']
+    },
+    address: {
+      type: String,
+      maxlength: [200, 'Billing address cannot be more than 200 characters']
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -70,6 +144,10 @@ const UserSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    city: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'City'
+    },
     licenseNumber: {
       type: String
     },
@@ -88,9 +166,50 @@ const UserSchema = new mongoose.Schema({
     vehicleYear: {
       type: Number
     },
+    vehicleType: {
+      type: String,
+      enum: ['sedan', 'suv', 'hatchback']
+    },
+    seatingCapacity: {
+      type: Number,
+      min: [1, 'Seating capacity must be at least 1'],
+      max: [8, 'Seating capacity cannot be more than 8']
+    },
     isAvailable: {
       type: Boolean,
       default: false
+    },
+    // Set when too many cancellations suspend the driver's availability
+    suspendedUntil: {
+      type: Date
+    },
+    // Review state of the driver's documents, see utils/driverVerification.js
+    verification: {
+      status: {
+        type: String,
+        enum: ['not_submitted', 'pending', 'approved', 'rejected', 'expired'],
+        default: 'not_submitted'
+      },
+      submittedAt: {
+        type: Date
+      },
+      reviewedAt: {
+        type: Date
+      }
+    }
+  },
+  // Driver live location (only set for drivers sharing their position)
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined
+    },
+    lastUpdated: {
+      type: Date
     }
   },
   // User ratings
@@ -102,8 +221,58 @@ const UserSchema = new mongoose.Schema({
     count: {
       type: Number,
       default: 0
+    },
+    // Average of the most recent ratings, see utils/ratings.js
+    recentAverage: {
+      type: Number
+    },
+    // Set while the recent average is below the flag threshold
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    flaggedAt: {
+      type: Date
+    }
+  },
+  // Code other people sign up with to refer this user's friends
+  referralCode: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  referredBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // Set when the referral credits for this user's first ride are paid
+  referralRewardedAt: {
+    type: Date
+  },
+  // Channels notifications are delivered on, see utils/notifications.js
+  notificationPreferences: {
+    inApp: {
+      type: Boolean,
+      default: true
+    },
+    push: {
+      type: Boolean,
+      default: true
+    },
+    sms: {
+      type: Boolean,
+      default: false
+    },
+    email: {
+      type: Boolean,
+      default: false
     }
   },
+  // Device tokens for push notifications
+  pushTokens: {
+    type: [String],
+    select: false
+  },
   // User stats
   stats: {
     ridesCompleted: {
@@ -118,6 +287,14 @@ const UserSchema = new mongoose.Schema({
     totalEarnings: {
       type: Number,
       default: 0
+    },
+    ridesAccepted: {
+      type: Number,
+      default: 0
+    },
+    ridesCancelled: {
+      type: Number,
+      default: 0
     }
   }
 }, {
@@ -126,6 +303,9 @@ const UserSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Geospatial index for driver location
+UserSchema.index({ location: '2dsphere' });
+
 // Virtual field for driver's current ride
 UserSchema.virtual('currentRide', {
   ref: 'Ride',
@@ -146,16 +326,35 @@ UserSchema.virtual('rides', {
 // Encrypt password using bcrypt
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function() {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
+// Give new users a referral code
+UserSchema.pre('save', function(next) {
+  if (this.isNew && !this.referralCode) {
+    this.referralCode = generateReferralCode();
+  }
+  
+  next();
+});
+
+// Get the user's referral code, creating one for users who signed up before referrals
+UserSchema.methods.getReferralCode = async function() {
+  if (!this.referralCode) {
+    this.referralCode = generateReferralCode();
+    await this.constructor.updateOne({ _id: this._id }, { referralCode: this.referralCode });
+  }
+  
+  return this.referralCode;
+};
+
+// Sign JWT for a session and return
+UserSchema.methods.getSignedJwtToken = function(sessionId) {
+  return jwt.sign({ id: this._id, sid: sessionId }, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRE
   });
 };
@@ -165,4 +364,59 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Generate and hash phone verification OTP
+UserSchema.methods.getPhoneOtp = function() {
+  const length = parseInt(process.env.OTP_LENGTH, 10) || 6;
+  const code = crypto.randomInt(0, 10 ** length).toString().padStart(length, '0');
+  
+  this.phoneOtp = hashOtp(code);
+  this.phoneOtpExpire = Date.now() + (parseInt(process.env.OTP_EXPIRE_MINUTES, 10) || 10) * 60 * 1000;
+  this.phoneOtpAttempts = 0;
+  this.phoneOtpSentAt = Date.now();
+  
+  return code;
+};
+
+// Match user entered OTP to hashed OTP in database
+UserSchema.methods.matchPhoneOtp = function(enteredCode) {
+  if (!this.phoneOtp || !enteredCode) {
+    return false;
+  }
+  
+  const entered = Buffer.from(hashOtp(String(enteredCode)));
+  const stored = Buffer.from(this.phoneOtp);
+  
+  return entered.length === stored.length && crypto.timingSafeEqual(entered, stored);
+};
+
+// Clear phone verification OTP
+UserSchema.methods.clearPhoneOtp = function() {
+  this.phoneOtp = undefined;
+  this.phoneOtpExpire = undefined;
+  this.phoneOtpAttempts = 0;
+};
+
+// Generate and hash password reset token
+UserSchema.methods.getResetPasswordToken = function() {
+  const resetToken = crypto.randomBytes(20).toString('hex');
+  
+  this.resetPasswordToken = hashToken(resetToken);
+  this.resetPasswordExpire = Date.now() + (parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES, 10) || 10) * 60 * 1000;
+  
+  return resetToken;
+};
+
+// Generate and hash email verification token
+UserSchema.methods.getEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(20).toString('hex');
+  
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpire = Date.now() + (parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 24) * 60 * 60 * 1000;
+  
+  return verificationToken;
+};
+
+// Hash a token from a link so it can be looked up
+UserSchema.statics.hashToken = token => hashToken(token);
+
 module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Audit history of a driver's verification
+const VerificationLogSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['submitted', 'approved', 'rejected', 'expired'],
+    required: true
+  },
+  // Admin who reviewed; empty for submissions and automatic expiry
+  by: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+VerificationLogSchema.index({ driver: 1, createdAt: -1 });
+
+module.exports = mongoose.model('VerificationLog', VerificationLogSchema);
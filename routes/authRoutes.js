@@ -3,11 +3,20 @@ const {
   register,
   login,
   logout,
+  logoutAll,
+  refreshToken,
+  getSessions,
+  revokeSession,
   getMe,
+  getReferrals,
   updateDetails,
   updatePassword,
   sendVerification,
-  verifyPhone
+  verifyPhone,
+  forgotPassword,
+  resetPassword,
+  sendEmailVerificationLink,
+  verifyEmail
 } = require('../controllers/authController');
 
 const router = express.Router();
@@ -16,11 +25,20 @@ const { protect } = require('../middleware/auth');
 
 router.post('/register', register);
 router.post('/login', login);
-router.get('/logout', logout);
+router.post('/refresh', refreshToken);
+router.get('/logout', protect, logout);
+router.post('/logoutall', protect, logoutAll);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, revokeSession);
 router.get('/me', protect, getMe);
+router.get('/referrals', protect, getReferrals);
 router.put('/updatedetails', protect, updateDetails);
 router.put('/updatepassword', protect, updatePassword);
 router.post('/sendverification', sendVerification);
 router.post('/verifyphone', verifyPhone);
+router.post('/forgotpassword', forgotPassword);
+router.put('/resetpassword/:token', resetPassword);
+router.post('/sendemailverification', protect, sendEmailVerificationLink);
+router.get('/verifyemail/:token', verifyEmail);
 
 module.exports = router;
@@ -6,7 +6,10 @@ const {
   updateCity,
   deleteCity,
   getCityStats,
-  getCityLandmarks
+  getCityLandmarks,
+  getCityFares,
+  updateCityFares,
+  deleteCityFares
 } = require('../controllers/cityController');
 
 const router = express.Router();
@@ -45,4 +48,10 @@ router
   .route('/:id/stats')
   .get(authorize('admin'), getCityStats);
 
+router
+  .route('/:id/fares')
+  .get(authorize('admin'), getCityFares)
+  .put(authorize('admin'), updateCityFares)
+  .delete(authorize('admin'), deleteCityFares);
+
 module.exports = router;
@@ -3,15 +3,46 @@ const {
   getDriverDetails,
   updateDriverDetails,
   setAvailability,
+  heartbeat,
   submitVerification,
   approveDriver,
+  rejectDriver,
+  getVerificationQueue,
+  getVerification,
+  getDocument,
   getAllDrivers,
-  getNearbyDrivers
+  getNearbyDrivers,
+  getMyEarnings,
+  getEarningsStatement,
+  requestPayout,
+  getMyPayouts,
+  getPayouts,
+  approvePayout,
+  rejectPayout
 } = require('../controllers/driverController');
 
 const router = express.Router();
 
 const { protect, authorize } = require('../middleware/auth');
+const { driverDocuments } = require('../middleware/upload');
+const advancedResults = require('../middleware/advancedResults');
+const Payout = require('../models/payoutModel');
+
+// Routes declared before /:id so "nearby", "payouts" and "verifications" are not taken as driver ids
+router
+  .route('/nearby')
+  .get(protect, getNearbyDrivers);
+
+router
+  .route('/payouts')
+  .get(protect, authorize('admin'), advancedResults(
+    Payout,
+    { path: 'driver', select: 'name email phone' }
+  ), getPayouts);
+
+router
+  .route('/verifications')
+  .get(protect, authorize('admin'), getVerificationQueue);
 
 // Public routes
 router
@@ -21,11 +52,6 @@ router
 // Protected routes
 router.use(protect);
 
-// Routes for all authenticated users
-router
-  .route('/nearby')
-  .get(getNearbyDrivers);
-
 // Driver specific routes
 router
   .route('/me')
@@ -35,9 +61,34 @@ router
   .route('/availability')
   .put(authorize('driver'), setAvailability);
 
+router
+  .route('/heartbeat')
+  .put(authorize('driver'), heartbeat);
+
 router
   .route('/verify')
-  .post(authorize('driver'), submitVerification);
+  .post(authorize('driver'), driverDocuments, submitVerification);
+
+router
+  .route('/me/earnings')
+  .get(authorize('driver'), getMyEarnings);
+
+router
+  .route('/me/earnings/statement')
+  .get(authorize('driver'), getEarningsStatement);
+
+router
+  .route('/me/payouts')
+  .get(authorize('driver'), getMyPayouts)
+  .post(authorize('driver'), requestPayout);
+
+router
+  .route('/:id/verification')
+  .get(getVerification);
+
+router
+  .route('/:id/documents/:documentId')
+  .get(getDocument);
 
 // Admin only routes
 router
@@ -48,4 +99,16 @@ router
   .route('/:id/approve')
   .put(authorize('admin'), approveDriver);
 
+router
+  .route('/:id/reject')
+  .put(authorize('admin'), rejectDriver);
+
+router
+  .route('/payouts/:id/approve')
+  .put(authorize('admin'), approvePayout);
+
+router
+  .route('/payouts/:id/reject')
+  .put(authorize('admin'), rejectPayout);
+
 module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const {
+  getNotifications,
+  markRead,
+  markAllRead,
+  getPreferences,
+  updatePreferences,
+  addDevice,
+  removeDevice
+} = require('../controllers/notificationController');
+
+const router = express.Router();
+
+const { protect } = require('../middleware/auth');
+
+// Protected routes
+router.use(protect);
+
+router
+  .route('/')
+  .get(getNotifications);
+
+router
+  .route('/read')
+  .put(markAllRead);
+
+router
+  .route('/preferences')
+  .get(getPreferences)
+  .put(updatePreferences);
+
+router
+  .route('/devices')
+  .post(addDevice);
+
+router
+  .route('/devices/:token')
+  .delete(removeDevice);
+
+router
+  .route('/:id/read')
+  .put(markRead);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const {
+  getPromoCodes,
+  getPromoCode,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode
+} = require('../controllers/promoController');
+
+const router = express.Router();
+
+const { protect, authorize } = require('../middleware/auth');
+const advancedResults = require('../middleware/advancedResults');
+const PromoCode = require('../models/promoCodeModel');
+
+// Admin only routes
+router.use(protect);
+router.use(authorize('admin'));
+
+router
+  .route('/')
+  .get(advancedResults(PromoCode), getPromoCodes)
+  .post(createPromoCode);
+
+router
+  .route('/:id')
+  .get(getPromoCode)
+  .put(updatePromoCode)
+  .delete(deletePromoCode);
+
+module.exports = router;
@@ -2,20 +2,34 @@ const express = require('express');
 const {
   getRides,
   getRide,
+  getRideRoute,
+  getRideReceipt,
+  getFareEstimate,
   createRide,
+  getJoinableRides,
+  joinRide,
+  leaveRide,
   cancelRide,
   acceptRide,
+  declineRide,
+  getOpenRides,
   startRide,
   completeRide,
+  pickupPassenger,
+  dropoffPassenger,
+  markNoShow,
   rateRide,
+  ratePassenger,
   getMyRides,
+  getMessages,
   addMessage,
+  markMessagesRead,
   updateDriverLocation
 } = require('../controllers/rideController');
 
 const router = express.Router();
 
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePhoneVerified } = require('../middleware/auth');
 const advancedResults = require('../middleware/advancedResults');
 const Ride = require('../models/rideModel');
 
@@ -23,26 +37,59 @@ const Ride = require('../models/rideModel');
 router.use(protect);
 
 // Routes for all authenticated users
+router
+  .route('/estimate')
+  .get(getFareEstimate);
+
+router
+  .route('/myrides')
+  .get(getMyRides);
+
+router
+  .route('/open')
+  .get(authorize('driver'), getOpenRides);
+
+router
+  .route('/pools')
+  .get(getJoinableRides);
+
 router
   .route('/:id')
   .get(getRide);
 
+router
+  .route('/:id/route')
+  .get(getRideRoute);
+
+router
+  .route('/:id/receipt')
+  .get(getRideReceipt);
+
 router
   .route('/:id/cancel')
   .put(cancelRide);
 
 router
   .route('/:id/messages')
+  .get(getMessages)
   .post(addMessage);
 
 router
-  .route('/myrides')
-  .get(getMyRides);
+  .route('/:id/messages/read')
+  .put(markMessagesRead);
 
 // Passenger specific routes
 router
   .route('/')
-  .post(authorize('passenger'), createRide);
+  .post(authorize('passenger'), requirePhoneVerified, createRide);
+
+router
+  .route('/:id/join')
+  .post(authorize('passenger'), requirePhoneVerified, joinRide);
+
+router
+  .route('/:id/leave')
+  .delete(authorize('passenger'), leaveRide);
 
 router
   .route('/:id/rate')
@@ -51,7 +98,11 @@ router
 // Driver specific routes
 router
   .route('/:id/accept')
-  .put(authorize('driver'), acceptRide);
+  .put(authorize('driver'), requirePhoneVerified, acceptRide);
+
+router
+  .route('/:id/decline')
+  .put(authorize('driver'), declineRide);
 
 router
   .route('/:id/start')
@@ -61,6 +112,22 @@ router
   .route('/:id/complete')
   .put(authorize('driver'), completeRide);
 
+router
+  .route('/:id/passengers/:userId/pickup')
+  .put(authorize('driver'), pickupPassenger);
+
+router
+  .route('/:id/passengers/:userId/dropoff')
+  .put(authorize('driver'), dropoffPassenger);
+
+router
+  .route('/:id/passengers/:userId/noshow')
+  .put(authorize('driver'), markNoShow);
+
+router
+  .route('/:id/passengers/:userId/rate')
+  .put(authorize('driver'), ratePassenger);
+
 router
   .route('/:id/location')
   .put(authorize('driver'), updateDriverLocation);
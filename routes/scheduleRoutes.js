@@ -0,0 +1,48 @@
+const express = require('express');
+const {
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  skipOccurrence,
+  unskipOccurrence
+} = require('../controllers/scheduleController');
+
+const router = express.Router();
+
+const { protect, authorize, requirePhoneVerified } = require('../middleware/auth');
+
+// Protected routes
+router.use(protect);
+
+router
+  .route('/')
+  .get(authorize('passenger'), getSchedules)
+  .post(authorize('passenger'), requirePhoneVerified, createSchedule);
+
+router
+  .route('/:id')
+  .get(getSchedule)
+  .put(updateSchedule)
+  .delete(deleteSchedule);
+
+router
+  .route('/:id/pause')
+  .put(pauseSchedule);
+
+router
+  .route('/:id/resume')
+  .put(resumeSchedule);
+
+router
+  .route('/:id/skip')
+  .post(skipOccurrence);
+
+router
+  .route('/:id/skip/:date')
+  .delete(unskipOccurrence);
+
+module.exports = router;
@@ -6,7 +6,8 @@ const {
   updateUser,
   deleteUser,
   getDriverStats,
-  getPassengerStats
+  getPassengerStats,
+  getUserRatings
 } = require('../controllers/userController');
 
 const router = express.Router();
@@ -16,6 +17,10 @@ const advancedResults = require('../middleware/advancedResults');
 const User = require('../models/userModel');
 
 router.use(protect);
+
+// Ratings are visible to every signed in user
+router.get('/:id/ratings', getUserRatings);
+
 router.use(authorize('admin'));
 
 router
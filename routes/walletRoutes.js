@@ -0,0 +1,38 @@
+const express = require('express');
+const {
+  getWallet,
+  topUpWallet,
+  getTransactions,
+  refundTransaction,
+  getReconciliation
+} = require('../controllers/walletController');
+
+const router = express.Router();
+
+const { protect, authorize } = require('../middleware/auth');
+
+// Protected routes
+router.use(protect);
+
+router
+  .route('/')
+  .get(getWallet);
+
+router
+  .route('/topup')
+  .post(authorize('passenger'), topUpWallet);
+
+router
+  .route('/transactions')
+  .get(getTransactions);
+
+// Admin only routes
+router
+  .route('/transactions/:id/refund')
+  .post(authorize('admin'), refundTransaction);
+
+router
+  .route('/reconciliation')
+  .get(authorize('admin'), getReconciliation);
+
+module.exports = router;
@@ -3,7 +3,14 @@ const cors = require('cors');
 const morgan = require('morgan');
 const dotenv = require('dotenv');
 const connectDB = require('./config/db');
+const { initSocket } = require('./config/socket');
 const errorHandler = require('./middleware/errorHandler');
+const driverLocation = require('./utils/driverLocation');
+const dispatcher = require('./utils/dispatcher');
+const rideSchedules = require('./utils/rideSchedules');
+const jobQueue = require('./utils/jobQueue');
+const rideJobs = require('./utils/rideJobs');
+const driverVerification = require('./utils/driverVerification');
 
 // Load environment variables
 dotenv.config();
@@ -32,6 +39,10 @@ app.use('/api/cities', require('./routes/cityRoutes'));
 app.use('/api/landmarks', require('./routes/landmarkRoutes'));
 app.use('/api/rides', require('./routes/rideRoutes'));
 app.use('/api/drivers', require('./routes/driverRoutes'));
+app.use('/api/wallet', require('./routes/walletRoutes'));
+app.use('/api/promos', require('./routes/promoRoutes'));
+app.use('/api/schedules', require('./routes/scheduleRoutes'));
+app.use('/api/notifications', require('./routes/notificationRoutes'));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -54,46 +65,25 @@ process.on('unhandledRejection', (err, promise) => {
   server.close(() => process.exit(1));
 });
 
+// Expire stale driver locations every minute
+setInterval(() => {
+  driverLocation.expireStaleLocations().catch(err => console.log(`Error: ${err.message}`));
+}, 60 * 1000).unref();
+
+// Book rides for recurring schedules every five minutes
+setInterval(() => {
+  rideSchedules.generateUpcomingRides().catch(err => console.log(`Error: ${err.message}`));
+}, 5 * 60 * 1000).unref();
+
 // Socket.io setup
-const io = require('socket.io')(server, {
-  cors: {
-    origin: '*',
-    methods: ['GET', 'POST']
-  }
-});
+initSocket(server);
 
-// Socket.io connection
-io.on('connection', (socket) => {
-  console.log('New client connected');
-  
-  // Join a ride room
-  socket.on('joinRide', (rideId) => {
-    socket.join(`ride_${rideId}`);
-    console.log(`User joined ride_${rideId}`);
-  });
-  
-  // Leave a ride room
-  socket.on('leaveRide', (rideId) => {
-    socket.leave(`ride_${rideId}`);
-    console.log(`User left ride_${rideId}`);
-  });
-  
-  // Update driver location
-  socket.on('updateDriverLocation', (data) => {
-    // data = { rideId, location: { lat, lng } }
-    io.to(`ride_${data.rideId}`).emit('driverLocationUpdated', data.location);
-  });
-  
-  // New message in chat
-  socket.on('sendMessage', (data) => {
-    // data = { rideId, message, sender }
-    io.to(`ride_${data.rideId}`).emit('newMessage', data);
-  });
-  
-  // Disconnect
-  socket.on('disconnect', () => {
-    console.log('Client disconnected');
-  });
-});
+// Pick up ride offers that were in flight before a restart
+dispatcher.resumeOpenRides();
+
+// Run reminders and ride expiry jobs, including for rides booked before they existed
+rideJobs.scheduleOpenRides().catch(err => console.log(`Error: ${err.message}`));
+driverVerification.scheduleLicenseChecks().catch(err => console.log(`Error: ${err.message}`));
+jobQueue.start();
 
 module.exports = server;
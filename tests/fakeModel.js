@@ -0,0 +1,430 @@
+const mongoose = require('mongoose');
+
+/**
+ * In-memory stand-in for a Mongoose model, for tests without a database.
+ *
+ * Documents are built with the real model, so defaults, setters and
+ * validation apply, and the model's unique indexes are enforced. Queries and
+ * updates support the operators the utils use; anything else throws, so a
+ * test never passes on a query the fake does not understand.
+ *
+ * Use it from a jest.mock factory:
+ *   jest.mock('../models/transactionModel', () =>
+ *     require('./fakeModel')(jest.requireActual('../models/transactionModel')));
+ */
+
+// Let other pending operations run, like a round trip to the database would
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const isObjectId = value => value instanceof mongoose.Types.ObjectId;
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' &&
+  !Array.isArray(value) && !(value instanceof Date) && !isObjectId(value);
+
+const isOperatorObject = value => isPlainObject(value) &&
+  Object.keys(value).some(key => key.startsWith('$'));
+
+// Copy plain objects and arrays, keep ids and dates
+const clone = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+
+  return value;
+};
+
+// Comparable form of a value; a missing field compares like null
+const keyOf = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  return value instanceof Date ? value.getTime() : String(value);
+};
+
+const numberOf = value => (value instanceof Date ? value.getTime() : value);
+
+// Every value at a dotted path, looking inside arrays on the way
+const valuesAt = (value, keys) => {
+  if (keys.length === 0) {
+    return [value];
+  }
+
+  if (Array.isArray(value)) {
+    return value.flatMap(item => valuesAt(item, keys));
+  }
+
+  if (value === null || value === undefined) {
+    return [undefined];
+  }
+
+  return valuesAt(value[keys[0]], keys.slice(1));
+};
+
+const valueAt = (doc, path) => valuesAt(doc, path.split('.'))[0];
+
+// Field reference ('$field') or literal in an expression
+const operand = (doc, value) => (typeof value === 'string' && value.startsWith('$')
+  ? valueAt(doc, value.slice(1))
+  : value);
+
+const evaluate = (doc, expression) => {
+  const [[operator, args]] = Object.entries(expression);
+  const [left, right] = args.map(arg => operand(doc, arg));
+
+  switch (operator) {
+    case '$eq':
+      return keyOf(left) === keyOf(right);
+    case '$lt':
+      return numberOf(left) < numberOf(right);
+    case '$lte':
+      return numberOf(left) <= numberOf(right);
+    case '$gt':
+      return numberOf(left) > numberOf(right);
+    case '$gte':
+      return numberOf(left) >= numberOf(right);
+    default:
+      throw new Error(`fakeModel does not support ${operator} in $expr`);
+  }
+};
+
+const compare = (values, test) => values.some(value =>
+  value !== undefined && value !== null && test(numberOf(value)));
+
+const matchesCondition = (values, condition) => {
+  if (!isOperatorObject(condition)) {
+    const expected = keyOf(condition);
+
+    return values.some(value => (Array.isArray(value)
+      ? value.some(item => keyOf(item) === expected)
+      : keyOf(value) === expected));
+  }
+
+  return Object.entries(condition).every(([operator, arg]) => {
+    switch (operator) {
+      case '$exists':
+        return values.some(value => value !== undefined) === Boolean(arg);
+      case '$ne':
+        return !matchesCondition(values, arg);
+      case '$not':
+        return !matchesCondition(values, arg);
+      case '$in':
+        return arg.some(item => matchesCondition(values, item));
+      case '$nin':
+        return !arg.some(item => matchesCondition(values, item));
+      case '$lt':
+        return compare(values, value => value < numberOf(arg));
+      case '$lte':
+        return compare(values, value => value <= numberOf(arg));
+      case '$gt':
+        return compare(values, value => value > numberOf(arg));
+      case '$gte':
+        return compare(values, value => value >= numberOf(arg));
+      case '$elemMatch':
+        return values.some(value => Array.isArray(value) && value.some(item => matches(item, arg)));
+      default:
+        throw new Error(`fakeModel does not support ${operator}`);
+    }
+  });
+};
+
+const matches = (doc, query = {}) => Object.entries(query).every(([key, condition]) => {
+  if (key === '$or') {
+    return condition.some(branch => matches(doc, branch));
+  }
+
+  if (key === '$and') {
+    return condition.every(branch => matches(doc, branch));
+  }
+
+  if (key === '$expr') {
+    return evaluate(doc, condition);
+  }
+
+  return matchesCondition(valuesAt(doc, key.split('.')), condition);
+});
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (!isPlainObject(target[key])) {
+      target[key] = {};
+    }
+    return target[key];
+  }, doc);
+
+  parent[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => (target ? target[key] : undefined), doc);
+
+  if (parent) {
+    delete parent[last];
+  }
+};
+
+const applyUpdate = (doc, update) => {
+  Object.entries(update).forEach(([key, value]) => {
+    if (key === '$set') {
+      Object.entries(value).forEach(([path, item]) => setPath(doc, path, item));
+    } else if (key === '$unset') {
+      Object.keys(value).forEach(path => unsetPath(doc, path));
+    } else if (key === '$inc') {
+      Object.entries(value).forEach(([path, item]) => setPath(doc, path, (valueAt(doc, path) || 0) + item));
+    } else if (key.startsWith('$')) {
+      throw new Error(`fakeModel does not support ${key}`);
+    } else {
+      setPath(doc, key, value);
+    }
+  });
+};
+
+const accumulate = (doc, accumulator) => {
+  const [[operator, expression]] = Object.entries(accumulator);
+
+  if (operator !== '$sum') {
+    throw new Error(`fakeModel does not support ${operator} in $group`);
+  }
+
+  return operand(doc, expression) || 0;
+};
+
+const runStage = (docs, stage) => {
+  const [[name, spec]] = Object.entries(stage);
+
+  switch (name) {
+    case '$match':
+      return docs.filter(doc => matches(doc, spec));
+    case '$unwind': {
+      const path = spec.slice(1);
+      return docs.flatMap(doc => (valueAt(doc, path) || []).map(item => {
+        const unwound = clone(doc);
+        setPath(unwound, path, item);
+        return unwound;
+      }));
+    }
+    case '$group': {
+      const { _id: idExpression, ...accumulators } = spec;
+      const groups = new Map();
+
+      docs.forEach((doc) => {
+        const id = idExpression === null ? null : operand(doc, idExpression);
+        const key = keyOf(id);
+
+        if (!groups.has(key)) {
+          groups.set(key, Object.fromEntries([
+            ['_id', id],
+            ...Object.keys(accumulators).map(field => [field, 0])
+          ]));
+        }
+
+        const group = groups.get(key);
+        Object.entries(accumulators).forEach(([field, accumulator]) => {
+          group[field] += accumulate(doc, accumulator);
+        });
+      });
+
+      return [...groups.values()];
+    }
+    case '$sort':
+      return [...docs].sort((a, b) => Object.entries(spec).reduce((order, [path, direction]) => {
+        if (order !== 0) {
+          return order;
+        }
+        const left = keyOf(valueAt(a, path));
+        const right = keyOf(valueAt(b, path));
+        return left === right ? 0 : (left < right ? -direction : direction);
+      }, 0));
+    default:
+      throw new Error(`fakeModel does not support the ${name} stage`);
+  }
+};
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+/**
+ * Build a fake of a model
+ * @param {Object} Model - Real Mongoose model
+ * @returns {Object} - Fake model with the real model's statics, plus `docs` and `reset`
+ */
+module.exports = (Model) => {
+  const uniqueIndexes = Model.schema.indexes().filter(([, options]) => options && options.unique);
+  const timestamps = Boolean(Model.schema.options.timestamps);
+  let docs = [];
+
+  const inIndex = (doc, options) => !options.partialFilterExpression ||
+    matches(doc, options.partialFilterExpression);
+
+  const indexKey = (doc, fields) => JSON.stringify(Object.keys(fields).map(field => keyOf(valueAt(doc, field))));
+
+  const checkUnique = (doc) => {
+    uniqueIndexes.forEach(([fields, options]) => {
+      if (!inIndex(doc, options)) {
+        return;
+      }
+
+      const key = indexKey(doc, fields);
+      const duplicate = docs.some(other => keyOf(other._id) !== keyOf(doc._id) &&
+        inIndex(other, options) &&
+        indexKey(other, fields) === key);
+
+      if (duplicate) {
+        throw duplicateKeyError();
+      }
+    });
+  };
+
+  const find = query => docs.filter(doc => matches(doc, query));
+
+  const store = (doc) => {
+    checkUnique(doc);
+    docs = [...docs.filter(other => keyOf(other._id) !== keyOf(doc._id)), doc];
+  };
+
+  // Returned documents are copies, saved back with save()
+  const wrap = (doc) => {
+    if (!doc) {
+      return null;
+    }
+
+    const copy = clone(doc);
+
+    Object.defineProperty(copy, 'save', {
+      value: async () => {
+        await tick();
+        store(clone(copy));
+        return copy;
+      }
+    });
+
+    return copy;
+  };
+
+  const build = (data) => {
+    const doc = new Model(data).toObject();
+
+    if (timestamps) {
+      const now = new Date();
+      doc.createdAt = doc.createdAt || now;
+      doc.updatedAt = now;
+    }
+
+    return doc;
+  };
+
+  const fake = {
+    ...Model.schema.statics,
+
+    get docs() {
+      return docs.map(clone);
+    },
+
+    reset() {
+      docs = [];
+    },
+
+    // Add documents without validation, for fixtures of models with many required fields
+    seed(...items) {
+      items.forEach(item => store(build(item)));
+    },
+
+    async create(data) {
+      await new Model(data).validate();
+      await tick();
+
+      const doc = build(data);
+      store(doc);
+
+      return wrap(doc);
+    },
+
+    async find(query) {
+      await tick();
+      return find(query).map(wrap);
+    },
+
+    async findOne(query) {
+      await tick();
+      return wrap(find(query)[0]);
+    },
+
+    async findById(id) {
+      await tick();
+      return wrap(find({ _id: id })[0]);
+    },
+
+    async exists(query) {
+      await tick();
+      const doc = find(query)[0];
+      return doc ? { _id: doc._id } : null;
+    },
+
+    async countDocuments(query) {
+      await tick();
+      return find(query).length;
+    },
+
+    async distinct(path, query) {
+      await tick();
+      const values = find(query).flatMap(doc => valuesAt(doc, path.split('.')));
+      return [...new Map(values.map(value => [keyOf(value), value])).values()];
+    },
+
+    async findOneAndUpdate(query, update, options = {}) {
+      await tick();
+      const doc = find(query)[0];
+
+      if (!doc) {
+        return null;
+      }
+
+      const updated = clone(doc);
+      applyUpdate(updated, update);
+      store(updated);
+
+      return wrap(options.new ? updated : doc);
+    },
+
+    async updateOne(query, update) {
+      await tick();
+      const doc = find(query)[0];
+
+      if (!doc) {
+        return { matchedCount: 0, modifiedCount: 0 };
+      }
+
+      const updated = clone(doc);
+      applyUpdate(updated, update);
+      store(updated);
+
+      return { matchedCount: 1, modifiedCount: 1 };
+    },
+
+    async deleteOne(query) {
+      await tick();
+      const doc = find(query)[0];
+
+      if (!doc) {
+        return { deletedCount: 0 };
+      }
+
+      docs = docs.filter(other => other !== doc);
+      return { deletedCount: 1 };
+    },
+
+    async aggregate(pipeline) {
+      await tick();
+      return pipeline.reduce(runStage, docs.map(clone));
+    }
+  };
+
+  return fake;
+};
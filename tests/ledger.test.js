@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+
+jest.mock('../models/transactionModel', () =>
+  require('./fakeModel')(jest.requireActual('../models/transactionModel')));
+
+const Transaction = require('../models/transactionModel');
+const ledger = require('../utils/ledger');
+const { gateways } = require('../utils/paymentGateway');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const passengerId = id();
+const driverId = id();
+
+const ride = (fields = {}) => ({
+  _id: id(),
+  driver: driverId,
+  fare: { currency: 'INR' },
+  ...fields
+});
+
+const passenger = (fields = {}) => ({
+  user: passengerId,
+  fare: 100,
+  ...fields
+});
+
+beforeEach(() => {
+  Transaction.reset();
+  gateways.fake.clear();
+  process.env.PLATFORM_COMMISSION_RATE = '0.2';
+});
+
+describe('chargeRide', () => {
+  it('takes the fare from the wallet and splits it between driver and platform', async () => {
+    await ledger.chargeRide(ride(), passenger());
+
+    expect(await ledger.getWalletBalance(passengerId)).toBe(-100);
+    expect(await ledger.getBalance('driver_earnings', driverId)).toBe(80);
+    expect(await ledger.getBalance('platform_commission')).toBe(20);
+    expect(await ledger.hasOutstandingBalance(passengerId)).toBe(true);
+  });
+
+  it('pays a promo discount from the promotions account', async () => {
+    await ledger.chargeRide(ride(), passenger({
+      fare: 70,
+      promo: { code: 'SAVE30', discount: 30 }
+    }));
+
+    expect(await ledger.getWalletBalance(passengerId)).toBe(-70);
+    expect(await ledger.getBalance('promotions')).toBe(30);
+    expect(await ledger.getBalance('driver_earnings', driverId)).toBe(80);
+  });
+
+  it('charges a passenger once per ride, even when charged twice at the same time', async () => {
+    const charged = ride();
+
+    const [first, second] = await Promise.all([
+      ledger.chargeRide(charged, passenger()),
+      ledger.chargeRide(charged, passenger())
+    ]);
+
+    expect(String(first._id)).toBe(String(second._id));
+    expect(Transaction.docs).toHaveLength(1);
+    expect(await ledger.getWalletBalance(passengerId)).toBe(-100);
+  });
+
+  it('keeps balances in the currency of the ride', async () => {
+    await ledger.topUp({ _id: passengerId }, 100, 'tok_visa');
+    await ledger.chargeRide(ride({ fare: { currency: 'USD' } }), passenger({ fare: 10 }));
+
+    expect(await ledger.getWalletBalance(passengerId)).toBe(100);
+    expect(await ledger.getWalletBalance(passengerId, 'USD')).toBe(-10);
+    expect(await ledger.getBalances('wallet', passengerId)).toEqual({ INR: 100, USD: -10 });
+    expect(await ledger.hasOutstandingBalance(passengerId)).toBe(true);
+  });
+});
+
+describe('topUp', () => {
+  it('adds the amount to the wallet once the gateway charges it', async () => {
+    await ledger.topUp({ _id: passengerId }, 150, 'tok_visa');
+
+    expect(await ledger.getWalletBalance(passengerId)).toBe(150);
+    expect(await ledger.getBalance('gateway')).toBe(150);
+    expect(await ledger.hasOutstandingBalance(passengerId)).toBe(false);
+  });
+
+  it('leaves the wallet alone when the payment is declined', async () => {
+    await expect(ledger.topUp({ _id: passengerId }, 150, 'tok_fail')).rejects.toThrow();
+
+    expect(await ledger.getWalletBalance(passengerId)).toBe(0);
+  });
+});
+
+describe('refund', () => {
+  it('gives a ride charge back to the wallet and takes it off the earnings', async () => {
+    const charge = await ledger.chargeRide(ride(), passenger());
+
+    await ledger.refund(charge);
+
+    expect(await ledger.getWalletBalance(passengerId)).toBe(0);
+    expect(await ledger.getBalance('driver_earnings', driverId)).toBe(0);
+    expect(await ledger.getBalance('platform_commission')).toBe(0);
+  });
+
+  it('refunds a transaction only once', async () => {
+    const charge = await ledger.chargeRide(ride(), passenger());
+
+    await ledger.refund(charge);
+
+    await expect(ledger.refund(charge)).rejects.toThrow('Transaction has already been refunded');
+    expect(await ledger.getWalletBalance(passengerId)).toBe(0);
+  });
+
+  it('refunds every charge and fee of a ride', async () => {
+    const refunded = ride();
+
+    await ledger.chargeRide(refunded, passenger());
+    await ledger.chargeCancellationFee(refunded, passenger({
+      user: id(),
+      cancellation: { fee: 50 }
+    }));
+
+    const refunds = await ledger.refundRide(refunded);
+
+    expect(refunds).toHaveLength(2);
+    expect(await ledger.getBalance('driver_earnings', driverId)).toBe(0);
+  });
+});
+
+describe('payout', () => {
+  beforeEach(async () => {
+    // 80 of earnings after commission
+    await ledger.chargeRide(ride(), passenger());
+  });
+
+  it('pays earnings out through the gateway', async () => {
+    await ledger.payout(driverId, 50, { destination: 'acct_1' });
+
+    expect(await ledger.getBalance('driver_earnings', driverId)).toBe(30);
+    expect(gateways.fake.payouts).toHaveLength(1);
+  });
+
+  it('refuses more than the earnings balance and records nothing', async () => {
+    await expect(ledger.payout(driverId, 100, { destination: 'acct_1' }))
+      .rejects.toThrow('Earnings balance is too low for this payout');
+
+    expect(await ledger.getBalance('driver_earnings', driverId)).toBe(80);
+    expect(Transaction.docs.filter(transaction => transaction.type === 'payout')).toHaveLength(0);
+    expect(gateways.fake.payouts).toHaveLength(0);
+  });
+
+  it('never pays out the same earnings twice when payouts run at the same time', async () => {
+    const results = await Promise.allSettled([
+      ledger.payout(driverId, 60, { destination: 'acct_1' }),
+      ledger.payout(driverId, 60, { destination: 'acct_1' })
+    ]);
+
+    const paid = results.filter(result => result.status === 'fulfilled');
+
+    expect(paid.length).toBeLessThanOrEqual(1);
+    expect(gateways.fake.payouts).toHaveLength(paid.length);
+    expect(await ledger.getBalance('driver_earnings', driverId)).toBe(80 - 60 * paid.length);
+  });
+
+  it('only pays out earnings in the requested currency', async () => {
+    await expect(ledger.payout(driverId, 50, { currency: 'USD', destination: 'acct_1' }))
+      .rejects.toThrow('Earnings balance is too low for this payout');
+  });
+});
@@ -0,0 +1,169 @@
+const poolMatcher = require('../utils/poolMatcher');
+
+const pickup = { lat: 12.9716, lng: 77.5946 };
+const near = { lat: 13.05, lng: 77.6 };
+const far = { lat: 13.1, lng: 77.6 };
+const south = { lat: 12.9, lng: 77.59 };
+const scheduledTime = new Date('2024-01-01T09:00:00Z');
+
+const booking = (fields = {}) => ({
+  id: 'booking',
+  pickup,
+  destination: far,
+  scheduledTime,
+  seats: 1,
+  vehicleType: 'any',
+  ...fields
+});
+
+const rider = (fields = {}) => ({
+  id: 'rider',
+  destination: near,
+  scheduledTime,
+  seats: 1,
+  vehicleType: 'any',
+  ...fields
+});
+
+const pool = (riders, poolId = 'pool') => ({ poolId, riders });
+
+describe('capacityFor', () => {
+  it('returns the seats for each vehicle type', () => {
+    expect(poolMatcher.capacityFor('sedan')).toBe(4);
+    expect(poolMatcher.capacityFor('hatchback')).toBe(4);
+    expect(poolMatcher.capacityFor('suv')).toBe(6);
+    expect(poolMatcher.capacityFor()).toBe(4);
+  });
+
+  it('falls back to the any capacity for unknown types', () => {
+    expect(poolMatcher.capacityFor('bus')).toBe(4);
+  });
+
+  it('accepts capacity overrides', () => {
+    expect(poolMatcher.capacityFor('suv', { vehicleCapacity: { suv: 7 } })).toBe(7);
+    expect(poolMatcher.capacityFor('sedan', { vehicleCapacity: { suv: 7 } })).toBe(4);
+  });
+});
+
+describe('planDropoffs', () => {
+  it('drops off the nearest destination first', () => {
+    const { stops } = poolMatcher.planDropoffs(pickup, [
+      { id: 'far', destination: far },
+      { id: 'near', destination: near }
+    ]);
+
+    expect(stops.map(stop => stop.id)).toEqual(['near', 'far']);
+  });
+
+  it('tracks cumulative distance and detour per stop', () => {
+    const { stops, totalDistance } = poolMatcher.planDropoffs(pickup, [
+      { id: 'far', destination: far },
+      { id: 'south', destination: south }
+    ]);
+
+    expect(stops.map(stop => stop.id)).toEqual(['south', 'far']);
+    expect(stops[0].detour).toBe(0);
+    expect(stops[1].distance).toBeCloseTo(totalDistance);
+    expect(stops[1].distance).toBeGreaterThan(stops[1].direct);
+    expect(stops[1].detour).toBeCloseTo(stops[1].distance - stops[1].direct);
+  });
+
+  it('returns no stops for no riders', () => {
+    expect(poolMatcher.planDropoffs(pickup, [])).toEqual({ stops: [], totalDistance: 0 });
+  });
+});
+
+describe('scorePool', () => {
+  it('scores a booking that fits the pool', () => {
+    const match = poolMatcher.scorePool(booking(), pool([rider()]));
+
+    expect(match.poolId).toBe('pool');
+    expect(match.score).toBeGreaterThan(0);
+    expect(match.score).toBeLessThanOrEqual(1);
+    expect(match.breakdown).toMatchObject({
+      timeDelta: 0,
+      vehicleType: 'any',
+      seatsRemaining: 2
+    });
+  });
+
+  it('rejects an empty pool', () => {
+    expect(poolMatcher.scorePool(booking(), pool([]))).toBeNull();
+  });
+
+  it('rejects conflicting vehicle types', () => {
+    expect(poolMatcher.scorePool(
+      booking({ vehicleType: 'suv' }),
+      pool([rider({ vehicleType: 'sedan' })])
+    )).toBeNull();
+  });
+
+  it('uses the capacity of the requested vehicle type', () => {
+    const match = poolMatcher.scorePool(
+      booking({ seats: 3, vehicleType: 'suv' }),
+      pool([rider({ seats: 2 })])
+    );
+
+    expect(match.breakdown).toMatchObject({ vehicleType: 'suv', seatsRemaining: 1 });
+  });
+
+  it('rejects bookings that exceed the capacity', () => {
+    expect(poolMatcher.scorePool(booking({ seats: 3 }), pool([rider({ seats: 2 })]))).toBeNull();
+  });
+
+  it('adds seat counts sent as strings', () => {
+    const match = poolMatcher.scorePool(booking({ seats: '2' }), pool([rider({ seats: '2' })]));
+
+    expect(match.breakdown.seatsRemaining).toBe(0);
+    expect(poolMatcher.scorePool(booking({ seats: '3' }), pool([rider({ seats: '2' })]))).toBeNull();
+  });
+
+  it('rejects pickups outside the time window', () => {
+    const later = new Date(scheduledTime.getTime() + 31 * 60000);
+
+    expect(poolMatcher.scorePool(booking({ scheduledTime: later }), pool([rider()]))).toBeNull();
+  });
+
+  it('measures the time window against every rider in the pool', () => {
+    const at = minutes => new Date(scheduledTime.getTime() + minutes * 60000);
+
+    expect(poolMatcher.scorePool(
+      booking({ scheduledTime: at(50) }),
+      pool([rider(), rider({ id: 'later', scheduledTime: at(25) })])
+    )).toBeNull();
+  });
+
+  it('rejects destinations in another direction', () => {
+    expect(poolMatcher.scorePool(booking({ destination: south }), pool([rider()]))).toBeNull();
+  });
+
+  it('rejects bookings that add too much detour', () => {
+    expect(poolMatcher.scorePool(booking(), pool([rider()]), { maxDetourKm: 0.01, maxDetourRatio: 0 })).toBeNull();
+  });
+});
+
+describe('findBestPool', () => {
+  it('picks the highest scoring pool', () => {
+    const later = new Date(scheduledTime.getTime() + 20 * 60000);
+    const best = poolMatcher.findBestPool(booking(), [
+      pool([rider({ scheduledTime: later })], 'later'),
+      pool([rider()], 'same-time')
+    ]);
+
+    expect(best.poolId).toBe('same-time');
+  });
+
+  it('skips pools that cannot take the booking', () => {
+    const best = poolMatcher.findBestPool(booking(), [
+      pool([rider({ vehicleType: 'suv' })], 'suv'),
+      pool([rider()], 'any')
+    ], { vehicleCapacity: { suv: 1 } });
+
+    expect(best.poolId).toBe('any');
+  });
+
+  it('returns null when no pool fits', () => {
+    expect(poolMatcher.findBestPool(booking({ destination: south }), [pool([rider()])])).toBeNull();
+    expect(poolMatcher.findBestPool(booking(), [])).toBeNull();
+  });
+});
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+jest.mock('../models/promoCodeModel', () =>
+  require('./fakeModel')(jest.requireActual('../models/promoCodeModel')));
+jest.mock('../models/promoRedemptionModel', () =>
+  require('./fakeModel')(jest.requireActual('../models/promoRedemptionModel')));
+jest.mock('../models/rideModel', () =>
+  require('./fakeModel')(jest.requireActual('../models/rideModel')));
+
+const PromoCode = require('../models/promoCodeModel');
+const PromoRedemption = require('../models/promoRedemptionModel');
+const Ride = require('../models/rideModel');
+const promotions = require('../utils/promotions');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const userId = id();
+const cityId = id();
+
+const createPromo = (fields = {}) => PromoCode.create({
+  code: `PROMO${PromoCode.docs.length + 1}`,
+  type: 'flat',
+  value: 20,
+  ...fields
+});
+
+// A booking of the user's on a ride, with the promo code if given
+const seedBooking = (promo, status = 'pending') => Ride.seed({
+  passengers: [{
+    user: userId,
+    status,
+    promo: promo ? { promoCode: promo._id, code: promo.code } : undefined
+  }]
+});
+
+beforeEach(() => {
+  PromoCode.reset();
+  PromoRedemption.reset();
+  Ride.reset();
+});
+
+describe('getDiscount', () => {
+  it('caps a percentage discount at maxDiscount and the fare', () => {
+    expect(promotions.getDiscount({ type: 'percentage', value: 50, maxDiscount: 30 }, 100)).toBe(30);
+    expect(promotions.getDiscount({ type: 'flat', value: 80 }, 50)).toBe(50);
+  });
+});
+
+describe('per-passenger limit', () => {
+  it('rejects a code the passenger has booked perUserLimit times', async () => {
+    const promo = await createPromo({ perUserLimit: 2 });
+    seedBooking(promo);
+
+    await expect(promotions.findApplicable(promo.code, { userId, cityId })).resolves.toBeTruthy();
+
+    seedBooking(promo);
+
+    await expect(promotions.findApplicable(promo.code, { userId, cityId }))
+      .rejects.toThrow('You have already used this promo code');
+  });
+
+  it('does not count cancelled bookings', async () => {
+    const promo = await createPromo();
+    seedBooking(promo, 'cancelled');
+
+    await expect(promotions.findApplicable(promo.code, { userId, cityId })).resolves.toBeTruthy();
+  });
+
+  it('redeems a code up to perUserLimit times', async () => {
+    const promo = await createPromo({ perUserLimit: 2 });
+
+    await promotions.redeem(promo, userId);
+    await promotions.redeem(promo, userId);
+
+    await expect(promotions.redeem(promo, userId)).rejects.toThrow('You have already used this promo code');
+    expect(PromoRedemption.docs).toHaveLength(2);
+  });
+
+  it('redeems once when two bookings use the code at the same time', async () => {
+    const promo = await createPromo();
+
+    const results = await Promise.allSettled([
+      promotions.redeem(promo, userId),
+      promotions.redeem(promo, userId)
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(PromoRedemption.docs).toHaveLength(1);
+    expect((await PromoCode.findById(promo._id)).usedCount).toBe(1);
+  });
+
+  it('gives the use back when a booking is cancelled', async () => {
+    const promo = await createPromo();
+    const bookingPromo = await promotions.redeem(promo, userId);
+
+    await promotions.release({ promo: bookingPromo });
+
+    await expect(promotions.redeem(promo, userId)).resolves.toBeTruthy();
+    expect((await PromoCode.findById(promo._id)).usedCount).toBe(1);
+  });
+
+  it('stops at the overall usage limit', async () => {
+    const promo = await createPromo({ usageLimit: 1 });
+
+    await promotions.redeem(promo, userId);
+
+    await expect(promotions.redeem(promo, id())).rejects.toThrow('Promo code has been fully redeemed');
+    expect(PromoRedemption.docs).toHaveLength(1);
+  });
+});
+
+describe('first ride limit', () => {
+  it('rejects a first ride code once the passenger has booked a ride', async () => {
+    const promo = await createPromo({ firstRideOnly: true });
+    seedBooking();
+
+    await expect(promotions.findApplicable(promo.code, { userId, cityId }))
+      .rejects.toThrow('Promo code is only valid on your first ride');
+  });
+
+  it('accepts a first ride code when every earlier booking was cancelled', async () => {
+    const promo = await createPromo({ firstRideOnly: true });
+    seedBooking(null, 'cancelled');
+
+    await expect(promotions.findApplicable(promo.code, { userId, cityId })).resolves.toBeTruthy();
+  });
+
+  it('redeems only one first ride code per passenger', async () => {
+    const first = await createPromo({ firstRideOnly: true });
+    const second = await createPromo({ firstRideOnly: true });
+
+    await promotions.redeem(first, userId);
+
+    await expect(promotions.redeem(second, userId))
+      .rejects.toThrow('Promo code is only valid on your first ride');
+    expect((await PromoCode.findById(second._id)).usedCount).toBe(0);
+  });
+
+  it('redeems one first ride code when two bookings use different ones at the same time', async () => {
+    const first = await createPromo({ firstRideOnly: true });
+    const second = await createPromo({ firstRideOnly: true });
+
+    const results = await Promise.allSettled([
+      promotions.redeem(first, userId),
+      promotions.redeem(second, userId)
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(PromoRedemption.docs).toHaveLength(1);
+  });
+});
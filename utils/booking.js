@@ -0,0 +1,333 @@
+const Ride = require('../models/rideModel');
+const Landmark = require('../models/landmarkModel');
+const locationUtils = require('./locationUtils');
+const pricing = require('./pricing');
+const poolMatcher = require('./poolMatcher');
+const routePlanner = require('./routePlanner');
+const dispatcher = require('./dispatcher');
+const promotions = require('./promotions');
+const rideJobs = require('./rideJobs');
+const ledger = require('./ledger');
+const eventBus = require('./eventBus');
+const notifications = require('./notifications');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Ride booking shared by passenger bookings and recurring schedules.
+ *
+ * Callers validate the request and price the trip; `bookRide` then enters the
+ * booking into the best matching pool (or starts a new one), creates the ride,
+ * starts offering it to drivers and schedules its reminder and expiry jobs.
+ * `cancelPassenger` takes one passenger back off a ride, re-splitting the fare
+ * among the others or cancelling the ride when nobody is left.
+ */
+
+const idOf = ref => (ref && ref._id ? ref._id : ref);
+
+/**
+ * Check whether a landmark accepts pickups by a given vehicle type
+ * @param {Object} landmark - Landmark document
+ * @param {String} vehicleType - Requested vehicle type
+ * @returns {Boolean} - True if allowed
+ */
+const isVehicleTypeAllowed = (landmark, vehicleType) => {
+  const allowed = landmark.allowedVehicleTypes || [];
+  return allowed.includes('all') || allowed.includes(vehicleType);
+};
+
+/**
+ * Estimate distance, duration and fare from a landmark to a destination
+ * @param {Object} landmark - Pickup landmark document
+ * @param {Array} coordinates - Destination [longitude, latitude]
+ * @param {Number} passengerCount - Seats booked
+ * @param {Date} scheduledTime - Pickup time
+ * @returns {Object} - {distance, duration, fareDetails}
+ */
+const estimateTrip = async (landmark, coordinates, passengerCount, scheduledTime) => {
+  const distance = locationUtils.calculateDistance(
+    locationUtils.toLatLng(landmark.location.coordinates),
+    locationUtils.toLatLng(coordinates)
+  );
+
+  // Estimate duration (assume average speed of 40 km/h)
+  const duration = locationUtils.estimateDuration(distance);
+
+  // Calculate fare with the city's fare rule and current surge
+  const { rule, surgeMultiplier } = await pricing.getPricing(landmark.city);
+  const fareDetails = locationUtils.calculateFare(distance, passengerCount, {
+    rule,
+    surgeMultiplier,
+    duration,
+    time: new Date(scheduledTime)
+  });
+
+  return { distance, duration, fareDetails };
+};
+
+/**
+ * Book a ride and enter it into pooling and dispatch
+ * @param {Object} options - {userId, landmark, destination, scheduledTime, passengerCount,
+ *   vehicleType, distance, duration, fareDetails, promo, details, fields}
+ *   `promo` is a promo code document checked by the caller, `details` is added to
+ *   the ride_created log and `fields` are extra ride fields
+ * @returns {Object} - Ride document
+ */
+const bookRide = async ({
+  userId,
+  landmark,
+  destination,
+  scheduledTime,
+  passengerCount,
+  vehicleType,
+  distance,
+  duration,
+  fareDetails,
+  promo,
+  details = {},
+  fields = {}
+}) => {
+  // Find the best existing pool for this booking, or start a new one
+  const match = await poolMatcher.findPoolForBooking({
+    landmark,
+    destination: destination.location.coordinates,
+    scheduledTime,
+    seats: passengerCount,
+    vehicleType,
+    userId
+  });
+
+  const poolId = match ? match.poolId : uuidv4();
+
+  const booking = {
+    user: userId,
+    seats: passengerCount,
+    pin: Ride.generatePin()
+  };
+
+  if (promo) {
+    booking.promo = await promotions.redeem(promo, userId);
+  }
+
+  // The per-seat share, for every seat of the booking, as resplitFare charges it
+  promotions.applyToPassenger(booking, fareDetails.farePerPassenger * passengerCount);
+
+  // Create the ride
+  const ride = await Ride.create({
+    ...fields,
+    pickupLandmark: landmark._id,
+    destination,
+    scheduledTime: new Date(scheduledTime),
+    estimatedDistance: distance,
+    estimatedDuration: duration,
+    poolId,
+    city: landmark.city,
+    vehicleType,
+    passengers: [booking],
+    fare: {
+      baseFare: fareDetails.baseFare,
+      distanceFare: fareDetails.distanceFare,
+      timeFare: fareDetails.timeFare,
+      nightSurcharge: fareDetails.nightSurcharge,
+      surgeMultiplier: fareDetails.surgeMultiplier,
+      totalFare: fareDetails.totalFare,
+      discount: fareDetails.discount,
+      currency: fareDetails.currency
+    },
+    status: match ? 'pooling' : 'pending',
+    logs: [
+      {
+        action: 'ride_created',
+        user: userId,
+        details: { fareDetails, ...details, promo: booking.promo }
+      },
+      ...(match ? [{
+        action: 'ride_pooled',
+        user: userId,
+        details: { poolId, score: match.score, breakdown: match.breakdown }
+      }] : [])
+    ]
+  }).catch(async (err) => {
+    // The booking was not made, so it does not use up the promo code
+    await promotions.release(booking);
+    throw err;
+  });
+
+  // Move the rides already in the matched pool into pooling
+  if (match) {
+    await poolMatcher.markPooled(match, userId);
+    await poolMatcher.publishPoolUpdate(poolId);
+  } else {
+    await routePlanner.planPoolRoute(poolId);
+  }
+
+  // Start offering the ride to nearby drivers
+  await dispatcher.dispatch(ride);
+
+  // Remind, widen the search and expire the ride if nobody accepts it
+  await rideJobs.scheduleRideJobs(ride);
+
+  // Update landmark stats
+  await Landmark.findByIdAndUpdate(landmark._id, {
+    $inc: { 'stats.pickupCount': 1 }
+  });
+
+  return ride;
+};
+
+// Active passengers of a ride
+const activePassengers = ride => ride.passengers.filter(p => p.status !== 'cancelled');
+
+// Seats taken by the active passengers of a ride
+const bookedSeats = ride => activePassengers(ride)
+  .reduce((sum, p) => sum + (p.seats || 1), 0);
+
+// Plan the dropoffs of a ride's active passengers from its pickup landmark
+const planRideDropoffs = (ride, landmark) => routePlanner.planRoute(
+  locationUtils.toLatLng(landmark.location.coordinates),
+  activePassengers(ride).map(passenger => ({
+    id: passenger.user.toString(),
+    destination: locationUtils.toLatLng(ride.dropoffFor(passenger))
+  }))
+);
+
+// Split the ride fare among its current riders, seat by seat
+const resplitFare = async (ride) => {
+  const rule = await pricing.getFareRule(ride.city);
+  const riders = activePassengers(ride);
+  const seats = bookedSeats(ride);
+
+  if (seats === 0) {
+    return;
+  }
+
+  const fareDetails = locationUtils.calculateFare(ride.estimatedDistance, seats, {
+    rule,
+    surgeMultiplier: ride.fare.surgeMultiplier,
+    duration: ride.estimatedDuration,
+    time: ride.scheduledTime
+  });
+
+  riders.forEach(passenger => {
+    promotions.applyToPassenger(passenger, fareDetails.farePerPassenger * (passenger.seats || 1));
+  });
+
+  ride.fare.baseFare = fareDetails.baseFare;
+  ride.fare.distanceFare = fareDetails.distanceFare;
+  ride.fare.timeFare = fareDetails.timeFare;
+  ride.fare.nightSurcharge = fareDetails.nightSurcharge;
+  ride.fare.totalFare = fareDetails.totalFare;
+  ride.fare.discount = fareDetails.discount;
+};
+
+// Take a passenger off a ride, cancelling the ride when nobody is left
+// The ride's pickupLandmark must be populated with its location
+const removePassenger = async (ride, passenger, cancellation) => {
+  passenger.status = 'cancelled';
+  passenger.cancellation = { ...cancellation, cancelledAt: Date.now() };
+
+  if (activePassengers(ride).length === 0) {
+    ride.status = 'cancelled';
+    ride.cancellationReason = cancellation.reason;
+    return;
+  }
+
+  const plan = await planRideDropoffs(ride, ride.pickupLandmark);
+  ride.estimatedDistance = plan.totalDistance;
+  ride.estimatedDuration = locationUtils.estimateDuration(plan.totalDistance);
+
+  await resplitFare(ride);
+};
+
+// Charge the removed passenger's fee and give back their promo code use,
+// then re-match a cancelled ride's pool or re-plan the route of one that lost a passenger
+const afterPassengerRemoved = async (ride, passenger, userId) => {
+  if (passenger) {
+    await ledger.chargeCancellationFee(ride, passenger);
+    await promotions.release(passenger);
+  }
+
+  if (ride.status === 'cancelled') {
+    await poolMatcher.rematchPool(ride.poolId, userId);
+    await dispatcher.release(ride.poolId);
+  } else {
+    await routePlanner.planPoolRoute(ride.poolId);
+  }
+};
+
+// Snapshot of everyone involved in a ride, so people leaving it are notified too
+const rideAudience = ride => ({
+  _id: ride._id,
+  poolId: ride.poolId,
+  driver: ride.driver,
+  passengers: [...ride.passengers]
+});
+
+// Fares of the current riders, for pool notifications
+const fareSummary = ride => ({
+  seats: bookedSeats(ride),
+  fare: ride.fare,
+  passengers: activePassengers(ride).map(passenger => ({
+    user: idOf(passenger.user),
+    seats: passenger.seats,
+    fare: passenger.fare
+  }))
+});
+
+/**
+ * Cancel one passenger's booking on a ride and tell everyone affected
+ * @param {Object} ride - Ride with pickupLandmark populated
+ * @param {Object} passenger - Passenger subdocument awaiting pickup
+ * @param {Object} options - {by, reason, fee, userId}
+ *   `by` is who cancelled (passenger, driver, admin or system) and `userId` the user logged
+ * @returns {Object} - Saved ride
+ */
+const cancelPassenger = async (ride, passenger, { by, reason, fee = 0, userId }) => {
+  const audience = rideAudience(ride);
+
+  await removePassenger(ride, passenger, { by, reason, fee });
+
+  ride.logs.push({
+    action: ride.status === 'cancelled' ? 'ride_cancelled' : 'passenger_cancelled',
+    user: userId,
+    details: { reason, fee }
+  });
+
+  await ride.save();
+
+  if (ride.status === 'cancelled') {
+    eventBus.publishRide({ ...audience, status: ride.status }, 'rideCancelled', { reason, cancelledBy: by });
+    eventBus.leaveRide(ride._id);
+  } else {
+    eventBus.publishRide({ ...audience, status: ride.status }, 'passengerCancelled', {
+      reason,
+      cancelledBy: by,
+      passenger: idOf(passenger.user),
+      ...fareSummary(ride)
+    });
+    eventBus.leaveRide(ride._id, [passenger.user]);
+  }
+
+  await afterPassengerRemoved(ride, passenger, userId);
+
+  // The driver loses the ride when its last passenger cancels
+  if (ride.status === 'cancelled' && ride.driver) {
+    await notifications.notifyRide(ride, 'rideCancelled', [ride.driver], { reason });
+  }
+
+  return ride;
+};
+
+module.exports = {
+  isVehicleTypeAllowed,
+  estimateTrip,
+  bookRide,
+  activePassengers,
+  bookedSeats,
+  planRideDropoffs,
+  resplitFare,
+  removePassenger,
+  afterPassengerRemoved,
+  rideAudience,
+  fareSummary,
+  cancelPassenger
+};
@@ -0,0 +1,118 @@
+const User = require('../models/userModel');
+
+/**
+ * Cancellation policy.
+ *
+ * Passengers cancel for free within a grace window after booking and while no
+ * driver is assigned; after that a flat fee applies, never more than their
+ * fare. Drivers may mark passengers who have not turned up as no-shows once the
+ * wait time after the scheduled pickup has passed, which charges the no-show
+ * fee. Driver cancellations count against their cancellation rate, and drivers
+ * above the limit lose their availability for a while.
+ */
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const config = () => ({
+  graceMinutes: numberFromEnv('CANCELLATION_GRACE_MINUTES', 5),
+  fee: numberFromEnv('CANCELLATION_FEE', 50),
+  noShowWaitMinutes: numberFromEnv('NO_SHOW_WAIT_MINUTES', 5),
+  noShowFee: numberFromEnv('NO_SHOW_FEE', 100),
+  driverMaxRate: numberFromEnv('DRIVER_CANCELLATION_MAX_RATE', 0.2),
+  driverMinRides: numberFromEnv('DRIVER_CANCELLATION_MIN_RIDES', 10),
+  driverSuspendHours: numberFromEnv('DRIVER_SUSPENSION_HOURS', 24)
+});
+
+exports.config = config;
+
+/**
+ * Fee for a passenger cancelling their booking now
+ * @param {Object} ride - Ride document
+ * @param {Object} passenger - Passenger subdocument
+ * @returns {Number} - Fee to charge, 0 when free
+ */
+exports.getPassengerCancellationFee = (ride, passenger) => {
+  const { graceMinutes, fee } = config();
+  const bookedAt = new Date(passenger.bookedAt || ride.createdAt).getTime();
+
+  if (Date.now() - bookedAt <= graceMinutes * 60000) {
+    return 0;
+  }
+
+  if (!ride.driver || !['assigned', 'started'].includes(ride.status)) {
+    return 0;
+  }
+
+  return Math.min(fee, passenger.fare);
+};
+
+/**
+ * Earliest time the driver may mark a passenger of a ride as a no-show
+ * @param {Object} ride - Ride document
+ * @returns {Date} - Scheduled pickup plus the wait time
+ */
+exports.getNoShowTime = (ride) => new Date(
+  new Date(ride.scheduledTime).getTime() + config().noShowWaitMinutes * 60000
+);
+
+/**
+ * Fee for a passenger who did not turn up
+ * @param {Object} passenger - Passenger subdocument
+ * @returns {Number} - Fee to charge
+ */
+exports.getNoShowFee = (passenger) => Math.min(config().noShowFee, passenger.fare);
+
+/**
+ * Check if a driver's availability is suspended
+ * @param {Object} user - User document
+ * @returns {Boolean} - True while the suspension lasts
+ */
+exports.isSuspended = (user) => Boolean(
+  user.driverDetails &&
+  user.driverDetails.suspendedUntil &&
+  user.driverDetails.suspendedUntil.getTime() > Date.now()
+);
+
+/**
+ * Count a ride accepted by a driver
+ * @param {String} driverId - Driver user id
+ */
+exports.recordDriverAcceptance = async (driverId) => {
+  await User.findByIdAndUpdate(driverId, {
+    $inc: { 'stats.ridesAccepted': 1 }
+  });
+};
+
+/**
+ * Count a ride cancelled by a driver and suspend them if their rate is too high
+ * @param {String} driverId - Driver user id
+ * @returns {Object} - {rate, suspendedUntil}
+ */
+exports.recordDriverCancellation = async (driverId) => {
+  const { driverMaxRate, driverMinRides, driverSuspendHours } = config();
+
+  const driver = await User.findByIdAndUpdate(
+    driverId,
+    { $inc: { 'stats.ridesCancelled': 1 } },
+    { new: true }
+  );
+
+  const accepted = driver.stats.ridesAccepted || 0;
+  const rate = accepted > 0 ? driver.stats.ridesCancelled / accepted : 1;
+
+  if (accepted < driverMinRides || rate <= driverMaxRate) {
+    return { rate, suspendedUntil: null };
+  }
+
+  const suspendedUntil = new Date(Date.now() + driverSuspendHours * 3600000);
+
+  await User.findByIdAndUpdate(driverId, {
+    'driverDetails.isAvailable': false,
+    'driverDetails.suspendedUntil': suspendedUntil
+  });
+
+  return { rate, suspendedUntil };
+};
@@ -0,0 +1,163 @@
+const Ride = require('../models/rideModel');
+const eventBus = require('./eventBus');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const idOf = ref => (ref && ref._id ? ref._id : ref);
+
+/**
+ * Check if a user may read and write a ride's chat
+ * @param {Object} ride - Ride document
+ * @param {Object} user - User document
+ * @returns {Boolean} - True for admins, passengers and the assigned driver
+ */
+exports.canAccess = (ride, user) => user.role === 'admin' || ride.hasParticipant(user._id);
+
+/**
+ * Convert a stored message into the shape sent to clients
+ * @param {Object} message - Message subdocument
+ * @param {String} rideId - Ride id
+ * @returns {Object} - Client message
+ */
+exports.formatMessage = (message, rideId) => {
+  const sender = message.sender || {};
+
+  return {
+    id: message._id,
+    rideId,
+    text: message.text,
+    timestamp: message.timestamp,
+    sender: sender.name
+      ? { id: sender._id, name: sender.name, role: sender.role }
+      : { id: idOf(sender) },
+    isRead: message.isRead,
+    readBy: (message.readBy || []).map(receipt => ({
+      user: idOf(receipt.user),
+      readAt: receipt.readAt
+    }))
+  };
+};
+
+/**
+ * Store a chat message and publish it to the ride room
+ * @param {Object} ride - Ride document
+ * @param {Object} user - Sender user document
+ * @param {String} text - Message text
+ * @returns {Object} - Client message
+ */
+exports.postMessage = async (ride, user, text) => {
+  const updated = await Ride.findByIdAndUpdate(
+    ride._id,
+    {
+      $push: {
+        messages: {
+          sender: user._id,
+          text,
+          timestamp: Date.now(),
+          readBy: [{ user: user._id, readAt: Date.now() }]
+        }
+      }
+    },
+    { new: true }
+  ).select('messages');
+
+  const stored = updated.messages[updated.messages.length - 1];
+
+  const message = exports.formatMessage({
+    ...stored.toObject(),
+    sender: { _id: user._id, name: user.name, role: user.role }
+  }, ride._id);
+
+  eventBus.toRide(ride._id, 'newMessage', message);
+
+  return message;
+};
+
+/**
+ * Get a page of chat messages, newest first
+ * @param {String} rideId - Ride id
+ * @param {Object} options - {before: message id cursor, limit}
+ * @returns {Object} - {messages, nextCursor}
+ */
+exports.getMessages = async (rideId, { before, limit } = {}) => {
+  const pageSize = Math.min(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  const ride = await Ride.findById(rideId)
+    .select('messages')
+    .populate('messages.sender', 'name role profileImage');
+
+  let end = ride.messages.length;
+
+  if (before) {
+    const index = ride.messages.findIndex(message => message._id.toString() === before);
+    end = index === -1 ? 0 : index;
+  }
+
+  const start = Math.max(0, end - pageSize);
+
+  const messages = ride.messages
+    .slice(start, end)
+    .reverse()
+    .map(message => exports.formatMessage(message, rideId));
+
+  return {
+    messages,
+    nextCursor: start > 0 ? ride.messages[start]._id : null
+  };
+};
+
+/**
+ * Mark messages from other participants as read by a user
+ * @param {Object} ride - Ride document
+ * @param {Object} user - Reader user document
+ * @param {String} upTo - Optional message id; later messages stay unread
+ * @returns {Object} - {readAt, upTo}
+ */
+exports.markRead = async (ride, user, upTo) => {
+  const readAt = new Date();
+  let until = readAt;
+
+  if (upTo) {
+    const message = ride.messages.id(upTo);
+    if (message) {
+      until = message.timestamp;
+    }
+  }
+
+  await Ride.updateOne(
+    { _id: ride._id },
+    {
+      $push: { 'messages.$[message].readBy': { user: user._id, readAt } },
+      $set: { 'messages.$[message].isRead': true }
+    },
+    {
+      arrayFilters: [{
+        'message.sender': { $ne: user._id },
+        'message.readBy.user': { $ne: user._id },
+        'message.timestamp': { $lte: until }
+      }]
+    }
+  );
+
+  const receipt = { userId: user.id, readAt, upTo: until };
+
+  eventBus.toRide(ride._id, 'messagesRead', receipt);
+
+  return receipt;
+};
+
+/**
+ * Count messages in a ride that a user has not read
+ * @param {Object} ride - Ride document (messages not populated)
+ * @param {String} userId - User id
+ * @returns {Number} - Unread message count
+ */
+exports.countUnread = (ride, userId) => {
+  const id = userId.toString();
+
+  return (ride.messages || []).filter(message =>
+    idOf(message.sender).toString() !== id &&
+    !(message.readBy || []).some(receipt => idOf(receipt.user).toString() === id)
+  ).length;
+};
@@ -0,0 +1,380 @@
+const Ride = require('../models/rideModel');
+const User = require('../models/userModel');
+const eventBus = require('./eventBus');
+const locationUtils = require('./locationUtils');
+const driverLocation = require('./driverLocation');
+
+/**
+ * Ride offer dispatcher.
+ *
+ * Offers open pools to the nearest available verified drivers in waves over
+ * Socket.io (`rideOffer` to `user_<driverId>`). An offer that is not accepted
+ * within the timeout expires (`rideOfferRevoked`) and the next wave goes out.
+ * Rides booked ahead are only offered from DISPATCH_LEAD_MINUTES before pickup,
+ * when their `ride_dispatch` job starts them. Offers are stored on the rides;
+ * the wave timers live in this process.
+ */
+
+const config = () => ({
+  waveSize: parseInt(process.env.DISPATCH_WAVE_SIZE, 10) || 1,
+  offerTimeout: (parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS, 10) || 30) * 1000,
+  radiusKm: parseFloat(process.env.DISPATCH_RADIUS_KM) || 5,
+  maxWaves: parseInt(process.env.DISPATCH_MAX_WAVES, 10) || 10,
+  leadMinutes: parseInt(process.env.DISPATCH_LEAD_MINUTES, 10) || 45
+});
+
+// poolId -> { timer, waves, radiusKm }
+const active = new Map();
+
+const OPEN_STATUSES = ['pending', 'pooling'];
+
+const logError = err => console.log(`Dispatcher error: ${err.message}`);
+
+// Seats booked by the active passengers of a ride
+const rideSeats = ride => ride.passengers
+  .filter(p => p.status !== 'cancelled')
+  .reduce((sum, p) => sum + (p.seats || 1), 0);
+
+/**
+ * Check whether a ride is close enough to its pickup to be offered to drivers
+ * @param {Object} ride - Ride document
+ * @returns {Boolean}
+ */
+const isDue = ride => new Date(ride.scheduledTime).getTime() - Date.now() <= config().leadMinutes * 60000;
+
+/**
+ * Query for a driver's rides that keep them from taking a ride at a pickup time:
+ * one they have started, or one they accepted with a pickup within the lead time of it
+ * @param {String} driverId - Driver user id
+ * @param {Date} scheduledTime - Pickup time of the ride to take
+ * @returns {Object} - MongoDB filter on rides
+ */
+const clashingRidesFilter = (driverId, scheduledTime) => {
+  const time = new Date(scheduledTime).getTime();
+  const lead = config().leadMinutes * 60000;
+
+  return {
+    driver: driverId,
+    $or: [
+      { status: 'started' },
+      { status: 'assigned', scheduledTime: { $gt: new Date(time - lead), $lt: new Date(time + lead) } }
+    ]
+  };
+};
+
+// Update the pending offers of a pool for some drivers (or all when driverIds is omitted)
+const setOfferStatus = async (poolId, status, driverIds) => {
+  const filter = { 'offer.status': 'pending' };
+
+  if (driverIds) {
+    filter['offer.driver'] = { $in: driverIds };
+  }
+
+  await Ride.updateMany(
+    { poolId },
+    { $set: { 'offers.$[offer].status': status } },
+    { arrayFilters: [filter] }
+  );
+};
+
+// Drivers with a pending offer for a pool
+const pendingOfferDrivers = rides => {
+  const drivers = new Set();
+
+  rides.forEach(ride => ride.offers
+    .filter(offer => offer.status === 'pending')
+    .forEach(offer => drivers.add(offer.driver.toString())));
+
+  return [...drivers];
+};
+
+/**
+ * Find the nearest drivers that can take a pool and have not been offered it yet
+ * @param {Array} rides - Open rides of the pool (pickupLandmark populated)
+ * @param {Number} radiusKm - Search radius around the pickup landmark
+ * @param {Number} limit - Max drivers to return
+ * @returns {Array} - Drivers with distance (km)
+ */
+const findCandidates = async (rides, radiusKm, limit) => {
+  const [ride] = rides;
+  const seats = rides.reduce((sum, poolRide) => sum + rideSeats(poolRide), 0);
+  const vehicleType = rides.map(poolRide => poolRide.vehicleType).find(type => type && type !== 'any');
+  const allowedTypes = ride.pickupLandmark.allowedVehicleTypes || ['all'];
+
+  const offered = new Set();
+  rides.forEach(poolRide => poolRide.offers.forEach(offer => offered.add(offer.driver.toString())));
+
+  const query = {
+    ...driverLocation.availableDriverFilter(),
+    'driverDetails.seatingCapacity': { $gte: seats }
+  };
+
+  if (vehicleType) {
+    query['driverDetails.vehicleType'] = vehicleType;
+  } else if (!allowedTypes.includes('all')) {
+    query['driverDetails.vehicleType'] = { $in: allowedTypes };
+  }
+
+  const drivers = await User.aggregate([
+    {
+      $geoNear: {
+        near: {
+          type: 'Point',
+          coordinates: [...ride.pickupLandmark.location.coordinates]
+        },
+        distanceField: 'distance',
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query
+      }
+    },
+    { $project: { _id: 1, distance: 1 } }
+  ]);
+
+  const candidates = [];
+
+  for (const driver of drivers) {
+    if (candidates.length >= limit) {
+      break;
+    }
+
+    if (offered.has(driver._id.toString())) {
+      continue;
+    }
+
+    // Skip drivers busy with another ride around the same time
+    const busy = await Ride.exists(clashingRidesFilter(driver._id, ride.scheduledTime));
+
+    if (!busy) {
+      candidates.push({ _id: driver._id, distance: driver.distance / 1000 });
+    }
+  }
+
+  return candidates;
+};
+
+// Build what a driver sees in an offer
+const offerPayload = (rides, driver, expiresAt) => {
+  const [ride] = rides;
+  const landmark = ride.pickupLandmark;
+
+  return {
+    rideId: ride._id,
+    poolId: ride.poolId,
+    rideIds: rides.map(poolRide => poolRide._id),
+    pickupLandmark: {
+      id: landmark._id,
+      name: landmark.name,
+      address: landmark.address,
+      location: landmark.location
+    },
+    scheduledTime: ride.scheduledTime,
+    seats: rides.reduce((sum, poolRide) => sum + rideSeats(poolRide), 0),
+    vehicleType: ride.vehicleType,
+    fare: rides.reduce((sum, poolRide) => sum + poolRide.passengers
+      .filter(p => p.status !== 'cancelled')
+      .reduce((total, p) => total + p.fare, 0), 0),
+    distanceToPickup: parseFloat(driver.distance.toFixed(2)),
+    eta: locationUtils.estimateDuration(driver.distance),
+    expiresAt
+  };
+};
+
+/**
+ * Send the next wave of offers for a pool
+ * @param {String} poolId - Pool to dispatch
+ */
+const nextWave = async (poolId) => {
+  const state = active.get(poolId);
+
+  if (!state) {
+    return;
+  }
+
+  clearTimeout(state.timer);
+
+  const rides = await Ride.find({ poolId, status: { $in: OPEN_STATUSES } })
+    .populate('pickupLandmark', 'name address location allowedVehicleTypes');
+
+  if (rides.length === 0 || !rides[0].pickupLandmark) {
+    return stop(poolId);
+  }
+
+  // Expire offers from the previous wave
+  const expired = pendingOfferDrivers(rides);
+  if (expired.length > 0) {
+    await setOfferStatus(poolId, 'expired', expired);
+    expired.forEach(driverId => eventBus.toUser(driverId, 'rideOfferRevoked', {
+      poolId,
+      reason: 'expired'
+    }));
+  }
+
+  const { waveSize, offerTimeout, maxWaves } = config();
+
+  if (state.waves >= maxWaves) {
+    active.delete(poolId);
+    return;
+  }
+
+  state.waves += 1;
+
+  const drivers = await findCandidates(rides, state.radiusKm, waveSize);
+
+  if (drivers.length > 0) {
+    const expiresAt = new Date(Date.now() + offerTimeout);
+
+    await Ride.updateMany(
+      { poolId, status: { $in: OPEN_STATUSES } },
+      {
+        $push: {
+          offers: {
+            $each: drivers.map(driver => ({
+              driver: driver._id,
+              expiresAt
+            }))
+          }
+        }
+      }
+    );
+
+    drivers.forEach(driver => eventBus.toUser(
+      driver._id,
+      'rideOffer',
+      offerPayload(rides, driver, expiresAt)
+    ));
+  }
+
+  // Try the next drivers (or look again for newly available ones) after the timeout
+  state.timer = setTimeout(() => {
+    nextWave(poolId).catch(logError);
+  }, offerTimeout);
+  state.timer.unref();
+};
+
+/**
+ * Stop dispatching a pool and withdraw its pending offers
+ * @param {String} poolId - Pool to stop
+ * @param {String} acceptedBy - Driver who accepted, if any
+ */
+const stop = async (poolId, acceptedBy) => {
+  const state = active.get(poolId);
+
+  if (state) {
+    clearTimeout(state.timer);
+    active.delete(poolId);
+  }
+
+  const rides = await Ride.find({ poolId, 'offers.status': 'pending' });
+  const pending = pendingOfferDrivers(rides);
+
+  if (acceptedBy) {
+    await setOfferStatus(poolId, 'accepted', [acceptedBy]);
+  }
+
+  await setOfferStatus(poolId, 'revoked');
+
+  pending
+    .filter(driverId => !acceptedBy || driverId !== acceptedBy.toString())
+    .forEach(driverId => eventBus.toUser(driverId, 'rideOfferRevoked', {
+      poolId,
+      reason: acceptedBy ? 'taken' : 'closed'
+    }));
+};
+
+/**
+ * Start offering a ride's pool to drivers, unless it is already being dispatched
+ * @param {Object} ride - Ride document in pending or pooling status
+ * @param {Object} options - {radiusKm}
+ */
+const dispatch = async (ride, options = {}) => {
+  try {
+    // Rides booked ahead are started by their ride_dispatch job
+    if (!isDue(ride)) {
+      return;
+    }
+
+    const existing = active.get(ride.poolId);
+
+    if (existing) {
+      // Allow a wider search to take over an existing dispatch
+      if (options.radiusKm && options.radiusKm > existing.radiusKm) {
+        existing.radiusKm = options.radiusKm;
+        existing.waves = 0;
+        await nextWave(ride.poolId);
+      }
+      return;
+    }
+
+    active.set(ride.poolId, {
+      timer: null,
+      waves: 0,
+      radiusKm: options.radiusKm || config().radiusKm
+    });
+
+    await nextWave(ride.poolId);
+  } catch (err) {
+    logError(err);
+  }
+};
+
+/**
+ * A driver declined an offer, so move on without waiting for the timeout
+ * @param {String} poolId - Pool that was offered
+ * @param {String} driverId - Driver who declined
+ */
+const decline = async (poolId, driverId) => {
+  await setOfferStatus(poolId, 'declined', [driverId]);
+
+  const rides = await Ride.find({ poolId, status: { $in: OPEN_STATUSES } });
+
+  if (active.has(poolId) && pendingOfferDrivers(rides).length === 0) {
+    nextWave(poolId).catch(logError);
+  }
+};
+
+/**
+ * Stop dispatching a pool if none of its rides are open any more
+ * @param {String} poolId - Pool that changed
+ */
+const release = async (poolId) => {
+  const open = await Ride.exists({ poolId, status: { $in: OPEN_STATUSES } });
+
+  if (!open) {
+    await stop(poolId);
+  }
+};
+
+/**
+ * Resume dispatching open pools that are due, e.g. after a restart
+ * Rides whose pickup time has passed are left to their expiry job.
+ */
+const resumeOpenRides = async () => {
+  try {
+    const rides = await Ride.find({
+      status: { $in: OPEN_STATUSES },
+      scheduledTime: { $gte: new Date() }
+    });
+    const seen = new Set();
+
+    for (const ride of rides) {
+      if (!seen.has(ride.poolId)) {
+        seen.add(ride.poolId);
+        await dispatch(ride);
+      }
+    }
+  } catch (err) {
+    logError(err);
+  }
+};
+
+module.exports = {
+  config,
+  isDue,
+  clashingRidesFilter,
+  dispatch,
+  decline,
+  stop,
+  release,
+  resumeOpenRides
+};
@@ -0,0 +1,94 @@
+const User = require('../models/userModel');
+const ErrorResponse = require('./errorResponse');
+
+// Minutes after which a driver's last reported position is no longer trusted
+const staleAfterMinutes = () => parseInt(process.env.DRIVER_LOCATION_STALE_MINUTES, 10) || 5;
+
+/**
+ * Get the oldest location update that still counts as live
+ * @returns {Date} - Cutoff date
+ */
+exports.getStaleCutoff = () => new Date(Date.now() - staleAfterMinutes() * 60000);
+
+/**
+ * Query for drivers who can be offered rides right now: verified, available,
+ * not suspended and with a live position
+ * @returns {Object} - MongoDB filter on users
+ */
+exports.availableDriverFilter = () => ({
+  role: 'driver',
+  'driverDetails.isVerified': true,
+  'driverDetails.isAvailable': true,
+  'driverDetails.suspendedUntil': { $not: { $gt: new Date() } },
+  'location.lastUpdated': { $gte: exports.getStaleCutoff() }
+});
+
+// Numbers and numeric strings only, so null, '' and booleans are not read as 0
+const toNumber = value => (
+  typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')
+    ? Number(value)
+    : NaN
+);
+
+/**
+ * Read a reported position, rejecting values that are not real coordinates
+ * @param {Object} coords - Coordinate {lat, lng}
+ * @returns {Object|null} - Numeric {lat, lng}, or null if invalid
+ */
+exports.parseCoords = (coords) => {
+  const lat = toNumber(coords && coords.lat);
+  const lng = toNumber(coords && coords.lng);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) ||
+    Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+
+  return { lat, lng };
+};
+
+/**
+ * Store a driver's current position
+ * @param {String} driverId - Driver user id
+ * @param {Object} coords - Coordinate {lat, lng}
+ * @returns {Object} - Updated location
+ */
+exports.updateDriverLocation = async (driverId, coords) => {
+  const position = exports.parseCoords(coords);
+
+  if (!position) {
+    throw new ErrorResponse('Please provide a latitude between -90 and 90 and a longitude between -180 and 180', 400);
+  }
+
+  const location = {
+    type: 'Point',
+    coordinates: [position.lng, position.lat],
+    lastUpdated: Date.now()
+  };
+
+  await User.findOneAndUpdate(
+    { _id: driverId, role: 'driver' },
+    { location }
+  );
+
+  return location;
+};
+
+/**
+ * Clear positions that have not been refreshed and mark those drivers unavailable
+ * @returns {Number} - Number of drivers expired
+ */
+exports.expireStaleLocations = async () => {
+  const result = await User.updateMany(
+    {
+      role: 'driver',
+      'location.lastUpdated': { $lt: exports.getStaleCutoff() }
+    },
+    {
+      $unset: { location: '' },
+      'driverDetails.isAvailable': false
+    }
+  );
+
+  return result.modifiedCount;
+};
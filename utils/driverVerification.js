@@ -0,0 +1,210 @@
+const path = require('path');
+const User = require('../models/userModel');
+const DriverDocument = require('../models/driverDocumentModel');
+const VerificationLog = require('../models/verificationLogModel');
+const storage = require('./storage');
+const jobQueue = require('./jobQueue');
+const eventBus = require('./eventBus');
+const notifications = require('./notifications');
+
+/**
+ * Driver verification.
+ *
+ * Drivers submit their licence and vehicle details with their driving licence,
+ * registration certificate (rc), insurance and photo. The files are written
+ * through utils/storage.js and recorded as DriverDocuments; replaced ones are
+ * kept. Admins approve or reject pending submissions from a review queue, and
+ * every submission, review and expiry is recorded in the VerificationLog.
+ * Every LICENSE_EXPIRY_CHECK_MINUTES a job takes verification away from
+ * drivers whose licence has expired.
+ */
+
+const DOCUMENT_TYPES = ['license', 'rc', 'insurance', 'photo'];
+
+const CONTENT_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'application/pdf': '.pdf'
+};
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const config = () => ({
+  maxUploadMb: numberFromEnv('UPLOAD_MAX_MB', 5),
+  expiryCheckMinutes: numberFromEnv('LICENSE_EXPIRY_CHECK_MINUTES', 60)
+});
+
+/**
+ * Get a driver's current documents by type
+ * @param {String} driverId - Driver user id
+ * @returns {Object} - {license, rc, insurance, photo} documents, missing types left out
+ */
+const getCurrentDocuments = async (driverId) => {
+  const documents = await DriverDocument.find({ driver: driverId, status: 'current' });
+
+  return documents.reduce((byType, document) => {
+    byType[document.type] = document;
+    return byType;
+  }, {});
+};
+
+/**
+ * Store uploaded documents, replacing the driver's current ones of the same type
+ * @param {String} driverId - Driver user id
+ * @param {Object} files - Multer files by field name
+ * @returns {Array} - New documents
+ */
+const saveDocuments = async (driverId, files = {}) => {
+  const saved = [];
+
+  for (const type of DOCUMENT_TYPES) {
+    const [file] = files[type] || [];
+
+    if (!file) {
+      continue;
+    }
+
+    const extension = CONTENT_TYPES[file.mimetype] || path.extname(file.originalname);
+    const key = `drivers/${driverId}/${type}-${Date.now()}${extension}`;
+
+    const { size } = await storage.saveFile({
+      key,
+      buffer: file.buffer,
+      contentType: file.mimetype
+    });
+
+    await DriverDocument.updateMany(
+      { driver: driverId, type, status: 'current' },
+      { status: 'superseded' }
+    );
+
+    saved.push(await DriverDocument.create({
+      driver: driverId,
+      type,
+      key,
+      filename: file.originalname,
+      contentType: file.mimetype,
+      size
+    }));
+  }
+
+  return saved;
+};
+
+/**
+ * Record a verification event in the driver's history
+ * @param {String} driverId - Driver user id
+ * @param {String} action - submitted, approved, rejected or expired
+ * @param {Object} options - {by, reason, details}
+ * @returns {Object} - Log entry
+ */
+const recordEvent = (driverId, action, { by, reason, details } = {}) => VerificationLog.create({
+  driver: driverId,
+  action,
+  by,
+  reason,
+  details
+});
+
+/**
+ * Tell a driver their verification changed
+ * @param {String} driverId - Driver user id
+ * @param {String} status - New verification status
+ * @param {String} reason - Reason given, if any
+ */
+const notifyDriver = async (driverId, status, reason) => {
+  eventBus.toUser(driverId, 'verificationUpdated', { status, reason });
+
+  const type = {
+    approved: 'verificationApproved',
+    rejected: 'verificationRejected',
+    expired: 'licenseExpired'
+  }[status];
+
+  if (type) {
+    await notifications.notify(driverId, type, { reason });
+  }
+};
+
+/**
+ * Take verification away from drivers whose licence has expired
+ * @returns {Number} - Drivers de-verified
+ */
+const expireLicenses = async () => {
+  const drivers = await User.find({
+    role: 'driver',
+    'driverDetails.isVerified': true,
+    'driverDetails.licenseExpiry': { $lte: new Date() }
+  }).select('driverDetails.licenseExpiry');
+
+  let count = 0;
+
+  for (const driver of drivers) {
+    // Skip drivers whose licence was renewed in the meantime
+    const expired = await User.findOneAndUpdate(
+      {
+        _id: driver._id,
+        'driverDetails.isVerified': true,
+        'driverDetails.licenseExpiry': { $lte: new Date() }
+      },
+      {
+        'driverDetails.isVerified': false,
+        'driverDetails.isAvailable': false,
+        'driverDetails.verification.status': 'expired',
+        'driverDetails.verification.reviewedAt': Date.now()
+      }
+    );
+
+    if (!expired) {
+      continue;
+    }
+
+    const reason = 'Driving licence has expired';
+
+    await recordEvent(driver._id, 'expired', {
+      reason,
+      details: { licenseExpiry: driver.driverDetails.licenseExpiry }
+    });
+    await notifyDriver(driver._id, 'expired', reason);
+
+    count += 1;
+  }
+
+  return count;
+};
+
+// Check for expired licences, then again after the interval
+jobQueue.registerHandler('license_expiry_check', async () => {
+  try {
+    await expireLicenses();
+  } catch (err) {
+    console.log(`Error: ${err.message}`);
+  }
+
+  return { runAt: new Date(Date.now() + config().expiryCheckMinutes * 60 * 1000) };
+});
+
+/**
+ * Make sure the recurring licence expiry check is scheduled
+ */
+const scheduleLicenseChecks = () => jobQueue.schedule(
+  'license_expiry_check',
+  new Date(),
+  {},
+  { key: 'license_expiry_check' }
+);
+
+module.exports = {
+  DOCUMENT_TYPES,
+  CONTENT_TYPES,
+  config,
+  getCurrentDocuments,
+  saveDocuments,
+  recordEvent,
+  notifyDriver,
+  expireLicenses,
+  scheduleLicenseChecks
+};
@@ -0,0 +1,218 @@
+const Transaction = require('../models/transactionModel');
+const ledger = require('./ledger');
+const pricing = require('./pricing');
+const pdf = require('./pdf');
+
+/**
+ * Driver earnings statements built from the ledger.
+ *
+ * Every fare or fee charged for a driver's ride credits their earnings net of
+ * platform commission; refunds and payouts debit them. Statements cover a
+ * calendar week (starting Monday) or month, in UTC, in the currency of the
+ * fare rule of the driver's city.
+ */
+
+const PERIODS = ['weekly', 'monthly'];
+const DAY = 24 * 60 * 60 * 1000;
+
+const { round } = Transaction;
+
+const idOf = ref => (ref && ref._id ? ref._id : ref);
+
+/**
+ * Get the start and end of the week or month containing a date
+ * @param {String} period - weekly or monthly
+ * @param {Date} date - Any date in the period
+ * @returns {Object} - {start, end}, end exclusive
+ */
+const periodBounds = (period, date = new Date()) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+
+  if (period === 'monthly') {
+    return {
+      start: new Date(Date.UTC(year, month, 1)),
+      end: new Date(Date.UTC(year, month + 1, 1))
+    };
+  }
+
+  const day = Date.UTC(year, month, date.getUTCDate());
+  const sinceMonday = (new Date(day).getUTCDay() + 6) % 7;
+  const start = new Date(day - sinceMonday * DAY);
+
+  return { start, end: new Date(start.getTime() + 7 * DAY) };
+};
+
+// Statement line for one ledger transaction
+const toLine = (transaction, driverId) => {
+  const earnings = transaction.entries.find(entry =>
+    entry.account === 'driver_earnings' && entry.user && entry.user.toString() === driverId.toString()
+  );
+  const commissionEntry = transaction.entries.find(entry => entry.account === 'platform_commission');
+  const commission = commissionEntry ? round(commissionEntry.credit - commissionEntry.debit) : 0;
+  const net = round(earnings.credit - earnings.debit);
+
+  // Gross is the full fare, including any promo discount paid by the platform
+  return {
+    date: transaction.createdAt,
+    type: transaction.type,
+    ride: transaction.ride ? idOf(transaction.ride) : null,
+    description: transaction.description,
+    gross: transaction.type === 'payout' ? 0 : round(net + commission),
+    commission,
+    net
+  };
+};
+
+/**
+ * Get the currency a driver earns and is paid out in
+ * @param {Object} driver - Driver user document
+ * @returns {String} - Currency of the fare rule of the driver's city
+ */
+const getCurrency = async (driver) => {
+  const city = driver.driverDetails && driver.driverDetails.city;
+  return city ? (await pricing.getFareRule(city)).currency : ledger.CURRENCY;
+};
+
+const sum = (lines, key) => round(lines.reduce((total, line) => total + line[key], 0));
+
+/**
+ * Build a driver's earnings statement
+ * @param {String} driverId - Driver user id
+ * @param {String} period - weekly or monthly
+ * @param {Date} date - Any date in the period
+ * @param {String} currency - Currency code, defaults to the ledger's currency
+ * @returns {Object} - Totals, opening and closing balance, and one line per transaction
+ */
+const getStatement = async (driverId, period, date, currency = ledger.CURRENCY) => {
+  const { start, end } = periodBounds(period, date);
+
+  const transactions = await Transaction.find({
+    entries: { $elemMatch: { account: 'driver_earnings', user: driverId } },
+    currency,
+    createdAt: { $gte: start, $lt: end }
+  }).sort({ createdAt: 1 });
+
+  const lines = transactions.map(transaction => toLine(transaction, driverId));
+  const earningLines = lines.filter(line => line.type !== 'payout');
+
+  const openingBalance = await ledger.getBalance('driver_earnings', driverId, { before: start, currency });
+  const net = sum(earningLines, 'net');
+  const payouts = -sum(lines.filter(line => line.type === 'payout'), 'net');
+
+  return {
+    period,
+    start,
+    end,
+    currency,
+    trips: new Set(lines
+      .filter(line => line.type === 'ride_charge')
+      .map(line => String(line.ride))).size,
+    gross: sum(earningLines, 'gross'),
+    commission: sum(earningLines, 'commission'),
+    net,
+    payouts,
+    openingBalance,
+    closingBalance: round(openingBalance + net - payouts),
+    lines
+  };
+};
+
+/**
+ * Summaries of a driver's most recent statements, newest first
+ * @param {String} driverId - Driver user id
+ * @param {String} period - weekly or monthly
+ * @param {Number} count - Number of periods
+ * @param {String} currency - Currency code, defaults to the ledger's currency
+ * @returns {Array} - Statements without their lines
+ */
+const getSummaries = async (driverId, period, count, currency) => {
+  const summaries = [];
+  let date = new Date();
+
+  for (let index = 0; index < count; index++) {
+    const { lines, ...summary } = await getStatement(driverId, period, date, currency);
+    summaries.push(summary);
+    date = new Date(summary.start.getTime() - DAY);
+  }
+
+  return summaries;
+};
+
+const csvField = value => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = values => values.map(csvField).join(',');
+
+const formatDate = date => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Render a statement as CSV
+ * @param {Object} statement - Result of getStatement
+ * @returns {String} - CSV text
+ */
+const toCsv = (statement) => {
+  const rows = [
+    csvRow(['Date', 'Type', 'Ride', 'Description', 'Gross', 'Commission', 'Net']),
+    ...statement.lines.map(line => csvRow([
+      new Date(line.date).toISOString(),
+      line.type,
+      line.ride,
+      line.description,
+      line.gross.toFixed(2),
+      line.commission.toFixed(2),
+      line.net.toFixed(2)
+    ])),
+    csvRow(['', 'total', '', `${statement.trips} trips`, statement.gross.toFixed(2), statement.commission.toFixed(2), statement.net.toFixed(2)]),
+    csvRow(['', 'payouts', '', '', '', '', (-statement.payouts).toFixed(2)]),
+    csvRow(['', 'opening balance', '', '', '', '', statement.openingBalance.toFixed(2)]),
+    csvRow(['', 'closing balance', '', '', '', '', statement.closingBalance.toFixed(2)])
+  ];
+
+  return `${rows.join('\n')}\n`;
+};
+
+/**
+ * Render a statement as a PDF document
+ * @param {Object} statement - Result of getStatement
+ * @param {Object} driver - Driver user document
+ * @returns {Buffer} - PDF file contents
+ */
+const toPdf = (statement, driver) => {
+  const money = amount => amount.toFixed(2).padStart(12);
+  const lastDay = new Date(statement.end.getTime() - DAY);
+
+  const lines = [
+    `Driver:  ${driver.name} (${driver.email})`,
+    `Period:  ${formatDate(statement.start)} to ${formatDate(lastDay)} (${statement.period})`,
+    `Currency: ${statement.currency}`,
+    '',
+    `${'Date'.padEnd(12)}${'Type'.padEnd(18)}${'Gross'.padStart(12)}${'Commission'.padStart(12)}${'Net'.padStart(12)}`,
+    '-'.repeat(66),
+    ...statement.lines.map(line =>
+      `${formatDate(line.date).padEnd(12)}${line.type.padEnd(18)}${money(line.gross)}${money(line.commission)}${money(line.net)}`
+    ),
+    '-'.repeat(66),
+    `${'Total'.padEnd(30)}${money(statement.gross)}${money(statement.commission)}${money(statement.net)}`,
+    '',
+    `Trips:            ${statement.trips}`,
+    `Opening balance: ${money(statement.openingBalance)}`,
+    `Net earnings:    ${money(statement.net)}`,
+    `Payouts:         ${money(-statement.payouts)}`,
+    `Closing balance: ${money(statement.closingBalance)}`
+  ];
+
+  return pdf.createPdf({ title: 'CabPool earnings statement', lines });
+};
+
+module.exports = {
+  PERIODS,
+  periodBounds,
+  getCurrency,
+  getStatement,
+  getSummaries,
+  toCsv,
+  toPdf
+};
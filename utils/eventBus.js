@@ -0,0 +1,83 @@
+const EventEmitter = require('events');
+
+/**
+ * Process-wide event bus.
+ *
+ * Controllers and services publish here without knowing about Socket.io;
+ * config/socket.js subscribes to `publish` and relays each event to its rooms,
+ * and to `leave` to take connections out of a room.
+ * Rooms are `ride_<rideId>` for everyone watching a ride and `user_<userId>`
+ * for every connection of one user.
+ */
+const eventBus = new EventEmitter();
+
+const idOf = ref => (ref && ref._id ? ref._id : ref);
+
+/**
+ * Publish an event to a set of rooms (each socket receives it once)
+ * @param {Array} rooms - Room names
+ * @param {String} event - Client event name
+ * @param {Object} payload - Event data
+ */
+eventBus.publish = (rooms, event, payload) => {
+  eventBus.emit('publish', { rooms: [...new Set(rooms)], event, payload });
+};
+
+/**
+ * Publish an event to everyone in a ride room
+ * @param {String} rideId - Ride id
+ * @param {String} event - Client event name
+ * @param {Object} payload - Event data
+ */
+eventBus.toRide = (rideId, event, payload) => {
+  eventBus.publish([`ride_${rideId}`], event, payload);
+};
+
+/**
+ * Publish an event to every connection of a user
+ * @param {String} userId - User id
+ * @param {String} event - Client event name
+ * @param {Object} payload - Event data
+ */
+eventBus.toUser = (userId, event, payload) => {
+  eventBus.publish([`user_${idOf(userId)}`], event, payload);
+};
+
+/**
+ * Take users' connections out of a ride room once they are no longer on the ride
+ * @param {String} rideId - Ride id
+ * @param {Array} users - Users to remove, everyone in the room if not given
+ */
+eventBus.leaveRide = (rideId, users) => {
+  eventBus.emit('leave', {
+    rooms: users ? users.map(user => `user_${idOf(user)}`) : [`ride_${rideId}`],
+    room: `ride_${rideId}`
+  });
+};
+
+/**
+ * Publish a ride lifecycle event to the ride room and to each participant
+ * @param {Object} ride - Ride document
+ * @param {String} event - Client event name
+ * @param {Object} details - Extra event data
+ */
+eventBus.publishRide = (ride, event, details = {}) => {
+  const participants = [
+    ride.driver,
+    ...ride.passengers.map(p => p.user)
+  ].filter(Boolean);
+
+  eventBus.publish(
+    [`ride_${ride._id}`, ...participants.map(user => `user_${idOf(user)}`)],
+    event,
+    {
+      rideId: ride._id,
+      poolId: ride.poolId,
+      status: ride.status,
+      ...details,
+      timestamp: new Date()
+    }
+  );
+};
+
+module.exports = eventBus;
@@ -0,0 +1,200 @@
+const Job = require('../models/jobModel');
+
+/**
+ * Background jobs stored in MongoDB.
+ *
+ * Jobs are scheduled with a type, a run time and data, and survive restarts.
+ * Every JOB_POLL_SECONDS the queue claims due jobs one at a time and runs the
+ * handler registered for their type, so several server processes can share
+ * the queue. A failed job is retried with a growing delay up to
+ * JOB_MAX_ATTEMPTS times; a job whose process died is picked up again once
+ * its lock expires. A handler may return `{ runAt }` to run again later.
+ */
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const config = () => ({
+  pollSeconds: numberFromEnv('JOB_POLL_SECONDS', 15),
+  maxAttempts: numberFromEnv('JOB_MAX_ATTEMPTS', 5),
+  lockSeconds: numberFromEnv('JOB_LOCK_SECONDS', 300)
+});
+
+const handlers = {};
+
+let timer = null;
+let running = false;
+
+/**
+ * Register the handler of a job type
+ * @param {String} type - Job type
+ * @param {Function} handler - async (job) => optional { runAt }
+ */
+const registerHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+/**
+ * Schedule a job
+ * @param {String} type - Job type
+ * @param {Date} runAt - When to run it
+ * @param {Object} data - Data for the handler
+ * @param {Object} options - {key} to schedule the job only once
+ * @returns {Object} - Job document
+ */
+const schedule = async (type, runAt, data = {}, { key } = {}) => {
+  if (!key) {
+    return Job.create({ type, runAt, data });
+  }
+
+  return Job.findOneAndUpdate(
+    { key },
+    { $setOnInsert: { type, key, runAt, data, status: 'pending', attempts: 0 } },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Cancel the pending jobs of a type that match some data
+ * @param {String} type - Job type
+ * @param {Object} data - Data fields to match
+ * @returns {Number} - Jobs cancelled
+ */
+const cancel = async (type, data = {}) => {
+  const filter = { type, status: 'pending' };
+
+  Object.keys(data).forEach(field => {
+    filter[`data.${field}`] = data[field];
+  });
+
+  const result = await Job.updateMany(filter, { status: 'cancelled', finishedAt: Date.now() });
+  return result.modifiedCount;
+};
+
+// Claim the next due job, or one whose lock has expired
+const claimNext = () => {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      status: 'running',
+      lockedUntil: new Date(now.getTime() + config().lockSeconds * 1000),
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Run a claimed job and record how it went
+const runJob = async (job) => {
+  const handler = handlers[job.type];
+
+  if (!handler) {
+    await Job.updateOne({ _id: job._id }, {
+      status: 'failed',
+      lastError: `No handler registered for ${job.type} jobs`,
+      finishedAt: Date.now()
+    });
+    return;
+  }
+
+  try {
+    const result = await handler(job);
+
+    if (result && result.runAt) {
+      await Job.updateOne({ _id: job._id }, {
+        status: 'pending',
+        runAt: result.runAt,
+        attempts: 0,
+        $unset: { lockedUntil: 1 }
+      });
+    } else {
+      await Job.updateOne({ _id: job._id }, {
+        status: 'completed',
+        finishedAt: Date.now(),
+        $unset: { lockedUntil: 1 }
+      });
+    }
+  } catch (err) {
+    console.log(`Job error (${job.type}): ${err.message}`);
+
+    const update = job.attempts >= config().maxAttempts
+      ? { status: 'failed', finishedAt: Date.now() }
+      // Retry after 30s, 2m, 4.5m, ...
+      : { status: 'pending', runAt: new Date(Date.now() + job.attempts * job.attempts * 30000) };
+
+    await Job.updateOne({ _id: job._id }, {
+      ...update,
+      lastError: err.message,
+      $unset: { lockedUntil: 1 }
+    });
+  }
+};
+
+/**
+ * Run every job that is due
+ * @returns {Number} - Jobs run
+ */
+const runDueJobs = async () => {
+  if (running) {
+    return 0;
+  }
+
+  running = true;
+  let count = 0;
+
+  try {
+    let job = await claimNext();
+
+    while (job) {
+      await runJob(job);
+      count += 1;
+      job = await claimNext();
+    }
+  } finally {
+    running = false;
+  }
+
+  return count;
+};
+
+/**
+ * Start polling for due jobs
+ */
+const start = () => {
+  if (timer) {
+    return;
+  }
+
+  const poll = () => runDueJobs().catch(err => console.log(`Job error: ${err.message}`));
+
+  timer = setInterval(poll, config().pollSeconds * 1000);
+  timer.unref();
+  poll();
+};
+
+/**
+ * Stop polling for due jobs
+ */
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  config,
+  registerHandler,
+  schedule,
+  cancel,
+  runDueJobs,
+  start,
+  stop
+};
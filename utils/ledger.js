@@ -0,0 +1,532 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/transactionModel');
+const ErrorResponse = require('./errorResponse');
+const paymentGateway = require('./paymentGateway');
+const locationUtils = require('./locationUtils');
+
+/**
+ * Double-entry ledger for wallets, driver earnings and platform commission.
+ *
+ * Every money movement is a Transaction whose entries balance. Wallet,
+ * earnings and commission balances are credits minus debits; the gateway
+ * account (money held with the payment gateway) and the promotions account
+ * (promo discounts and referral credits paid by the platform) are debits
+ * minus credits.
+ * Balances are kept per currency, since fares are charged in the currency of
+ * the city's fare rule. Wallets may go negative when a fare is charged, which
+ * blocks new bookings until the passenger tops up.
+ */
+
+const { round, DEBIT_ACCOUNTS } = Transaction;
+
+// Currency of top-ups, credits and payouts when none is given
+const CURRENCY = locationUtils.DEFAULT_FARE_RULE.currency;
+
+const idOf = ref => (ref && ref._id ? ref._id : ref);
+
+// Share of each fare kept by the platform
+const getCommissionRate = () => {
+  const rate = parseFloat(process.env.PLATFORM_COMMISSION_RATE);
+  return Number.isNaN(rate) ? 0.2 : rate;
+};
+
+/**
+ * Split an amount between the driver and the platform
+ * @param {Number} amount - Amount paid by the passenger
+ * @returns {Object} - {net, commission}
+ */
+const splitEarnings = (amount) => {
+  const commission = round(amount * getCommissionRate());
+  return { net: round(amount - commission), commission };
+};
+
+const entryMatchFor = (account, userId) => {
+  const entryMatch = { 'entries.account': account };
+
+  if (userId) {
+    entryMatch['entries.user'] = new mongoose.Types.ObjectId(String(idOf(userId)));
+  }
+
+  return entryMatch;
+};
+
+const balanceOf = (account, totals) => round(DEBIT_ACCOUNTS.includes(account)
+  ? totals.debit - totals.credit
+  : totals.credit - totals.debit);
+
+/**
+ * Get the balance of a ledger account in one currency
+ * @param {String} account - Account name
+ * @param {String} userId - Owner, for per-user accounts
+ * @param {Object} options - {before, currency}; only count transactions
+ * before this date, in this currency (defaults to CURRENCY)
+ * @returns {Number} - Balance
+ */
+const getBalance = async (account, userId, { before, currency = CURRENCY } = {}) => {
+  const entryMatch = entryMatchFor(account, userId);
+  const match = { ...entryMatch, currency };
+
+  if (before) {
+    match.createdAt = { $lt: before };
+  }
+
+  const [totals] = await Transaction.aggregate([
+    { $match: match },
+    { $unwind: '$entries' },
+    { $match: entryMatch },
+    {
+      $group: {
+        _id: null,
+        debit: { $sum: '$entries.debit' },
+        credit: { $sum: '$entries.credit' }
+      }
+    }
+  ]);
+
+  return totals ? balanceOf(account, totals) : 0;
+};
+
+/**
+ * Get the balances of a ledger account in every currency it holds
+ * @param {String} account - Account name
+ * @param {String} userId - Owner, for per-user accounts
+ * @returns {Object} - Balance by currency code
+ */
+const getBalances = async (account, userId) => {
+  const entryMatch = entryMatchFor(account, userId);
+
+  const totals = await Transaction.aggregate([
+    { $match: entryMatch },
+    { $unwind: '$entries' },
+    { $match: entryMatch },
+    {
+      $group: {
+        _id: '$currency',
+        debit: { $sum: '$entries.debit' },
+        credit: { $sum: '$entries.credit' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return totals.reduce((balances, total) => ({
+    ...balances,
+    [total._id]: balanceOf(account, total)
+  }), {});
+};
+
+/**
+ * Get a user's wallet balance in one currency
+ * @param {String} userId - User id
+ * @param {String} currency - Currency code, defaults to CURRENCY
+ * @returns {Number} - Balance
+ */
+const getWalletBalance = (userId, currency) => getBalance('wallet', userId, { currency });
+
+/**
+ * Check whether any of a user's wallet balances is below zero
+ * @param {String} userId - User id
+ * @returns {Boolean} - True when a fare or fee is still unpaid
+ */
+const hasOutstandingBalance = async (userId) => {
+  const balances = await getBalances('wallet', userId);
+  return Object.values(balances).some(balance => balance < 0);
+};
+
+/**
+ * Add money to a wallet through the payment gateway
+ * @param {Object} user - User document
+ * @param {Number} amount - Amount to add
+ * @param {String} source - Gateway payment source (card token etc.)
+ * @param {String} currency - Currency code, defaults to CURRENCY
+ * @returns {Object} - Top-up transaction
+ */
+const topUp = async (user, amount, source, currency = CURRENCY) => {
+  const result = await paymentGateway.charge({
+    amount,
+    currency,
+    source,
+    description: `Wallet top-up for user ${user._id}`
+  });
+
+  if (result.status !== 'succeeded') {
+    throw new ErrorResponse(result.message || 'Payment failed', 402);
+  }
+
+  return Transaction.create({
+    type: 'topup',
+    user: user._id,
+    amount,
+    currency,
+    description: 'Wallet top-up',
+    gateway: { name: result.name, reference: result.reference },
+    entries: [
+      { account: 'gateway', debit: amount },
+      { account: 'wallet', user: user._id, credit: amount }
+    ],
+    createdBy: user._id
+  });
+};
+
+// Take money from a passenger's wallet for a ride, once per ride and type
+// A promo discount is paid from the promotions account, so the driver still
+// earns on the full fare
+const chargePassenger = async (type, ride, passenger, amount, description, discount = 0) => {
+  if (!(amount > 0) && !(discount > 0)) {
+    return null;
+  }
+
+  const userId = idOf(passenger.user);
+
+  const charged = { type, ride: ride._id, user: userId };
+
+  const existing = await Transaction.findOne(charged);
+  if (existing) {
+    return existing;
+  }
+
+  const gross = amount + discount;
+  const entries = [{ account: 'wallet', user: userId, debit: amount }];
+
+  if (discount > 0) {
+    entries.push({ account: 'promotions', debit: discount });
+  }
+
+  if (ride.driver) {
+    const { net, commission } = splitEarnings(gross);
+    entries.push(
+      { account: 'driver_earnings', user: idOf(ride.driver), credit: net },
+      { account: 'platform_commission', credit: commission }
+    );
+  } else {
+    entries.push({ account: 'platform_commission', credit: gross });
+  }
+
+  try {
+    return await Transaction.create({
+      type,
+      user: userId,
+      ride: ride._id,
+      amount,
+      currency: ride.fare.currency,
+      description,
+      entries
+    });
+  } catch (err) {
+    // Charged at the same time by another request
+    if (err.code === 11000) {
+      return Transaction.findOne(charged);
+    }
+    throw err;
+  }
+};
+
+/**
+ * Charge a dropped off passenger's fare
+ * @param {Object} ride - Ride document
+ * @param {Object} passenger - Passenger subdocument
+ * @returns {Object|null} - Charge transaction
+ */
+const chargeRide = (ride, passenger) => chargePassenger(
+  'ride_charge',
+  ride,
+  passenger,
+  passenger.fare,
+  passenger.promo && passenger.promo.code ? `Ride fare (promo ${passenger.promo.code})` : 'Ride fare',
+  passenger.promo ? passenger.promo.discount : 0
+);
+
+/**
+ * Charge the fee recorded on a passenger's cancellation, if any
+ * @param {Object} ride - Ride document
+ * @param {Object} passenger - Cancelled passenger subdocument
+ * @returns {Object|null} - Fee transaction
+ */
+const chargeCancellationFee = (ride, passenger) => {
+  const cancellation = passenger.cancellation || {};
+
+  return chargePassenger(
+    'cancellation_fee',
+    ride,
+    passenger,
+    cancellation.fee,
+    cancellation.noShow ? 'No-show fee' : 'Cancellation fee'
+  );
+};
+
+/**
+ * Credit a wallet from the promotions account
+ * @param {String} userId - User to credit
+ * @param {Number} amount - Amount to credit
+ * @param {Object} options - {type, currency, description, createdBy}
+ * @returns {Object} - Credit transaction
+ */
+const creditWallet = (userId, amount, { type = 'referral_credit', currency = CURRENCY, description, createdBy } = {}) => Transaction.create({
+  type,
+  user: idOf(userId),
+  amount,
+  currency,
+  description,
+  entries: [
+    { account: 'promotions', debit: amount },
+    { account: 'wallet', user: idOf(userId), credit: amount }
+  ],
+  createdBy
+});
+
+/**
+ * Reverse a transaction
+ * Top-ups go back to the original payment source, charges back to the wallet.
+ * @param {Object} transaction - Transaction document
+ * @param {Object} options - {reason, createdBy}
+ * @returns {Object} - Refund transaction
+ */
+const refund = async (transaction, { reason, createdBy } = {}) => {
+  if (transaction.type === 'refund') {
+    throw new ErrorResponse('Refunds cannot be refunded', 400);
+  }
+
+  if (transaction.type === 'topup' &&
+    await getWalletBalance(transaction.user, transaction.currency) < transaction.amount) {
+    throw new ErrorResponse('Wallet balance is too low to refund this top-up', 400);
+  }
+
+  // Claim the refund first so it cannot happen twice
+  const claimed = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, refundedAt: { $exists: false } },
+    { refundedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw new ErrorResponse('Transaction has already been refunded', 400);
+  }
+
+  let gateway;
+
+  if (transaction.type === 'topup') {
+    const result = await paymentGateway.refund({
+      reference: transaction.gateway.reference,
+      amount: transaction.amount
+    });
+
+    if (result.status !== 'succeeded') {
+      await Transaction.updateOne({ _id: transaction._id }, { $unset: { refundedAt: 1 } });
+      throw new ErrorResponse(result.message || 'Refund failed', 402);
+    }
+
+    gateway = { name: result.name, reference: result.reference };
+  }
+
+  return Transaction.create({
+    type: 'refund',
+    user: transaction.user,
+    ride: transaction.ride,
+    amount: transaction.amount,
+    currency: transaction.currency,
+    description: reason || `Refund of ${transaction.type.replace('_', ' ')}`,
+    entries: transaction.entries.map(entry => ({
+      account: entry.account,
+      user: entry.user,
+      debit: entry.credit,
+      credit: entry.debit
+    })),
+    gateway,
+    refundOf: transaction._id,
+    createdBy
+  });
+};
+
+/**
+ * Refund every charge and fee of a ride
+ * @param {Object} ride - Ride document
+ * @param {Object} options - {reason, createdBy}
+ * @returns {Array} - Refund transactions
+ */
+const refundRide = async (ride, options) => {
+  const charges = await Transaction.find({
+    ride: ride._id,
+    type: { $in: ['ride_charge', 'cancellation_fee'] },
+    refundedAt: { $exists: false }
+  });
+
+  const refunds = [];
+  for (const charge of charges) {
+    refunds.push(await refund(charge, options));
+  }
+
+  return refunds;
+};
+
+/**
+ * Pay a driver's earnings out through the payment gateway
+ * @param {String} driverId - Driver user id
+ * @param {Number} amount - Amount to pay out
+ * @param {Object} options - {currency, destination, description, createdBy}
+ * @returns {Object} - Payout transaction
+ */
+const payout = async (driverId, amount, { currency = CURRENCY, destination, description, createdBy } = {}) => {
+  // Claim the earnings first and check the balance after, so concurrent
+  // payouts cannot spend the same earnings
+  const transaction = await Transaction.create({
+    type: 'payout',
+    user: driverId,
+    amount,
+    currency,
+    description: description || 'Earnings payout',
+    entries: [
+      { account: 'driver_earnings', user: driverId, debit: amount },
+      { account: 'gateway', credit: amount }
+    ],
+    createdBy
+  });
+
+  const release = () => Transaction.deleteOne({ _id: transaction._id });
+
+  if (await getBalance('driver_earnings', driverId, { currency }) < 0) {
+    await release();
+    throw new ErrorResponse('Earnings balance is too low for this payout', 400);
+  }
+
+  let result;
+  try {
+    result = await paymentGateway.payout({
+      amount,
+      currency,
+      destination,
+      description: description || `Earnings payout for driver ${driverId}`
+    });
+  } catch (err) {
+    await release();
+    throw err;
+  }
+
+  if (result.status !== 'succeeded') {
+    await release();
+    throw new ErrorResponse(result.message || 'Payout failed', 402);
+  }
+
+  transaction.gateway = { name: result.name, reference: result.reference };
+  return transaction.save();
+};
+
+/**
+ * Reconciliation report for a period in one currency
+ * @param {Object} period - {from, to} dates, both optional, and currency
+ * (defaults to CURRENCY)
+ * @returns {Object} - Totals by type and account, balance checks and gateway totals
+ */
+const getReconciliation = async ({ from, to, currency = CURRENCY } = {}) => {
+  const match = { currency };
+
+  if (from || to) {
+    match.createdAt = {};
+    if (from) {
+      match.createdAt.$gte = new Date(from);
+    }
+    if (to) {
+      match.createdAt.$lte = new Date(to);
+    }
+  }
+
+  const [byType, byAccount, unbalanced, gatewayTotals, overdrawn] = await Promise.all([
+    Transaction.aggregate([
+      { $match: match },
+      { $group: { _id: '$type', count: { $sum: 1 }, amount: { $sum: '$amount' } } },
+      { $sort: { _id: 1 } }
+    ]),
+    Transaction.aggregate([
+      { $match: match },
+      { $unwind: '$entries' },
+      {
+        $group: {
+          _id: '$entries.account',
+          debit: { $sum: '$entries.debit' },
+          credit: { $sum: '$entries.credit' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]),
+    Transaction.aggregate([
+      { $match: match },
+      {
+        $project: {
+          debit: { $sum: '$entries.debit' },
+          credit: { $sum: '$entries.credit' }
+        }
+      },
+      { $match: { $expr: { $gt: [{ $abs: { $subtract: ['$debit', '$credit'] } }, 0.001] } } }
+    ]),
+    Transaction.aggregate([
+      { $match: { ...match, 'gateway.reference': { $exists: true } } },
+      { $group: { _id: '$type', amount: { $sum: '$amount' } } }
+    ]),
+    // Wallets currently below zero, over all time
+    Transaction.aggregate([
+      { $match: { currency } },
+      { $unwind: '$entries' },
+      { $match: { 'entries.account': 'wallet' } },
+      {
+        $group: {
+          _id: '$entries.user',
+          balance: { $sum: { $subtract: ['$entries.credit', '$entries.debit'] } }
+        }
+      },
+      { $match: { balance: { $lt: 0 } } }
+    ])
+  ]);
+
+  const accounts = byAccount.map(account => ({
+    account: account._id,
+    debit: round(account.debit),
+    credit: round(account.credit),
+    balance: round(DEBIT_ACCOUNTS.includes(account._id)
+      ? account.debit - account.credit
+      : account.credit - account.debit)
+  }));
+
+  const totalDebit = round(accounts.reduce((sum, account) => sum + account.debit, 0));
+  const totalCredit = round(accounts.reduce((sum, account) => sum + account.credit, 0));
+  const gatewayAmount = type => round((gatewayTotals.find(total => total._id === type) || {}).amount || 0);
+
+  return {
+    currency,
+    from: from ? new Date(from) : null,
+    to: to ? new Date(to) : null,
+    transactions: byType.reduce((sum, type) => sum + type.count, 0),
+    byType: byType.map(type => ({ type: type._id, count: type.count, amount: round(type.amount) })),
+    accounts,
+    totalDebit,
+    totalCredit,
+    balanced: Math.abs(totalDebit - totalCredit) <= 0.001 && unbalanced.length === 0,
+    unbalancedTransactions: unbalanced.map(transaction => transaction._id),
+    gateway: {
+      charged: gatewayAmount('topup'),
+      refunded: gatewayAmount('refund'),
+      paidOut: gatewayAmount('payout'),
+      net: round(gatewayAmount('topup') - gatewayAmount('refund') - gatewayAmount('payout'))
+    },
+    overdrawnWallets: {
+      count: overdrawn.length,
+      amount: round(overdrawn.reduce((sum, wallet) => sum - wallet.balance, 0))
+    }
+  };
+};
+
+module.exports = {
+  CURRENCY,
+  getCommissionRate,
+  splitEarnings,
+  getBalance,
+  getBalances,
+  getWalletBalance,
+  hasOutstandingBalance,
+  topUp,
+  chargeRide,
+  chargeCancellationFee,
+  creditWallet,
+  refund,
+  refundRide,
+  payout,
+  getReconciliation
+};
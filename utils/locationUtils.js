@@ -67,26 +67,108 @@ exports.findNearestLandmarks = (point, landmarks, maxDistance = 5) => {
   return nearestLandmarks;
 };
 
+/**
+ * Estimate travel time for a distance
+ * @param {Number} distance - Distance in kilometers
+ * @param {Number} averageSpeed - Average speed in km/h
+ * @returns {Number} - Duration in minutes
+ */
+exports.estimateDuration = (distance, averageSpeed = 40) => {
+  return Math.round((distance / averageSpeed) * 60);
+};
+
+/**
+ * Default fare rule, used for cities without their own FareRule
+ */
+exports.DEFAULT_FARE_RULE = {
+  baseFare: 50, // Base fare in INR
+  perKmRate: 12, // Rate per km in INR
+  perMinuteRate: 0,
+  minimumFare: 0,
+  nightSurcharge: {
+    startHour: 22,
+    endHour: 6,
+    rate: 0
+  },
+  // Discount for the whole vehicle by number of passengers (max 40%)
+  poolingDiscounts: [
+    { passengers: 2, discount: 0.1 },
+    { passengers: 3, discount: 0.2 },
+    { passengers: 4, discount: 0.3 },
+    { passengers: 5, discount: 0.4 }
+  ],
+  currency: 'INR'
+};
+
+/**
+ * Get the pooling discount for a number of passengers from a discount curve
+ * @param {Array} curve - [{passengers, discount}, ...]
+ * @param {Number} passengers - Number of passengers
+ * @returns {Number} - Discount as a fraction (0-1)
+ */
+exports.getPoolingDiscount = (curve, passengers) => {
+  return (curve || [])
+    .filter(step => step.passengers <= passengers)
+    .reduce((discount, step) => Math.max(discount, step.discount), 0);
+};
+
+/**
+ * Check if a time falls inside a night window
+ * @param {Date} time - Time to check
+ * @param {Object} window - {startHour, endHour}
+ * @param {String} timeZone - IANA timezone the hours are in, server local time if not given
+ * @returns {Boolean} - True if time is inside the window
+ */
+exports.isNightTime = (time, window, timeZone) => {
+  const hour = parseInt(new Intl.DateTimeFormat('en-US', {
+    hour: 'numeric',
+    hourCycle: 'h23',
+    timeZone
+  }).format(new Date(time)), 10);
+  
+  if (window.startHour <= window.endHour) {
+    return hour >= window.startHour && hour < window.endHour;
+  }
+  
+  return hour >= window.startHour || hour < window.endHour;
+};
+
 /**
  * Calculate estimated fare for a ride
  * @param {Number} distance - Distance in kilometers
  * @param {Number} passengers - Number of passengers
+ * @param {Object} options - {rule, duration (minutes), time, surgeMultiplier}
+ * The night surcharge is checked in the rule's timeZone.
  * @returns {Object} - Fare details
  */
-exports.calculateFare = (distance, passengers) => {
-  const baseFare = 50; // Base fare in INR
-  const perKmRate = 12; // Rate per km in INR
-  const distanceFare = distance * perKmRate;
-  const totalFare = baseFare + distanceFare;
+exports.calculateFare = (distance, passengers, options = {}) => {
+  const rule = { ...this.DEFAULT_FARE_RULE, ...(options.rule || {}) };
+  const { duration = 0, time = Date.now(), surgeMultiplier = 1 } = options;
+  
+  const baseFare = rule.baseFare;
+  const distanceFare = distance * rule.perKmRate;
+  const timeFare = duration * rule.perMinuteRate;
+  const meteredFare = baseFare + distanceFare + timeFare;
+  
+  // Night surcharge on the metered fare
+  const nightSurcharge = rule.nightSurcharge && rule.nightSurcharge.rate > 0 &&
+    this.isNightTime(time, rule.nightSurcharge, rule.timeZone)
+    ? meteredFare * rule.nightSurcharge.rate
+    : 0;
+  
+  // Surge on top, never below the minimum fare
+  const totalFare = Math.max(
+    rule.minimumFare,
+    (meteredFare + nightSurcharge) * surgeMultiplier
+  );
   
   // Calculate shared fare with discount
   let sharedFare = totalFare;
   let discount = 0;
   
   if (passengers > 1) {
-    // Apply discount based on number of passengers
     // More passengers = higher discount
-    discount = Math.min(0.4, 0.1 * (passengers - 1)); // Max 40% discount
+    discount = this.getPoolingDiscount(rule.poolingDiscounts, passengers);
     sharedFare = totalFare * (1 - discount);
   }
   
@@ -96,10 +178,43 @@ exports.calculateFare = (distance, passengers) => {
   return {
     baseFare,
     distanceFare,
+    timeFare,
+    nightSurcharge,
+    surgeMultiplier,
     totalFare,
     discount: discount * 100, // Convert to percentage
     sharedFare,
     farePerPassenger,
-    currency: 'INR'
+    currency: rule.currency
   };
 };
+
+/**
+ * Calculate the initial bearing from one coordinate to another
+ * @param {Object} coord1 - Start coordinate {lat, lng}
+ * @param {Object} coord2 - End coordinate {lat, lng}
+ * @returns {Number} - Bearing in degrees (0-360, clockwise from north)
+ */
+exports.calculateBearing = (coord1, coord2) => {
+  const lat1 = coord1.lat * Math.PI / 180;
+  const lat2 = coord2.lat * Math.PI / 180;
+  const dLon = (coord2.lng - coord1.lng) * Math.PI / 180;
+  
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) -
+    Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  
+  const bearing = Math.atan2(y, x) * 180 / Math.PI;
+  
+  return (bearing + 360) % 360;
+};
+
+/**
+ * Convert a GeoJSON [lng, lat] coordinate pair to {lat, lng}
+ * @param {Array} coordinates - GeoJSON coordinates [longitude, latitude]
+ * @returns {Object} - Coordinate {lat, lng}
+ */
+exports.toLatLng = (coordinates) => ({
+  lat: coordinates[1],
+  lng: coordinates[0]
+});
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const createRegistry = require('./registry');
+
+/**
+ * Pluggable email sending.
+ *
+ * A transport is any object with an async `send({ from, to, subject, text, html })`
+ * method. The active transport is chosen with the MAIL_TRANSPORT environment
+ * variable (defaults to `file` outside production) or replaced at runtime with `setTransport`.
+ */
+
+// Writes each message to MAIL_DIR as a JSON file, for local development
+const fileTransport = {
+  send: async (mail) => {
+    const dir = process.env.MAIL_DIR || path.join('tmp', 'mail');
+    const file = path.join(dir, `${Date.now()}-${mail.to.replace(/[^\w.@-]/g, '_')}.json`);
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(file, JSON.stringify({ ...mail, sentAt: new Date() }, null, 2));
+
+    return { ...mail, file };
+  }
+};
+
+// Keeps messages in memory, for tests
+const memoryTransport = {
+  outbox: [],
+  send: async (mail) => {
+    const message = { ...mail, sentAt: new Date() };
+    memoryTransport.outbox.push(message);
+    return message;
+  },
+  clear: () => {
+    memoryTransport.outbox.length = 0;
+  }
+};
+
+const registry = createRegistry({
+  label: 'mail transport',
+  envVar: 'MAIL_TRANSPORT',
+  methods: ['send'],
+  entries: {
+    file: fileTransport,
+    memory: memoryTransport
+  },
+  fallback: 'file'
+});
+
+/**
+ * Register a named mail transport
+ * @param {String} name - Transport name used in MAIL_TRANSPORT
+ * @param {Object} transport - Object with an async send(mail) method
+ */
+exports.registerTransport = registry.register;
+
+/**
+ * Set the active mail transport
+ * @param {String|Object} transport - Registered transport name or transport object
+ */
+exports.setTransport = registry.set;
+
+/**
+ * Get the active mail transport
+ * @returns {Object} - Transport object
+ */
+exports.getTransport = registry.get;
+
+/**
+ * Send an email through the active transport
+ * @param {Object} options - {to, subject, text, html}
+ * @returns {Promise} - Transport result
+ */
+exports.sendEmail = (options) => exports.getTransport().send({
+  from: process.env.MAIL_FROM || 'CabPool <noreply@cabpool.local>',
+  ...options
+});
+
+exports.transports = registry.entries;
@@ -0,0 +1,293 @@
+const Notification = require('../models/notificationModel');
+const User = require('../models/userModel');
+const Ride = require('../models/rideModel');
+const Landmark = require('../models/landmarkModel');
+const eventBus = require('./eventBus');
+const locationUtils = require('./locationUtils');
+const push = require('./push');
+const sms = require('./sms');
+const mailer = require('./mailer');
+
+/**
+ * User notifications.
+ *
+ * `notify` renders a template and delivers it on every channel the user has
+ * enabled in `notificationPreferences`: `inApp` stores it for
+ * GET /api/notifications and sends a `notification` socket event, `push` goes
+ * to the user's device tokens, `sms` to their verified phone and `email` to
+ * their email address. Push, SMS and email use the pluggable providers in
+ * utils/push.js, utils/sms.js and utils/mailer.js. More channels can be added
+ * with `registerChannel` and a preference of the same name.
+ */
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const config = () => ({
+  arrivingKm: numberFromEnv('DRIVER_ARRIVING_KM', 0.5)
+});
+
+const idOf = ref => (ref && ref._id ? ref._id : ref);
+
+const logError = err => console.log(`Notification error: ${err.message}`);
+
+// Title and body of each notification type
+const TEMPLATES = {
+  rideAssigned: data => ({
+    title: 'Driver assigned',
+    body: `${data.driverName} will pick you up at ${data.pickup} in a ${data.vehicle}.`
+  }),
+  driverArriving: data => ({
+    title: 'Your driver is arriving',
+    body: `${data.driverName} is about ${data.minutes} min away from ${data.pickup}.`
+  }),
+  rideReminder: data => ({
+    title: 'Upcoming ride',
+    body: `Your ride from ${data.pickup} to ${data.destination} leaves in ${data.minutes} min.`
+  }),
+  rideCompleted: data => ({
+    title: 'Ride completed',
+    body: `You have arrived at ${data.destination}. ${data.currency} ${data.fare.toFixed(2)} was charged to your wallet.`
+  }),
+  rideCancelled: data => ({
+    title: 'Ride cancelled',
+    body: `Your ride from ${data.pickup} was cancelled: ${data.reason}.`
+  }),
+  receiptReady: data => ({
+    title: 'Your receipt is ready',
+    body: `The receipt for your ride to ${data.destination} is ready to download.`
+  }),
+  verificationApproved: () => ({
+    title: 'You are verified',
+    body: 'Your documents were approved. You can now go available and accept rides.'
+  }),
+  verificationRejected: data => ({
+    title: 'Verification rejected',
+    body: `Your documents were not approved: ${data.reason}. Please submit them again.`
+  }),
+  licenseExpired: () => ({
+    title: 'Driving licence expired',
+    body: 'You cannot accept rides until you submit your renewed licence for verification.'
+  })
+};
+
+const channels = {
+  inApp: {
+    deliver: async (user, message) => {
+      const notification = await Notification.create({
+        user: user._id,
+        type: message.type,
+        title: message.title,
+        body: message.body,
+        ride: message.ride,
+        data: message.data
+      });
+
+      eventBus.toUser(user._id, 'notification', notification);
+
+      return notification;
+    }
+  },
+  push: {
+    deliver: async (user, message) => {
+      if (!user.pushTokens || user.pushTokens.length === 0) {
+        return null;
+      }
+
+      return push.sendPush({
+        tokens: user.pushTokens,
+        title: message.title,
+        body: message.body,
+        data: { type: message.type, ...message.data }
+      });
+    }
+  },
+  sms: {
+    deliver: async (user, message) => {
+      if (!user.phone || !user.isPhoneVerified) {
+        return null;
+      }
+
+      return sms.sendSms({ to: user.phone, message: `${message.title}: ${message.body}` });
+    }
+  },
+  email: {
+    deliver: async (user, message) => {
+      if (!user.email) {
+        return null;
+      }
+
+      return mailer.sendEmail({ to: user.email, subject: message.title, text: message.body });
+    }
+  }
+};
+
+/**
+ * Register a named notification channel
+ * @param {String} name - Channel name, also the user's preference field
+ * @param {Object} channel - Object with an async deliver(user, message) method
+ */
+const registerChannel = (name, channel) => {
+  channels[name] = channel;
+};
+
+/**
+ * Render a notification template
+ * @param {String} type - Template name
+ * @param {Object} data - Template data
+ * @returns {Object} - {title, body}
+ */
+const render = (type, data) => {
+  const template = TEMPLATES[type];
+
+  if (!template) {
+    throw new Error(`Unknown notification type ${type}`);
+  }
+
+  return template(data);
+};
+
+/**
+ * Notify a user on the channels they have enabled
+ * Delivery errors are logged and do not stop the other channels.
+ * @param {String} userId - User to notify
+ * @param {String} type - Template name
+ * @param {Object} data - Template data, also sent with the notification
+ * @param {Object} options - {ride}
+ * @returns {Object} - Results by channel; inApp is the stored notification
+ */
+const notify = async (userId, type, data = {}, { ride } = {}) => {
+  const message = { type, ...render(type, data), ride, data };
+  const results = {};
+
+  try {
+    const user = await User.findById(idOf(userId))
+      .select('+pushTokens email phone isPhoneVerified notificationPreferences');
+
+    if (!user) {
+      return results;
+    }
+
+    const preferences = user.notificationPreferences || {};
+
+    for (const name of Object.keys(channels)) {
+      if (!preferences[name]) {
+        continue;
+      }
+
+      try {
+        results[name] = await channels[name].deliver(user, message);
+      } catch (err) {
+        logError(err);
+      }
+    }
+  } catch (err) {
+    logError(err);
+  }
+
+  return results;
+};
+
+/**
+ * Notify some users of a ride, adding its pickup and destination to the template data
+ * @param {Object} ride - Ride document
+ * @param {String} type - Template name
+ * @param {Array} userIds - Users to notify
+ * @param {Object} data - Extra template data
+ */
+const notifyRide = async (ride, type, userIds, data = {}) => {
+  if (userIds.length === 0) {
+    return;
+  }
+
+  let landmark = ride.pickupLandmark;
+
+  if (!landmark || !landmark.name) {
+    landmark = await Landmark.findById(idOf(ride.pickupLandmark)).select('name');
+  }
+
+  const rideData = {
+    rideId: ride._id,
+    pickup: landmark ? landmark.name : 'your pickup point',
+    destination: ride.destination.address,
+    scheduledTime: ride.scheduledTime,
+    ...data
+  };
+
+  for (const userId of userIds) {
+    await notify(userId, type, rideData, { ride: ride._id });
+  }
+};
+
+// Description of the driver and vehicle for templates
+const driverData = driver => ({
+  driverName: driver.name,
+  vehicle: [
+    driver.driverDetails.vehicleColor,
+    driver.driverDetails.vehicleModel || driver.driverDetails.vehicleType,
+    driver.driverDetails.vehicleNumber && `(${driver.driverDetails.vehicleNumber})`
+  ].filter(Boolean).join(' ')
+});
+
+/**
+ * Tell waiting passengers once when the assigned driver gets close to the pickup
+ * @param {Object} ride - Assigned ride with its latest driverLocation
+ */
+const checkDriverArriving = async (ride) => {
+  try {
+    if (ride.status !== 'assigned' || !ride.driver || ride.driverArrivingAt) {
+      return;
+    }
+
+    const landmark = await Landmark.findById(idOf(ride.pickupLandmark)).select('name location');
+
+    if (!landmark) {
+      return;
+    }
+
+    const distance = locationUtils.calculateDistance(
+      locationUtils.toLatLng(ride.driverLocation.coordinates),
+      locationUtils.toLatLng(landmark.location.coordinates)
+    );
+
+    if (distance > config().arrivingKm) {
+      return;
+    }
+
+    // Only the first close position notifies
+    const claimed = await Ride.findOneAndUpdate(
+      { _id: ride._id, driver: idOf(ride.driver), driverArrivingAt: { $exists: false } },
+      { driverArrivingAt: Date.now() }
+    );
+
+    if (!claimed) {
+      return;
+    }
+
+    const driver = await User.findById(idOf(ride.driver)).select('name driverDetails');
+    const waiting = ride.passengers
+      .filter(p => ['pending', 'confirmed'].includes(p.status))
+      .map(p => p.user);
+
+    await notifyRide({ ...ride.toObject(), pickupLandmark: landmark }, 'driverArriving', waiting, {
+      ...driverData(driver),
+      minutes: Math.max(1, locationUtils.estimateDuration(distance))
+    });
+  } catch (err) {
+    logError(err);
+  }
+};
+
+module.exports = {
+  config,
+  TEMPLATES,
+  channels,
+  registerChannel,
+  render,
+  notify,
+  notifyRide,
+  driverData,
+  checkDriverArriving
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const createRegistry = require('./registry');
+
+/**
+ * Pluggable payment gateway.
+ *
+ * A gateway is any object with async `charge({ amount, currency, source, description })`,
+ * `refund({ reference, amount })` and `payout({ amount, currency, destination, description })`
+ * methods, each resolving to `{ status: 'succeeded' | 'failed', reference, message }`.
+ * The active gateway is chosen with the PAYMENT_GATEWAY environment variable
+ * or replaced at runtime with `setGateway`. There is no default: charging
+ * fails until a gateway is configured. The `fake` gateway only exists when
+ * NODE_ENV is `test`, so it can never hand out unpaid wallet credit.
+ */
+
+const reference = prefix => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+// Settles everything locally, for tests
+// The `tok_fail` source is declined, like a test card
+const fakeGateway = {
+  charges: [],
+  refunds: [],
+  charge: async ({ amount, currency, source, description }) => {
+    if (source === 'tok_fail') {
+      return { status: 'failed', reference: null, message: 'Payment was declined' };
+    }
+
+    const charge = { reference: reference('ch'), amount, currency, source, description, createdAt: new Date() };
+    fakeGateway.charges.push(charge);
+
+    return { status: 'succeeded', reference: charge.reference };
+  },
+  refund: async ({ reference: chargeReference, amount }) => {
+    const refund = { reference: reference('re'), charge: chargeReference, amount, createdAt: new Date() };
+    fakeGateway.refunds.push(refund);
+
+    return { status: 'succeeded', reference: refund.reference };
+  },
+  payouts: [],
+  payout: async ({ amount, currency, destination, description }) => {
+    const payout = { reference: reference('po'), amount, currency, destination, description, createdAt: new Date() };
+    fakeGateway.payouts.push(payout);
+
+    return { status: 'succeeded', reference: payout.reference };
+  },
+  clear: () => {
+    fakeGateway.charges.length = 0;
+    fakeGateway.refunds.length = 0;
+    fakeGateway.payouts.length = 0;
+  }
+};
+
+// The fake gateway is only registered, and only the default, under test
+const registry = createRegistry({
+  label: 'payment gateway',
+  envVar: 'PAYMENT_GATEWAY',
+  methods: ['charge', 'refund', 'payout'],
+  entries: process.env.NODE_ENV === 'test' ? { fake: fakeGateway } : {},
+  fallback: process.env.NODE_ENV === 'test' ? 'fake' : null
+});
+
+/**
+ * Register a named payment gateway
+ * @param {String} name - Gateway name used in PAYMENT_GATEWAY
+ * @param {Object} gateway - Object with async charge, refund and payout methods
+ */
+exports.registerGateway = registry.register;
+
+/**
+ * Set the active payment gateway
+ * @param {String|Object} gateway - Registered gateway name or gateway object
+ */
+exports.setGateway = registry.set;
+
+/**
+ * Get the active payment gateway
+ * @returns {Object} - {name, gateway}
+ */
+exports.getGateway = () => {
+  const gateway = registry.get();
+  return { name: registry.activeName(), gateway };
+};
+
+/**
+ * Charge a payment source through the active gateway
+ * @param {Object} options - {amount, currency, source, description}
+ * @returns {Promise} - {name, status, reference, message}
+ */
+exports.charge = async (options) => {
+  const { name, gateway } = exports.getGateway();
+  return { name, ...(await gateway.charge(options)) };
+};
+
+/**
+ * Refund a previous charge through the active gateway
+ * @param {Object} options - {reference, amount}
+ * @returns {Promise} - {name, status, reference, message}
+ */
+exports.refund = async (options) => {
+  const { name, gateway } = exports.getGateway();
+  return { name, ...(await gateway.refund(options)) };
+};
+
+/**
+ * Send money to a driver through the active gateway
+ * @param {Object} options - {amount, currency, destination, description}
+ * @returns {Promise} - {name, status, reference, message}
+ */
+exports.payout = async (options) => {
+  const { name, gateway } = exports.getGateway();
+  return { name, ...(await gateway.payout(options)) };
+};
+
+exports.gateways = registry.entries;
@@ -0,0 +1,88 @@
+/**
+ * Minimal PDF writer for statements and receipts generated on the server.
+ *
+ * Produces plain text documents on A4 pages: a bold title followed by lines
+ * in a monospaced font, so columns padded with spaces stay aligned. Only
+ * printable ASCII is supported; other characters are replaced with `?`.
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 13;
+const TITLE_SIZE = 15;
+
+const escapeText = text => String(text)
+  .replace(/[^\x20-\x7e]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+// Text drawing operators for one page
+const pageContent = (title, lines) => {
+  const top = PAGE_HEIGHT - MARGIN;
+  const parts = ['BT'];
+
+  if (title) {
+    parts.push(`/F2 ${TITLE_SIZE} Tf`, `${MARGIN} ${top} Td`, `(${escapeText(title)}) Tj`);
+    parts.push(`/F1 ${FONT_SIZE} Tf`, `${LINE_HEIGHT} TL`, `0 ${-TITLE_SIZE * 2} Td`);
+  } else {
+    parts.push(`/F1 ${FONT_SIZE} Tf`, `${LINE_HEIGHT} TL`, `${MARGIN} ${top} Td`);
+  }
+
+  lines.forEach(line => parts.push(`(${escapeText(line)}) Tj T*`));
+  parts.push('ET');
+
+  return parts.join('\n');
+};
+
+/**
+ * Create a PDF document
+ * @param {Object} options - {title, lines: Array of strings}
+ * @returns {Buffer} - PDF file contents
+ */
+exports.createPdf = ({ title, lines = [] }) => {
+  const usable = PAGE_HEIGHT - MARGIN * 2;
+  const firstPageLines = Math.floor((usable - TITLE_SIZE * 2) / LINE_HEIGHT);
+  const pageLines = Math.floor(usable / LINE_HEIGHT);
+
+  // Split lines into pages, the first one shorter to leave room for the title
+  const pages = [lines.slice(0, firstPageLines)];
+  for (let index = firstPageLines; index < lines.length; index += pageLines) {
+    pages.push(lines.slice(index, index + pageLines));
+  }
+
+  // Objects 1-4 are the catalog, page tree and fonts; each page adds a page and a content object
+  const objects = [];
+  const pageIds = pages.map((page, index) => 5 + index * 2);
+
+  objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+  objects.push(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+  objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>');
+  objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold >>');
+
+  pages.forEach((page, index) => {
+    const content = pageContent(index === 0 ? title : null, page);
+
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`);
+    objects.push(`<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`);
+  });
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(output);
+    output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = Buffer.byteLength(output);
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach(offset => {
+    output += `${String(offset).padStart(10, '0')} 00000 n \n`;
+  });
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
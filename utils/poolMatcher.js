@@ -0,0 +1,446 @@
+const Ride = require('../models/rideModel');
+const locationUtils = require('./locationUtils');
+const eventBus = require('./eventBus');
+const routePlanner = require('./routePlanner');
+
+// Default tuning for the matcher. Every option can be overridden per call.
+const DEFAULT_OPTIONS = {
+  timeWindowMinutes: 30, // Max difference between scheduled pickup times
+  maxBearingDelta: 45, // Max difference in destination bearing (degrees)
+  maxDetourKm: 5, // Max extra distance any rider may travel because of pooling
+  maxDetourRatio: 0.5, // Max extra distance as a fraction of the rider's direct trip
+  vehicleCapacity: { // Seats per vehicle type until a driver declares their own
+    sedan: 4,
+    hatchback: 4,
+    suv: 6,
+    any: 4
+  },
+  maxCandidates: 50, // Max rides in the time window used to find candidate pools
+  weights: {
+    time: 0.3,
+    bearing: 0.25,
+    detour: 0.3,
+    seats: 0.15
+  }
+};
+
+const mergeOptions = (options = {}) => ({
+  ...DEFAULT_OPTIONS,
+  ...options,
+  vehicleCapacity: { ...DEFAULT_OPTIONS.vehicleCapacity, ...(options.vehicleCapacity || {}) },
+  weights: { ...DEFAULT_OPTIONS.weights, ...(options.weights || {}) }
+});
+
+// Seats as a number; request bodies may send them as strings
+const seatCount = seats => parseInt(seats, 10) || 1;
+
+/**
+ * Get the seat capacity assumed for a requested vehicle type
+ * @param {String} vehicleType - sedan, suv, hatchback or any
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Number} - Number of seats
+ */
+const capacityFor = (vehicleType = 'any', options) => {
+  const opts = mergeOptions(options);
+  return opts.vehicleCapacity[vehicleType] || opts.vehicleCapacity.any;
+};
+
+/**
+ * Combine the vehicle types requested by several riders
+ * @param {Array} types - Requested vehicle types
+ * @returns {String|null} - The shared type, 'any', or null if they conflict
+ */
+const combineVehicleTypes = types => {
+  const specific = [...new Set(types.filter(type => type && type !== 'any'))];
+
+  if (specific.length > 1) {
+    return null;
+  }
+
+  return specific[0] || 'any';
+};
+
+const angleDifference = (a, b) => {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+};
+
+/**
+ * Order dropoffs from a shared pickup point using nearest-neighbour
+ * @param {Object} pickup - Pickup coordinate {lat, lng}
+ * @param {Array} riders - Riders [{id, destination: {lat, lng}}, ...]
+ * @returns {Object} - Ordered stops with cumulative distance and detour per rider
+ */
+const planDropoffs = (pickup, riders) => {
+  const remaining = [...riders];
+  const stops = [];
+  let current = pickup;
+  let travelled = 0;
+
+  while (remaining.length > 0) {
+    let nearestIndex = 0;
+    let nearestDistance = Infinity;
+
+    remaining.forEach((rider, index) => {
+      const distance = locationUtils.calculateDistance(current, rider.destination);
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearestIndex = index;
+      }
+    });
+
+    const [rider] = remaining.splice(nearestIndex, 1);
+    travelled += nearestDistance;
+
+    const direct = locationUtils.calculateDistance(pickup, rider.destination);
+
+    stops.push({
+      id: rider.id,
+      distance: travelled,
+      direct,
+      detour: Math.max(0, travelled - direct)
+    });
+
+    current = rider.destination;
+  }
+
+  return {
+    stops,
+    totalDistance: travelled
+  };
+};
+
+/**
+ * Score how well a booking fits into an existing pool
+ * @param {Object} booking - {id, pickup, destination, scheduledTime, seats, vehicleType}
+ * @param {Object} pool - {poolId, riders: [{id, destination, scheduledTime, seats, vehicleType}, ...]}
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Object|null} - {poolId, score, breakdown} or null if the pool cannot take the booking
+ */
+const scorePool = (booking, pool, options) => {
+  const opts = mergeOptions(options);
+  const riders = pool.riders || [];
+
+  if (riders.length === 0) {
+    return null;
+  }
+
+  // Vehicle type and seats
+  const vehicleType = combineVehicleTypes([
+    booking.vehicleType,
+    ...riders.map(rider => rider.vehicleType)
+  ]);
+
+  if (!vehicleType) {
+    return null;
+  }
+
+  const capacity = capacityFor(vehicleType, opts);
+  const seatsUsed = riders.reduce((sum, rider) => sum + seatCount(rider.seats), 0);
+  const seatsAfter = seatsUsed + seatCount(booking.seats);
+
+  if (seatsAfter > capacity) {
+    return null;
+  }
+
+  // Pickup time window
+  const bookingTime = new Date(booking.scheduledTime).getTime();
+  const timeDelta = Math.max(
+    ...riders.map(rider => Math.abs(new Date(rider.scheduledTime).getTime() - bookingTime) / 60000)
+  );
+
+  if (timeDelta > opts.timeWindowMinutes) {
+    return null;
+  }
+
+  // Destination bearing
+  const bookingBearing = locationUtils.calculateBearing(booking.pickup, booking.destination);
+  const bearingDelta = Math.max(
+    ...riders.map(rider => angleDifference(
+      bookingBearing,
+      locationUtils.calculateBearing(booking.pickup, rider.destination)
+    ))
+  );
+
+  if (bearingDelta > opts.maxBearingDelta) {
+    return null;
+  }
+
+  // Detour added to everyone in the pool
+  const before = planDropoffs(booking.pickup, riders);
+  const after = planDropoffs(booking.pickup, [...riders, booking]);
+
+  const exceedsDetour = after.stops.some(stop =>
+    stop.detour > opts.maxDetourKm || stop.detour > stop.direct * opts.maxDetourRatio
+  );
+
+  if (exceedsDetour) {
+    return null;
+  }
+
+  const totalDetour = stops => stops.reduce((sum, stop) => sum + stop.detour, 0);
+  const addedDetour = totalDetour(after.stops) - totalDetour(before.stops);
+
+  // Lower penalties are better, each normalised to 0..1
+  const penalties = {
+    time: opts.timeWindowMinutes > 0 ? timeDelta / opts.timeWindowMinutes : 0,
+    bearing: opts.maxBearingDelta > 0 ? bearingDelta / opts.maxBearingDelta : 0,
+    detour: opts.maxDetourKm > 0 ? Math.min(1, addedDetour / opts.maxDetourKm) : 0,
+    seats: (capacity - seatsAfter) / capacity
+  };
+
+  const score = 1 - Object.keys(penalties).reduce(
+    (sum, key) => sum + (opts.weights[key] || 0) * penalties[key],
+    0
+  );
+
+  return {
+    poolId: pool.poolId,
+    score,
+    breakdown: {
+      timeDelta,
+      bearingDelta,
+      addedDetour,
+      vehicleType,
+      seatsRemaining: capacity - seatsAfter
+    }
+  };
+};
+
+/**
+ * Pick the best pool for a booking
+ * @param {Object} booking - {id, pickup, destination, scheduledTime, seats, vehicleType}
+ * @param {Array} pools - Candidate pools
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Object|null} - Best scoring pool or null if none fit
+ */
+const findBestPool = (booking, pools, options) => {
+  return pools
+    .map(pool => scorePool(booking, pool, options))
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)[0] || null;
+};
+
+// Seats taken by the active passengers of a ride
+const rideSeats = ride => ride.passengers
+  .filter(p => p.status !== 'cancelled')
+  .reduce((sum, p) => sum + seatCount(p.seats), 0);
+
+// Convert a ride document into the shape used by the scoring functions
+const toRider = ride => ({
+  id: ride._id.toString(),
+  destination: locationUtils.toLatLng(ride.destination.location.coordinates),
+  scheduledTime: ride.scheduledTime,
+  seats: rideSeats(ride) || 1,
+  vehicleType: ride.vehicleType
+});
+
+/**
+ * Find the best existing pool for a new or re-matched booking
+ * @param {Object} params - {landmark, destination: [lng, lat], scheduledTime, seats, vehicleType, userId, excludePoolId}
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Object|null} - {poolId, score, breakdown, rideIds} or null if no pool fits
+ */
+const findPoolForBooking = async (params, options) => {
+  const opts = mergeOptions(options);
+  const {
+    landmark,
+    destination,
+    scheduledTime,
+    seats = 1,
+    vehicleType = 'any',
+    userId,
+    excludePoolId
+  } = params;
+  const time = new Date(scheduledTime).getTime();
+
+  const query = {
+    pickupLandmark: landmark._id,
+    status: { $in: ['pending', 'pooling'] },
+    scheduledTime: {
+      $gte: new Date(time - opts.timeWindowMinutes * 60000),
+      $lte: new Date(time + opts.timeWindowMinutes * 60000)
+    }
+  };
+
+  if (userId) {
+    query['passengers.user'] = { $ne: userId };
+  }
+
+  if (excludePoolId) {
+    query.poolId = { $ne: excludePoolId };
+  }
+
+  const candidates = await Ride.find(query).select('poolId').limit(opts.maxCandidates);
+  const poolIds = [...new Set(candidates.map(ride => ride.poolId))];
+
+  // Score each pool on all of its open rides, not only those inside the time window
+  const rides = await Ride.find({
+    poolId: { $in: poolIds },
+    status: { $in: ['pending', 'pooling'] }
+  });
+
+  const poolMap = new Map();
+  rides.forEach(ride => {
+    if (!poolMap.has(ride.poolId)) {
+      poolMap.set(ride.poolId, { poolId: ride.poolId, riders: [] });
+    }
+    poolMap.get(ride.poolId).riders.push(toRider(ride));
+  });
+
+  // A user is never matched into a pool they already ride in
+  if (userId) {
+    rides
+      .filter(ride => ride.passengers.some(p => p.user.toString() === userId.toString()))
+      .forEach(ride => poolMap.delete(ride.poolId));
+  }
+
+  const booking = {
+    id: 'booking',
+    pickup: locationUtils.toLatLng(landmark.location.coordinates),
+    destination: locationUtils.toLatLng(destination),
+    scheduledTime,
+    seats: seatCount(seats),
+    vehicleType
+  };
+
+  const best = findBestPool(booking, [...poolMap.values()], opts);
+
+  if (!best) {
+    return null;
+  }
+
+  return {
+    ...best,
+    rideIds: poolMap.get(best.poolId).riders.map(rider => rider.id)
+  };
+};
+
+/**
+ * Move the existing rides of a matched pool into pooling status
+ * @param {Object} match - Result of findPoolForBooking
+ * @param {String} userId - User that triggered the merge
+ */
+const markPooled = async (match, userId) => {
+  await Ride.updateMany(
+    { _id: { $in: match.rideIds }, status: 'pending' },
+    {
+      status: 'pooling',
+      $push: {
+        logs: {
+          action: 'ride_pooled',
+          user: userId,
+          details: { poolId: match.poolId, score: match.score }
+        }
+      }
+    }
+  );
+};
+
+/**
+ * Re-plan a pool's route and tell everyone in it who is currently sharing it
+ * @param {String} poolId - Pool that changed
+ */
+const publishPoolUpdate = async poolId => {
+  const route = await routePlanner.planPoolRoute(poolId);
+
+  const rides = await Ride.find({
+    poolId,
+    status: { $in: ['pending', 'pooling', 'assigned'] }
+  });
+
+  const pool = {
+    rides: rides.map(ride => ({
+      rideId: ride._id,
+      status: ride.status,
+      seats: rideSeats(ride)
+    })),
+    seats: rides.reduce((sum, ride) => sum + rideSeats(ride), 0),
+    stops: route ? route.stops : []
+  };
+
+  rides.forEach(ride => eventBus.publishRide(ride, 'poolUpdated', pool));
+};
+
+/**
+ * Re-run matching for a pool after one of its rides left
+ * A ride left on its own is offered to other pools, or returned to pending.
+ * @param {String} poolId - Pool to re-match
+ * @param {String} userId - User that triggered the re-match
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ */
+const rematchPool = async (poolId, userId, options) => {
+  const rides = await Ride.find({
+    poolId,
+    status: { $in: ['pending', 'pooling'] }
+  }).populate('pickupLandmark', 'location');
+
+  if (rides.length !== 1) {
+    await publishPoolUpdate(poolId);
+    return;
+  }
+
+  const [ride] = rides;
+  const match = await findPoolForBooking({
+    landmark: ride.pickupLandmark,
+    destination: ride.destination.location.coordinates,
+    scheduledTime: ride.scheduledTime,
+    seats: toRider(ride).seats,
+    vehicleType: ride.vehicleType,
+    userId: ride.passengers[0] && ride.passengers[0].user,
+    excludePoolId: poolId
+  }, options);
+
+  if (match) {
+    ride.poolId = match.poolId;
+    ride.status = 'pooling';
+    ride.logs.push({
+      action: 'ride_pooled',
+      user: userId,
+      details: { poolId: match.poolId, score: match.score }
+    });
+    await ride.save();
+    await markPooled(match, userId);
+    await publishPoolUpdate(match.poolId);
+  } else {
+    if (ride.status === 'pooling') {
+      ride.status = 'pending';
+      ride.logs.push({
+        action: 'ride_unpooled',
+        user: userId,
+        details: { poolId }
+      });
+      await ride.save();
+    }
+    await publishPoolUpdate(poolId);
+  }
+};
+
+/**
+ * Count the seats booked across the rides of a pool
+ * @param {String} poolId - Pool to count
+ * @param {Array} statuses - Ride statuses to count, the unassigned ones by default
+ * @returns {Number} - Seats booked
+ */
+const countPoolSeats = async (poolId, statuses = ['pending', 'pooling']) => {
+  const rides = await Ride.find({
+    poolId,
+    status: { $in: statuses }
+  });
+
+  return rides.reduce((sum, ride) => sum + rideSeats(ride), 0);
+};
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  capacityFor,
+  combineVehicleTypes,
+  planDropoffs,
+  scorePool,
+  findBestPool,
+  findPoolForBooking,
+  markPooled,
+  publishPoolUpdate,
+  rematchPool,
+  countPoolSeats
+};
@@ -0,0 +1,127 @@
+const FareRule = require('../models/fareRuleModel');
+const Ride = require('../models/rideModel');
+const User = require('../models/userModel');
+const City = require('../models/cityModel');
+const driverLocation = require('./driverLocation');
+const locationUtils = require('./locationUtils');
+
+// Used when a city's fare rule has no surge settings; surge is opt-in per city
+const DEFAULT_SURGE = {
+  enabled: false,
+  threshold: 1,
+  step: 0.25,
+  maxMultiplier: 2
+};
+
+// Only rides due within this window count as current demand
+const DEMAND_WINDOW_MINUTES = 60;
+
+/**
+ * Calculate a surge multiplier from demand and supply
+ * @param {Number} pendingRides - Rides waiting for a driver
+ * @param {Number} availableDrivers - Verified drivers available for rides
+ * @param {Object} surge - {enabled, threshold, step, maxMultiplier}
+ * @returns {Number} - Multiplier rounded to one decimal (1 = no surge)
+ */
+exports.calculateSurgeMultiplier = (pendingRides, availableDrivers, surge = DEFAULT_SURGE) => {
+  const config = { ...DEFAULT_SURGE, ...surge };
+
+  if (!config.enabled || pendingRides === 0) {
+    return 1;
+  }
+
+  const ratio = pendingRides / Math.max(availableDrivers, 1);
+
+  if (ratio <= config.threshold) {
+    return 1;
+  }
+
+  const multiplier = Math.min(
+    config.maxMultiplier,
+    1 + (ratio - config.threshold) * config.step
+  );
+
+  return Math.round(multiplier * 10) / 10;
+};
+
+/**
+ * Get the fare rule for a city, falling back to the default rule
+ * The rule carries the city's timeZone, which its night surcharge hours are in.
+ * @param {String} cityId - City id
+ * @returns {Object} - Fare rule as a plain object
+ */
+exports.getFareRule = async (cityId) => {
+  const [fareRule, city] = await Promise.all([
+    FareRule.findOne({ city: cityId }),
+    City.findById(cityId).select('timezone')
+  ]);
+  const timeZone = city ? city.timezone : undefined;
+
+  if (!fareRule) {
+    return { ...locationUtils.DEFAULT_FARE_RULE, surge: DEFAULT_SURGE, timeZone };
+  }
+
+  const rule = { ...fareRule.toObject(), timeZone };
+
+  if (!rule.poolingDiscounts || rule.poolingDiscounts.length === 0) {
+    rule.poolingDiscounts = locationUtils.DEFAULT_FARE_RULE.poolingDiscounts;
+  }
+
+  return rule;
+};
+
+/**
+ * Count current demand and supply in a city
+ * Supply is the drivers the dispatcher could offer rides to, located inside the city.
+ * @param {String} cityId - City id
+ * @returns {Object} - {pendingRides, availableDrivers}
+ */
+exports.getDemand = async (cityId) => {
+  const city = await City.findById(cityId).select('boundary');
+
+  const [pendingRides, availableDrivers] = await Promise.all([
+    Ride.countDocuments({
+      city: cityId,
+      status: { $in: ['pending', 'pooling'] },
+      scheduledTime: { $lte: new Date(Date.now() + DEMAND_WINDOW_MINUTES * 60000) }
+    }),
+    city
+      ? User.countDocuments({
+        ...driverLocation.availableDriverFilter(),
+        location: {
+          $geoWithin: {
+            $geometry: { type: 'Polygon', coordinates: city.boundary.coordinates }
+          }
+        }
+      })
+      : 0
+  ]);
+
+  return { pendingRides, availableDrivers };
+};
+
+/**
+ * Get everything calculateFare needs for a city right now
+ * Demand is only counted when the city's surge is enabled, otherwise it is null.
+ * @param {String} cityId - City id
+ * @returns {Object} - {rule, surgeMultiplier, demand}
+ */
+exports.getPricing = async (cityId) => {
+  const rule = await exports.getFareRule(cityId);
+
+  if (!rule.surge || !rule.surge.enabled) {
+    return { rule, surgeMultiplier: 1, demand: null };
+  }
+
+  const demand = await exports.getDemand(cityId);
+
+  return {
+    rule,
+    surgeMultiplier: exports.calculateSurgeMultiplier(
+      demand.pendingRides,
+      demand.availableDrivers,
+      rule.surge
+    ),
+    demand
+  };
+};
@@ -0,0 +1,266 @@
+const PromoCode = require('../models/promoCodeModel');
+const PromoRedemption = require('../models/promoRedemptionModel');
+const Ride = require('../models/rideModel');
+const User = require('../models/userModel');
+const Transaction = require('../models/transactionModel');
+const ErrorResponse = require('./errorResponse');
+const ledger = require('./ledger');
+const eventBus = require('./eventBus');
+
+/**
+ * Promo codes and referral credits.
+ *
+ * A promo code takes a flat amount or a percentage (up to `maxDiscount`) off
+ * a passenger's share of the fare. The code is copied onto the booking, so the
+ * discount can be recalculated when a pooled fare is re-split, and the
+ * platform pays the discount from the promotions ledger account. Codes can be
+ * limited to cities, a validity window, a number of bookings overall and per
+ * passenger, and passengers who have never booked a ride. `findApplicable`
+ * checks these up front; `redeem` enforces the limits atomically with a
+ * PromoRedemption per use.
+ *
+ * Users who sign up with someone's referral code earn both of them a wallet
+ * credit of REFERRAL_CREDIT once they complete their first ride.
+ */
+
+const { round } = Transaction;
+
+const idOf = ref => (ref && ref._id ? ref._id : ref);
+
+// Wallet credit for each side of a referral
+const getReferralCredit = () => {
+  const amount = parseFloat(process.env.REFERRAL_CREDIT);
+  return Number.isNaN(amount) ? 100 : amount;
+};
+
+/**
+ * Work out a promo discount on a fare
+ * @param {Object} promo - Promo code or the promo copied onto a booking
+ * @param {Number} fare - Passenger's share of the fare
+ * @returns {Number} - Discount, never more than the fare
+ */
+const getDiscount = (promo, fare) => {
+  if (!promo || !(fare > 0)) {
+    return 0;
+  }
+
+  let discount = promo.type === 'percentage'
+    ? fare * promo.value / 100
+    : promo.value;
+
+  if (promo.type === 'percentage' && typeof promo.maxDiscount === 'number') {
+    discount = Math.min(discount, promo.maxDiscount);
+  }
+
+  return round(Math.min(discount, fare));
+};
+
+/**
+ * Set a passenger's fare from their share, less any promo discount
+ * @param {Object} passenger - Passenger subdocument
+ * @param {Number} share - Passenger's share of the fare
+ */
+const applyToPassenger = (passenger, share) => {
+  if (passenger.promo && passenger.promo.code) {
+    passenger.promo.discount = getDiscount(passenger.promo, share);
+    passenger.fare = round(share - passenger.promo.discount);
+  } else {
+    passenger.fare = share;
+  }
+};
+
+// Copy of a promo code kept on a booking
+const toBookingPromo = (promo, redemption) => ({
+  promoCode: promo._id,
+  redemption: redemption._id,
+  code: promo.code,
+  type: promo.type,
+  value: promo.value,
+  maxDiscount: promo.maxDiscount
+});
+
+/**
+ * Find a promo code a passenger can use for a booking
+ * @param {String} code - Promo code
+ * @param {Object} booking - {userId, cityId}
+ * @returns {Object} - Promo code document
+ */
+const findApplicable = async (code, { userId, cityId }) => {
+  const promo = await PromoCode.findOne({
+    code: String(code).trim().toUpperCase(),
+    isActive: true
+  });
+
+  if (!promo) {
+    throw new ErrorResponse('Promo code is not valid', 400);
+  }
+
+  const now = new Date();
+
+  if ((promo.validFrom && promo.validFrom > now) || (promo.validUntil && promo.validUntil < now)) {
+    throw new ErrorResponse('Promo code is not valid at this time', 400);
+  }
+
+  if (promo.cities.length > 0 && !promo.cities.some(city => city.toString() === idOf(cityId).toString())) {
+    throw new ErrorResponse('Promo code is not valid in this city', 400);
+  }
+
+  if (promo.usageLimit && promo.usedCount >= promo.usageLimit) {
+    throw new ErrorResponse('Promo code has been fully redeemed', 400);
+  }
+
+  const uses = await Ride.countDocuments({
+    passengers: {
+      $elemMatch: { user: userId, 'promo.promoCode': promo._id, status: { $ne: 'cancelled' } }
+    }
+  });
+
+  if (uses >= promo.perUserLimit) {
+    throw new ErrorResponse('You have already used this promo code', 400);
+  }
+
+  if (promo.firstRideOnly) {
+    const hasBooked = await Ride.exists({
+      passengers: { $elemMatch: { user: userId, status: { $ne: 'cancelled' } } }
+    });
+
+    if (hasBooked) {
+      throw new ErrorResponse('Promo code is only valid on your first ride', 400);
+    }
+  }
+
+  return promo;
+};
+
+/**
+ * Count a booking against a promo code's usage limits
+ * @param {Object} promo - Promo code document
+ * @param {String} userId - Passenger making the booking
+ * @returns {Object} - Booking promo to store on the passenger
+ */
+const redeem = async (promo, userId) => {
+  // Take one of the passenger's free uses; a use taken at the same time fails the unique index
+  const limit = promo.firstRideOnly ? 1 : promo.perUserLimit || 1;
+  const taken = await PromoRedemption.distinct('slot', { promo: promo._id, user: userId });
+  const slot = Array.from({ length: limit }, (value, index) => index + 1)
+    .find(candidate => !taken.includes(candidate));
+
+  if (!slot) {
+    throw new ErrorResponse('You have already used this promo code', 400);
+  }
+
+  let redemption;
+
+  try {
+    redemption = await PromoRedemption.create({
+      promo: promo._id,
+      user: userId,
+      slot,
+      firstRide: promo.firstRideOnly || undefined
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new ErrorResponse(promo.firstRideOnly
+        ? 'Promo code is only valid on your first ride'
+        : 'You have already used this promo code', 400);
+    }
+
+    throw err;
+  }
+
+  const redeemed = await PromoCode.findOneAndUpdate(
+    {
+      _id: promo._id,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (!redeemed) {
+    await PromoRedemption.deleteOne({ _id: redemption._id });
+    throw new ErrorResponse('Promo code has been fully redeemed', 400);
+  }
+
+  return toBookingPromo(redeemed, redemption);
+};
+
+/**
+ * Give back the promo code use of a cancelled booking
+ * @param {Object} passenger - Cancelled passenger subdocument
+ */
+const release = async (passenger) => {
+  if (!passenger.promo || !passenger.promo.promoCode) {
+    return;
+  }
+
+  await PromoCode.updateOne(
+    { _id: passenger.promo.promoCode, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+
+  if (passenger.promo.redemption) {
+    await PromoRedemption.deleteOne({ _id: passenger.promo.redemption });
+  }
+};
+
+/**
+ * Credit the referrer and the referee after the referee's first completed ride
+ * Does nothing for users who were not referred or were already rewarded.
+ * @param {String} userId - Passenger who completed a ride
+ * @returns {Array|null} - Credit transactions
+ */
+const rewardReferral = async (userId) => {
+  // Claim the reward first so it is only paid once
+  const referee = await User.findOneAndUpdate(
+    {
+      _id: idOf(userId),
+      referredBy: { $ne: null },
+      referralRewardedAt: null
+    },
+    { referralRewardedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!referee) {
+    return null;
+  }
+
+  const amount = getReferralCredit();
+  if (!(amount > 0)) {
+    return null;
+  }
+
+  const credits = [
+    await ledger.creditWallet(referee.referredBy, amount, {
+      description: `Referral credit for inviting ${referee.name}`
+    }),
+    await ledger.creditWallet(referee._id, amount, {
+      description: 'Referral credit for your first ride'
+    })
+  ];
+
+  credits.forEach(credit => {
+    eventBus.toUser(credit.user, 'referralCredited', {
+      amount: credit.amount,
+      currency: credit.currency,
+      description: credit.description,
+      transaction: credit._id
+    });
+  });
+
+  return credits;
+};
+
+module.exports = {
+  getReferralCredit,
+  getDiscount,
+  applyToPassenger,
+  findApplicable,
+  redeem,
+  release,
+  rewardReferral
+};
@@ -0,0 +1,70 @@
+const createRegistry = require('./registry');
+
+/**
+ * Pluggable push notification sending.
+ *
+ * A provider is any object with an async `send({ tokens, title, body, data })`
+ * method, where `tokens` are the device tokens of one user. The active provider
+ * is chosen with the PUSH_PROVIDER environment variable (defaults to `console`
+ * outside production) or replaced at runtime with `setProvider`.
+ */
+
+// Logs notifications to the console, for local development
+const consoleProvider = {
+  send: async ({ tokens, title, body }) => {
+    console.log(`Push to ${tokens.length} device(s): ${title} - ${body}`);
+    return { tokens, title, body };
+  }
+};
+
+// Keeps notifications in memory, for tests
+const memoryProvider = {
+  outbox: [],
+  send: async ({ tokens, title, body, data }) => {
+    const push = { tokens, title, body, data, sentAt: new Date() };
+    memoryProvider.outbox.push(push);
+    return push;
+  },
+  clear: () => {
+    memoryProvider.outbox.length = 0;
+  }
+};
+
+const registry = createRegistry({
+  label: 'push provider',
+  envVar: 'PUSH_PROVIDER',
+  methods: ['send'],
+  entries: {
+    console: consoleProvider,
+    memory: memoryProvider
+  },
+  fallback: 'console'
+});
+
+/**
+ * Register a named push provider
+ * @param {String} name - Provider name used in PUSH_PROVIDER
+ * @param {Object} provider - Object with an async send({tokens, title, body, data}) method
+ */
+exports.registerProvider = registry.register;
+
+/**
+ * Set the active push provider
+ * @param {String|Object} provider - Registered provider name or provider object
+ */
+exports.setProvider = registry.set;
+
+/**
+ * Get the active push provider
+ * @returns {Object} - Provider object
+ */
+exports.getProvider = registry.get;
+
+/**
+ * Send a push notification through the active provider
+ * @param {Object} options - {tokens, title, body, data}
+ * @returns {Promise} - Provider result
+ */
+exports.sendPush = (options) => exports.getProvider().send(options);
+
+exports.providers = registry.entries;
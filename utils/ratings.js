@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const Rating = require('../models/ratingModel');
+const User = require('../models/userModel');
+const ErrorResponse = require('./errorResponse');
+
+/**
+ * Ratings between drivers and passengers.
+ *
+ * Each rating is stored on its own and folded into the rated user's average
+ * with a single atomic update, so concurrent ratings never overwrite each
+ * other. Users whose average over their last RATING_FLAG_WINDOW ratings drops
+ * below RATING_FLAG_THRESHOLD (once they have at least RATING_FLAG_MIN_COUNT
+ * ratings) are flagged for review, and unflagged when it recovers.
+ */
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const config = () => ({
+  flagThreshold: numberFromEnv('RATING_FLAG_THRESHOLD', 3.5),
+  flagWindow: numberFromEnv('RATING_FLAG_WINDOW', 20),
+  flagMinCount: numberFromEnv('RATING_FLAG_MIN_COUNT', 5)
+});
+
+const round = value => Math.round(value * 100) / 100;
+
+const toObjectId = id => new mongoose.Types.ObjectId(String(id && id._id ? id._id : id));
+
+// Add a score to a user's average in one update
+const addToAverage = (userId, score) => {
+  const average = { $ifNull: ['$rating.average', 0] };
+  const count = { $ifNull: ['$rating.count', 0] };
+
+  return User.updateOne({ _id: userId }, [
+    {
+      $set: {
+        'rating.average': {
+          $divide: [
+            { $add: [{ $multiply: [average, count] }, score] },
+            { $add: [count, 1] }
+          ]
+        },
+        'rating.count': { $add: [count, 1] }
+      }
+    }
+  ]);
+};
+
+/**
+ * Recalculate a user's recent average and flag or unflag them
+ * @param {String} userId - Rated user id
+ * @returns {Object} - {recentAverage, count, flagged}
+ */
+const refreshFlag = async (userId) => {
+  const { flagThreshold, flagWindow, flagMinCount } = config();
+
+  const [recent] = await Rating.aggregate([
+    { $match: { ratee: toObjectId(userId) } },
+    { $sort: { createdAt: -1 } },
+    { $limit: flagWindow },
+    { $group: { _id: null, average: { $avg: '$score' }, count: { $sum: 1 } } }
+  ]);
+
+  if (!recent) {
+    return { recentAverage: null, count: 0, flagged: false };
+  }
+
+  const flagged = recent.count >= flagMinCount && recent.average < flagThreshold;
+
+  // Keep the time the user was first flagged while they stay flagged
+  await User.updateOne({ _id: userId }, [
+    {
+      $set: {
+        'rating.recentAverage': round(recent.average),
+        'rating.flagged': flagged,
+        'rating.flaggedAt': flagged
+          ? { $ifNull: ['$rating.flaggedAt', '$$NOW'] }
+          : '$$REMOVE'
+      }
+    }
+  ]);
+
+  return { recentAverage: round(recent.average), count: recent.count, flagged };
+};
+
+/**
+ * Record a rating and update the rated user's aggregates
+ * @param {Object} rating - {ride, rater, ratee, rateeRole, score, tags, comment}
+ * @returns {Object} - Rating document
+ */
+const recordRating = async ({ ride, rater, ratee, rateeRole, score, tags = [], comment }) => {
+  let rating;
+
+  try {
+    rating = await Rating.create({
+      ride,
+      rater,
+      ratee,
+      rateeRole,
+      score,
+      tags: [...new Set(tags)],
+      comment
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new ErrorResponse('You have already rated this ride', 400);
+    }
+    throw err;
+  }
+
+  await addToAverage(ratee, score);
+  await refreshFlag(ratee);
+
+  return rating;
+};
+
+/**
+ * Rating summary of a user: average, score histogram and feedback tags
+ * @param {String} userId - User id
+ * @returns {Object} - {average, count, recentAverage, flagged, distribution, tags}
+ */
+const getSummary = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    return null;
+  }
+
+  const [result] = await Rating.aggregate([
+    { $match: { ratee: toObjectId(userId) } },
+    {
+      $facet: {
+        scores: [
+          { $group: { _id: '$score', count: { $sum: 1 } } }
+        ],
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 }, average: { $avg: '$score' } } },
+          { $sort: { count: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  result.scores.forEach(score => {
+    distribution[Math.round(score._id)] += score.count;
+  });
+
+  const rating = user.rating || {};
+
+  return {
+    role: user.role,
+    average: round(rating.average || 0),
+    count: rating.count || 0,
+    recentAverage: typeof rating.recentAverage === 'number' ? rating.recentAverage : null,
+    flagged: Boolean(rating.flagged),
+    flaggedAt: rating.flaggedAt || null,
+    distribution,
+    tags: result.tags.map(tag => ({
+      tag: tag._id,
+      count: tag.count,
+      average: round(tag.average)
+    }))
+  };
+};
+
+module.exports = {
+  TAGS: Rating.TAGS,
+  config,
+  recordRating,
+  refreshFlag,
+  getSummary
+};
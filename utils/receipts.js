@@ -0,0 +1,435 @@
+const City = require('../models/cityModel');
+const Invoice = require('../models/invoiceModel');
+const Transaction = require('../models/transactionModel');
+const locationUtils = require('./locationUtils');
+const pdf = require('./pdf');
+
+/**
+ * Trip receipts and invoices for passengers.
+ *
+ * Each dropped off passenger gets one invoice per ride, numbered in sequence
+ * per city (`<prefix>-000001`) without gaps: a number is only taken by an
+ * invoice that was created. The passenger's share of the metered fare is
+ * broken down by component, followed by the pooling and promo discounts and the GST
+ * included in the fare. GST is only shown when the city has a rate set in
+ * its invoicing settings or the GST_RATE environment variable.
+ */
+
+const { round } = Transaction;
+
+const idOf = ref => (ref && ref._id ? ref._id : ref);
+
+// Tries at taking the next invoice number while other invoices are issued at the same time
+const MAX_NUMBER_ATTEMPTS = 5;
+
+/**
+ * Get the GST rate included in a city's fares
+ * @param {Object} city - City document
+ * @returns {Number} - Rate as a fraction (0.05 = 5%)
+ */
+const getGstRate = (city) => {
+  const invoicing = (city && city.invoicing) || {};
+
+  if (typeof invoicing.gstRate === 'number') {
+    return invoicing.gstRate;
+  }
+
+  const rate = parseFloat(process.env.GST_RATE);
+  return Number.isNaN(rate) ? 0 : rate;
+};
+
+/**
+ * Format an invoice number for a city
+ * @param {Object} city - City document
+ * @param {Number} sequence - Invoice number within the city
+ * @returns {String} - Invoice number, e.g. BLR-000042
+ */
+const formatInvoiceNumber = (city, sequence) => {
+  const prefix = (city.invoicing && city.invoicing.prefix) ||
+    city.name.replace(/[^A-Za-z0-9]/g, '').slice(0, 3).toUpperCase();
+
+  return `${prefix}-${String(sequence).padStart(6, '0')}`;
+};
+
+// Passenger's share of each fare component, before and after the pooling and promo discounts
+const fareBreakdown = (fare, amount, promo) => {
+  const discount = (fare.discount || 0) / 100;
+  const sharedFare = fare.totalFare * (1 - discount);
+  const share = sharedFare > 0 ? amount / sharedFare : 0;
+
+  const metered = fare.baseFare + fare.distanceFare + (fare.timeFare || 0);
+  const nightSurcharge = fare.nightSurcharge || 0;
+  const surge = (metered + nightSurcharge) * ((fare.surgeMultiplier || 1) - 1);
+  const subtotal = fare.totalFare * share;
+
+  const components = {
+    baseFare: round(fare.baseFare * share),
+    distanceFare: round(fare.distanceFare * share),
+    timeFare: round((fare.timeFare || 0) * share),
+    nightSurcharge: round(nightSurcharge * share),
+    surgeCharge: round(surge * share)
+  };
+
+  const itemized = Object.values(components).reduce((sum, value) => sum + value, 0);
+
+  return {
+    ...components,
+    surgeMultiplier: fare.surgeMultiplier || 1,
+    // Top-up to the city's minimum fare
+    minimumFareAdjustment: Math.max(0, round(subtotal - itemized)),
+    subtotal: round(subtotal),
+    poolingDiscount: {
+      percent: fare.discount || 0,
+      amount: round(subtotal - amount)
+    },
+    promoDiscount: promo && promo.code
+      ? { code: promo.code, amount: round(promo.discount || 0) }
+      : null,
+    total: round(amount - (promo && promo.code ? promo.discount || 0 : 0))
+  };
+};
+
+// GST included in an amount, split equally between central and state tax
+const taxBreakdown = (amount, rate) => {
+  const taxableValue = round(amount / (1 + rate));
+  const gst = round(amount - taxableValue);
+  const cgst = round(gst / 2);
+
+  return {
+    rate,
+    taxableValue,
+    cgst,
+    sgst: round(gst - cgst),
+    total: gst
+  };
+};
+
+// Distance and duration of the passenger's own trip
+const tripLength = (ride, passenger) => {
+  const stop = (ride.stops || []).find(item =>
+    item.passenger && idOf(item.passenger).toString() === idOf(passenger.user).toString()
+  );
+
+  if (stop && typeof stop.distance === 'number') {
+    return { distance: round(stop.distance), duration: Math.round(stop.duration) };
+  }
+
+  const dropoff = ride.dropoffFor(passenger);
+  const rideDropoff = ride.destination.location.coordinates;
+  const pickup = ride.pickupLandmark && ride.pickupLandmark.location;
+
+  if ((dropoff[0] === rideDropoff[0] && dropoff[1] === rideDropoff[1]) || !pickup) {
+    return { distance: ride.estimatedDistance, duration: ride.estimatedDuration };
+  }
+
+  const distance = locationUtils.calculateDistance(
+    locationUtils.toLatLng(pickup.coordinates),
+    locationUtils.toLatLng(dropoff)
+  );
+
+  return { distance: round(distance), duration: locationUtils.estimateDuration(distance) };
+};
+
+/**
+ * Build the receipt for a dropped off passenger
+ * @param {Object} ride - Ride with pickupLandmark and driver populated
+ * @param {Object} passenger - Passenger subdocument
+ * @param {Object} customer - Passenger's user document
+ * @param {Object} city - City document
+ * @param {String} number - Invoice number
+ * @returns {Object} - Receipt
+ */
+const buildReceipt = async (ride, passenger, customer, city, number) => {
+  const landmark = ride.pickupLandmark || {};
+  const driver = ride.driver || {};
+  const vehicle = driver.driverDetails || {};
+  const billing = customer.billing || {};
+  const invoicing = city.invoicing || {};
+  const { distance, duration } = tripLength(ride, passenger);
+  const promoDiscount = passenger.promo ? passenger.promo.discount || 0 : 0;
+  const fare = fareBreakdown(ride.fare, (passenger.fare || 0) + promoDiscount, passenger.promo);
+  const gstRate = getGstRate(city);
+
+  const charge = await Transaction.findOne({
+    type: 'ride_charge',
+    ride: ride._id,
+    user: customer._id
+  });
+
+  const ownDestination = passenger.destination && passenger.destination.address;
+
+  return {
+    invoiceNumber: number,
+    issuedAt: new Date(),
+    ride: ride._id,
+    currency: ride.fare.currency,
+    supplier: {
+      name: invoicing.legalName || 'CabPool',
+      gstin: invoicing.gstin || null,
+      city: city.name,
+      state: city.state
+    },
+    customer: {
+      name: customer.name,
+      email: customer.email,
+      companyName: billing.companyName || null,
+      gstin: billing.gstin || null,
+      address: billing.address || null
+    },
+    trip: {
+      pickup: {
+        name: landmark.name || null,
+        address: landmark.address || null
+      },
+      destination: ownDestination || ride.destination.address,
+      seats: passenger.seats || 1,
+      pooled: fare.poolingDiscount.percent > 0,
+      distance,
+      duration,
+      pickupTime: passenger.pickupTime || ride.startedAt || null,
+      dropoffTime: passenger.dropoffTime || ride.completedAt || null
+    },
+    driver: {
+      name: driver.name || null,
+      vehicle: {
+        number: vehicle.vehicleNumber || null,
+        model: vehicle.vehicleModel || null,
+        color: vehicle.vehicleColor || null,
+        type: vehicle.vehicleType || null
+      }
+    },
+    fare,
+    taxes: gstRate > 0 ? taxBreakdown(fare.total, gstRate) : null,
+    total: fare.total,
+    payment: {
+      method: 'wallet',
+      transaction: charge ? charge._id : null,
+      paidAt: charge ? charge.createdAt : null
+    }
+  };
+};
+
+/**
+ * Get the next number in a city's invoice series
+ * Invoices issued before numbers were tracked on them continue from the city's counter.
+ * @param {Object} city - City document
+ * @returns {Number} - Next sequence number
+ */
+const nextInvoiceSequence = async (city) => {
+  const last = await Invoice.findOne({ city: city._id, sequence: { $exists: true } })
+    .sort({ sequence: -1 })
+    .select('sequence');
+
+  return (last ? last.sequence : (city.invoicing && city.invoicing.lastNumber) || 0) + 1;
+};
+
+/**
+ * Get a passenger's invoice for a ride, issuing it on first request
+ * @param {Object} ride - Ride with pickupLandmark and driver populated
+ * @param {Object} passenger - Dropped off passenger subdocument
+ * @param {Object} customer - Passenger's user document
+ * @returns {Object} - Invoice document
+ */
+const issueInvoice = async (ride, passenger, customer) => {
+  const findIssued = () => Invoice.findOne({ ride: ride._id, passenger: customer._id });
+
+  const existing = await findIssued();
+  if (existing) {
+    return existing;
+  }
+
+  const city = await City.findById(idOf(ride.city));
+
+  for (let attempt = 0; attempt < MAX_NUMBER_ATTEMPTS; attempt++) {
+    const sequence = await nextInvoiceSequence(city);
+    const number = formatInvoiceNumber(city, sequence);
+    const receipt = await buildReceipt(ride, passenger, customer, city, number);
+
+    try {
+      const invoice = await Invoice.create({
+        number,
+        sequence,
+        city: city._id,
+        ride: ride._id,
+        passenger: customer._id,
+        amount: receipt.total,
+        currency: receipt.currency,
+        receipt,
+        issuedAt: receipt.issuedAt
+      });
+
+      await City.updateOne(
+        { _id: city._id },
+        { $max: { 'invoicing.lastNumber': sequence } }
+      );
+
+      return invoice;
+    } catch (err) {
+      if (err.code !== 11000) {
+        throw err;
+      }
+
+      // Issued by a concurrent request for the same passenger
+      const issued = await findIssued();
+      if (issued) {
+        return issued;
+      }
+
+      // Another invoice took this number first, so try the next one
+    }
+  }
+
+  throw new Error('Could not assign an invoice number, please try again');
+};
+
+const money = amount => amount.toFixed(2);
+
+const formatTime = time => (time ? new Date(time).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '-');
+
+// Label and amount of each fare line, skipping empty components
+const fareLines = (receipt) => {
+  const { fare } = receipt;
+
+  return [
+    ['Base fare', fare.baseFare],
+    ['Distance fare', fare.distanceFare],
+    ['Time fare', fare.timeFare],
+    ['Night surcharge', fare.nightSurcharge],
+    [`Surge (x${fare.surgeMultiplier})`, fare.surgeCharge],
+    ['Minimum fare adjustment', fare.minimumFareAdjustment],
+    ['Subtotal', fare.subtotal],
+    [`Pooling discount (${fare.poolingDiscount.percent}%)`, -fare.poolingDiscount.amount],
+    ...(fare.promoDiscount ? [[`Promo ${fare.promoDiscount.code}`, -fare.promoDiscount.amount]] : [])
+  ].filter(([label, amount]) => label === 'Subtotal' || amount !== 0);
+};
+
+const taxLines = (receipt) => {
+  if (!receipt.taxes) {
+    return [];
+  }
+
+  const { taxes } = receipt;
+  const percent = taxes.rate * 100;
+
+  return [
+    ['Taxable value', taxes.taxableValue],
+    [`CGST (${percent / 2}%)`, taxes.cgst],
+    [`SGST (${percent / 2}%)`, taxes.sgst]
+  ];
+};
+
+const escapeHtml = value => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Render a receipt as an HTML page
+ * @param {Object} receipt - Receipt from an invoice
+ * @returns {String} - HTML document
+ */
+const toHtml = (receipt) => {
+  const { supplier, customer, trip, driver } = receipt;
+  const vehicle = [driver.vehicle.color, driver.vehicle.model, driver.vehicle.number].filter(Boolean).join(' ');
+  const row = (label, value) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+  const amountRow = ([label, amount]) => `<tr><td>${escapeHtml(label)}</td><td class="amount">${money(amount)}</td></tr>`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Invoice ${escapeHtml(receipt.invoiceNumber)}</title>
+<style>
+body { font-family: sans-serif; max-width: 640px; margin: 2em auto; color: #222; }
+table { width: 100%; border-collapse: collapse; margin-bottom: 1.5em; }
+th, td { text-align: left; padding: 4px 0; vertical-align: top; }
+.amount { text-align: right; }
+.total td { border-top: 1px solid #222; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(supplier.name)} trip receipt</h1>
+<table>
+${row('Invoice number', receipt.invoiceNumber)}
+${row('Issued', formatTime(receipt.issuedAt))}
+${supplier.gstin ? row('Supplier GSTIN', supplier.gstin) : ''}
+${row('Billed to', customer.companyName ? `${customer.companyName} (${customer.name})` : customer.name)}
+${customer.gstin ? row('Customer GSTIN', customer.gstin) : ''}
+${customer.address ? row('Billing address', customer.address) : ''}
+</table>
+<h2>Trip</h2>
+<table>
+${row('Pickup', [trip.pickup.name, trip.pickup.address].filter(Boolean).join(', '))}
+${row('Destination', trip.destination)}
+${row('Picked up', formatTime(trip.pickupTime))}
+${row('Dropped off', formatTime(trip.dropoffTime))}
+${row('Distance', `${trip.distance} km`)}
+${row('Duration', `${trip.duration} min`)}
+${row('Seats', trip.seats)}
+${row('Driver', driver.name)}
+${row('Vehicle', vehicle)}
+</table>
+<h2>Fare (${escapeHtml(receipt.currency)})</h2>
+<table>
+${fareLines(receipt).map(amountRow).join('\n')}
+${taxLines(receipt).map(amountRow).join('\n')}
+<tr class="total"><td>Total${receipt.taxes ? ' (incl. GST)' : ''}</td><td class="amount">${money(receipt.total)}</td></tr>
+</table>
+<p>Paid from wallet${receipt.payment.transaction ? `, transaction ${escapeHtml(receipt.payment.transaction)}` : ''}.</p>
+</body>
+</html>
+`;
+};
+
+/**
+ * Render a receipt as a PDF document
+ * @param {Object} receipt - Receipt from an invoice
+ * @returns {Buffer} - PDF file contents
+ */
+const toPdf = (receipt) => {
+  const { supplier, customer, trip, driver } = receipt;
+  const vehicle = [driver.vehicle.color, driver.vehicle.model, driver.vehicle.number].filter(Boolean).join(' ');
+  const field = (label, value) => `${`${label}:`.padEnd(18)}${value === null || value === undefined ? '-' : value}`;
+  const amountLine = ([label, amount]) => `${label.padEnd(40)}${money(amount).padStart(12)}`;
+
+  const lines = [
+    field('Invoice number', receipt.invoiceNumber),
+    field('Issued', formatTime(receipt.issuedAt)),
+    ...(supplier.gstin ? [field('Supplier GSTIN', supplier.gstin)] : []),
+    field('Billed to', customer.companyName ? `${customer.companyName} (${customer.name})` : customer.name),
+    ...(customer.gstin ? [field('Customer GSTIN', customer.gstin)] : []),
+    ...(customer.address ? [field('Billing address', customer.address)] : []),
+    '',
+    field('Pickup', [trip.pickup.name, trip.pickup.address].filter(Boolean).join(', ')),
+    field('Destination', trip.destination),
+    field('Picked up', formatTime(trip.pickupTime)),
+    field('Dropped off', formatTime(trip.dropoffTime)),
+    field('Distance', `${trip.distance} km`),
+    field('Duration', `${trip.duration} min`),
+    field('Seats', trip.seats),
+    field('Driver', driver.name),
+    field('Vehicle', vehicle),
+    '',
+    `${`Fare (${receipt.currency})`.padEnd(40)}${'Amount'.padStart(12)}`,
+    '-'.repeat(52),
+    ...fareLines(receipt).map(amountLine),
+    ...taxLines(receipt).map(amountLine),
+    '-'.repeat(52),
+    amountLine([receipt.taxes ? 'Total (incl. GST)' : 'Total', receipt.total]),
+    '',
+    `Paid from wallet${receipt.payment.transaction ? `, transaction ${receipt.payment.transaction}` : ''}.`
+  ];
+
+  return pdf.createPdf({ title: `${supplier.name} trip receipt`, lines });
+};
+
+module.exports = {
+  getGstRate,
+  formatInvoiceNumber,
+  buildReceipt,
+  issueInvoice,
+  toHtml,
+  toPdf
+};
@@ -0,0 +1,81 @@
+/**
+ * Named implementations of a pluggable service, one of which is active.
+ *
+ * SMS, push, mail, storage, payments and routing each keep a registry of
+ * implementations (objects with the methods the service needs). The active one
+ * is chosen with an environment variable or replaced at runtime with `set`.
+ * When the variable is not set the registry falls back to a default, which is
+ * only meant for development unless `fallbackInProduction` is set: in
+ * production an unconfigured service fails instead of quietly logging messages
+ * or keeping files on the local disk.
+ */
+
+/**
+ * Create a registry of implementations
+ * @param {Object} options - {label, envVar, methods, entries, fallback, fallbackInProduction}
+ * @returns {Object} - {entries, register, set, get, activeName}
+ */
+const createRegistry = ({
+  label,
+  envVar,
+  methods,
+  entries = {},
+  fallback,
+  fallbackInProduction = false
+}) => {
+  let active;
+  let activeName;
+
+  /**
+   * Register a named implementation
+   * @param {String} name - Name used in the environment variable
+   * @param {Object} implementation - Object with the required methods
+   */
+  const register = (name, implementation) => {
+    entries[name] = implementation;
+  };
+
+  /**
+   * Set the active implementation
+   * @param {String|Object} implementation - Registered name or implementation object
+   */
+  const set = (implementation) => {
+    const chosen = typeof implementation === 'string' ? entries[implementation] : implementation;
+
+    if (!chosen || methods.some(method => typeof chosen[method] !== 'function')) {
+      throw new Error(`Unknown ${label} ${implementation}`);
+    }
+
+    active = chosen;
+    activeName = typeof implementation === 'string' ? implementation : 'custom';
+  };
+
+  /**
+   * Get the active implementation, choosing it from the environment the first time
+   * @returns {Object} - Implementation object
+   */
+  const get = () => {
+    if (!active) {
+      const useFallback = fallbackInProduction || process.env.NODE_ENV !== 'production';
+      const name = process.env[envVar] || (useFallback ? fallback : null);
+
+      if (!name) {
+        throw new Error(`No ${label} configured, set ${envVar}`);
+      }
+
+      set(name);
+    }
+
+    return active;
+  };
+
+  return {
+    entries,
+    register,
+    set,
+    get,
+    activeName: () => activeName
+  };
+};
+
+module.exports = createRegistry;
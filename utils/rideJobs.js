@@ -0,0 +1,285 @@
+const Ride = require('../models/rideModel');
+const jobQueue = require('./jobQueue');
+const eventBus = require('./eventBus');
+const dispatcher = require('./dispatcher');
+const poolMatcher = require('./poolMatcher');
+const cancellationPolicy = require('./cancellationPolicy');
+const ledger = require('./ledger');
+const promotions = require('./promotions');
+const notifications = require('./notifications');
+
+/**
+ * Timed jobs of a booked ride.
+ *
+ * - Rides booked more than DISPATCH_LEAD_MINUTES ahead are offered to drivers
+ *   from that long before pickup.
+ * - Passengers (and the driver, once assigned) are reminded RIDE_REMINDER_MINUTES
+ *   before pickup.
+ * - A ride still without a driver DISPATCH_ESCALATION_MINUTES before pickup is
+ *   offered to drivers within DISPATCH_ESCALATION_RADIUS_KM.
+ * - A ride still without a driver RIDE_ASSIGNMENT_CUTOFF_MINUTES before pickup
+ *   is cancelled. Rides booked later than that get the same time to find one.
+ * - A ride whose driver has not started it DRIVER_NO_SHOW_MINUTES after pickup
+ *   is cancelled as a driver no-show, which counts against the driver.
+ *
+ * The jobs are scheduled when the ride is booked and check the ride when they
+ * run, so nothing has to be unscheduled when it is assigned or cancelled.
+ */
+
+const MINUTE = 60 * 1000;
+
+const OPEN_STATUSES = ['pending', 'pooling'];
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const config = () => ({
+  reminderMinutes: numberFromEnv('RIDE_REMINDER_MINUTES', 30),
+  escalationMinutes: numberFromEnv('DISPATCH_ESCALATION_MINUTES', 20),
+  escalationRadiusKm: numberFromEnv('DISPATCH_ESCALATION_RADIUS_KM', 10),
+  cutoffMinutes: numberFromEnv('RIDE_ASSIGNMENT_CUTOFF_MINUTES', 10),
+  driverNoShowMinutes: numberFromEnv('DRIVER_NO_SHOW_MINUTES', 15)
+});
+
+/**
+ * When each job of a ride runs
+ * @param {Object} ride - Ride document
+ * @returns {Object} - {dispatch, reminder, escalation, expiry, driverNoShow} Dates, null when skipped
+ */
+const getJobTimes = (ride) => {
+  const { reminderMinutes, escalationMinutes, cutoffMinutes, driverNoShowMinutes } = config();
+  const { leadMinutes } = dispatcher.config();
+  const pickup = new Date(ride.scheduledTime).getTime();
+  const booked = new Date(ride.createdAt || Date.now()).getTime();
+
+  const expiry = Math.max(pickup - cutoffMinutes * MINUTE, booked + cutoffMinutes * MINUTE);
+
+  // Rides booked late widen the search halfway to the cutoff
+  const escalation = Math.max(pickup - escalationMinutes * MINUTE, booked + (expiry - booked) / 2);
+  const reminder = pickup - reminderMinutes * MINUTE;
+  const dispatchAt = pickup - leadMinutes * MINUTE;
+
+  return {
+    dispatch: dispatchAt > booked ? new Date(dispatchAt) : null,
+    reminder: reminder > booked ? new Date(reminder) : null,
+    escalation: escalation < expiry ? new Date(escalation) : null,
+    expiry: new Date(expiry),
+    driverNoShow: new Date(Math.max(pickup, booked) + driverNoShowMinutes * MINUTE)
+  };
+};
+
+/**
+ * Schedule the jobs of a newly booked ride
+ * Scheduling a ride again does not move jobs that already exist.
+ * @param {Object} ride - Ride document
+ */
+const scheduleRideJobs = async (ride) => {
+  const times = getJobTimes(ride);
+  const jobs = [
+    ['ride_dispatch', times.dispatch],
+    ['ride_reminder', times.reminder],
+    ['ride_escalation', times.escalation],
+    ['ride_expiry', times.expiry],
+    ['driver_no_show', times.driverNoShow]
+  ];
+
+  for (const [type, runAt] of jobs) {
+    if (runAt) {
+      await jobQueue.schedule(type, runAt, { rideId: ride._id }, { key: `${type}:${ride._id}` });
+    }
+  }
+};
+
+/**
+ * Schedule the jobs of rides booked before the job queue existed
+ */
+const scheduleOpenRides = async () => {
+  const rides = await Ride.find({ status: { $in: [...OPEN_STATUSES, 'assigned'] } })
+    .select('scheduledTime createdAt');
+
+  for (const ride of rides) {
+    await scheduleRideJobs(ride);
+  }
+};
+
+// Riders still on a ride, so people who left it are not notified
+const activeAudience = ride => ({
+  _id: ride._id,
+  poolId: ride.poolId,
+  status: ride.status,
+  driver: ride.driver,
+  passengers: ride.passengers.filter(p => p.status !== 'cancelled')
+});
+
+/**
+ * Cancel a ride for all its waiting passengers, without fees
+ * @param {Object} filter - Ride to cancel, including the statuses it may be in
+ * @param {Object} options - {reason, action, details} for the ride log
+ * @returns {Object|null} - Cancelled ride, or null if it no longer matched
+ */
+const cancelBySystem = async (filter, { reason, action, details = {} }) => {
+  const cancelledAt = new Date();
+
+  const ride = await Ride.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        status: 'cancelled',
+        cancellationReason: reason,
+        'passengers.$[passenger].status': 'cancelled',
+        'passengers.$[passenger].cancellation': { by: 'system', reason, fee: 0, cancelledAt }
+      },
+      $push: {
+        logs: { action, details: { reason, ...details } }
+      }
+    },
+    {
+      arrayFilters: [{ 'passenger.status': { $in: ['pending', 'confirmed'] } }],
+      new: true
+    }
+  );
+
+  if (!ride) {
+    return null;
+  }
+
+  const cancelled = ride.passengers.filter(p => p.cancellation &&
+    p.cancellation.by === 'system' &&
+    p.cancellation.cancelledAt &&
+    p.cancellation.cancelledAt.getTime() === cancelledAt.getTime());
+
+  eventBus.publishRide(
+    { ...activeAudience(ride), passengers: cancelled },
+    'rideCancelled',
+    { reason, cancelledBy: 'system', ...details }
+  );
+  eventBus.leaveRide(ride._id);
+
+  await poolMatcher.rematchPool(ride.poolId);
+  await dispatcher.release(ride.poolId);
+
+  // Nobody pays for a ride the platform cancelled
+  await ledger.refundRide(ride, { reason });
+
+  for (const passenger of cancelled) {
+    await promotions.release(passenger);
+  }
+
+  await notifications.notifyRide(ride, 'rideCancelled', [
+    ...cancelled.map(p => p.user),
+    ...(ride.driver ? [ride.driver] : [])
+  ], { reason });
+
+  return ride;
+};
+
+// Start offering a ride booked ahead to drivers
+jobQueue.registerHandler('ride_dispatch', async (job) => {
+  const ride = await Ride.findById(job.data.rideId);
+
+  if (!ride || !OPEN_STATUSES.includes(ride.status)) {
+    return;
+  }
+
+  await dispatcher.dispatch(ride);
+});
+
+// Remind everyone on the ride of the upcoming pickup
+jobQueue.registerHandler('ride_reminder', async (job) => {
+  const ride = await Ride.findById(job.data.rideId).populate('pickupLandmark', 'name address');
+
+  if (!ride || ![...OPEN_STATUSES, 'assigned'].includes(ride.status) || ride.scheduledTime <= Date.now()) {
+    return;
+  }
+
+  const audience = activeAudience(ride);
+
+  eventBus.publishRide(audience, 'rideReminder', {
+    scheduledTime: ride.scheduledTime,
+    pickupLandmark: ride.pickupLandmark && {
+      id: ride.pickupLandmark._id,
+      name: ride.pickupLandmark.name,
+      address: ride.pickupLandmark.address
+    },
+    driverAssigned: Boolean(ride.driver)
+  });
+
+  await notifications.notifyRide(ride, 'rideReminder', [
+    ...audience.passengers.map(p => p.user),
+    ...(ride.driver ? [ride.driver] : [])
+  ], {
+    minutes: Math.max(1, Math.round((ride.scheduledTime - Date.now()) / MINUTE))
+  });
+});
+
+// Offer a ride nobody has accepted to drivers further away
+jobQueue.registerHandler('ride_escalation', async (job) => {
+  const ride = await Ride.findById(job.data.rideId);
+
+  if (!ride || !OPEN_STATUSES.includes(ride.status)) {
+    return;
+  }
+
+  const { escalationRadiusKm } = config();
+
+  await Ride.updateOne({ _id: ride._id }, {
+    $push: {
+      logs: { action: 'dispatch_escalated', details: { radiusKm: escalationRadiusKm } }
+    }
+  });
+
+  await dispatcher.dispatch(ride, { radiusKm: escalationRadiusKm });
+});
+
+// Cancel a ride that found no driver in time
+jobQueue.registerHandler('ride_expiry', async (job) => {
+  await cancelBySystem(
+    { _id: job.data.rideId, status: { $in: OPEN_STATUSES } },
+    {
+      reason: 'No driver was found before the pickup time',
+      action: 'ride_expired'
+    }
+  );
+});
+
+// Cancel the rides of a pool whose driver never started, and count it against the driver
+// Passengers are only picked up once the ride has started, so nobody is on board yet
+jobQueue.registerHandler('driver_no_show', async (job) => {
+  const ride = await Ride.findById(job.data.rideId);
+
+  if (!ride || ride.status !== 'assigned' || !ride.driver) {
+    return;
+  }
+
+  const driverId = ride.driver;
+  const poolRides = await Ride.find({ poolId: ride.poolId, driver: driverId, status: 'assigned' });
+  let cancelled = 0;
+
+  for (const poolRide of poolRides) {
+    const result = await cancelBySystem(
+      { _id: poolRide._id, driver: driverId, status: 'assigned' },
+      {
+        reason: 'The driver did not show up',
+        action: 'driver_no_show',
+        details: { driver: driverId }
+      }
+    );
+
+    if (result) {
+      cancelled += 1;
+    }
+  }
+
+  if (cancelled > 0) {
+    await cancellationPolicy.recordDriverCancellation(driverId);
+  }
+});
+
+module.exports = {
+  config,
+  getJobTimes,
+  scheduleRideJobs,
+  scheduleOpenRides
+};
@@ -0,0 +1,255 @@
+const Ride = require('../models/rideModel');
+const RideSchedule = require('../models/rideScheduleModel');
+const Landmark = require('../models/landmarkModel');
+const ErrorResponse = require('./errorResponse');
+const booking = require('./booking');
+const ledger = require('./ledger');
+const eventBus = require('./eventBus');
+
+/**
+ * Recurring ride schedules.
+ *
+ * A schedule books a ride for each of its days of the week at a local time in
+ * its timezone, between its start and end dates and except on skipped dates.
+ * Rides are booked SCHEDULE_LOOKAHEAD_HOURS ahead so they enter pooling and
+ * dispatch like any other booking. Each occurrence is booked at most once, so
+ * a ride the passenger cancels is not booked again.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const config = () => ({
+  lookaheadHours: numberFromEnv('SCHEDULE_LOOKAHEAD_HOURS', 24)
+});
+
+// Offset of a timezone from UTC at an instant, in milliseconds
+const timeZoneOffset = (time, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(time));
+
+  const part = type => Number(parts.find(item => item.type === type).value);
+  const asUtc = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+
+  return asUtc - Math.floor(time / 1000) * 1000;
+};
+
+/**
+ * Get the instant of a local date and time in a timezone
+ * @param {String} date - YYYY-MM-DD
+ * @param {String} time - HH:mm
+ * @param {String} timeZone - IANA timezone
+ * @returns {Date} - Instant
+ */
+const toInstant = (date, time, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Correct the guess once for a daylight saving change between the two offsets
+  const offset = timeZoneOffset(wallClock, timeZone);
+  const corrected = timeZoneOffset(wallClock - offset, timeZone);
+
+  return new Date(wallClock - corrected);
+};
+
+/**
+ * Get the local date of an instant in a timezone
+ * @param {Date} time - Instant
+ * @param {String} timeZone - IANA timezone
+ * @returns {String} - YYYY-MM-DD
+ */
+const toLocalDate = (time, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(new Date(time));
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY)
+  .toISOString()
+  .slice(0, 10);
+
+const weekday = date => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * List a schedule's occurrences with pickup times in a window
+ * @param {Object} schedule - Ride schedule
+ * @param {Date} from - Window start (exclusive)
+ * @param {Date} to - Window end (inclusive)
+ * @returns {Array} - [{occurrence, scheduledTime}]
+ */
+const occurrencesBetween = (schedule, from, to) => {
+  const occurrences = [];
+  const skipped = new Set(schedule.skipDates || []);
+  const last = toLocalDate(to, schedule.timezone);
+
+  for (let date = addDays(toLocalDate(from, schedule.timezone), -1); date <= last; date = addDays(date, 1)) {
+    if (date < schedule.startDate || (schedule.endDate && date > schedule.endDate)) {
+      continue;
+    }
+
+    if (!schedule.daysOfWeek.includes(weekday(date)) || skipped.has(date)) {
+      continue;
+    }
+
+    const scheduledTime = toInstant(date, schedule.time, schedule.timezone);
+
+    if (scheduledTime > from && scheduledTime <= to) {
+      occurrences.push({ occurrence: date, scheduledTime });
+    }
+  }
+
+  return occurrences;
+};
+
+/**
+ * Next occurrences of a schedule with the rides already booked for them
+ * @param {Object} schedule - Ride schedule
+ * @param {Number} days - Days to look ahead
+ * @returns {Array} - [{occurrence, scheduledTime, ride}]
+ */
+const getUpcoming = async (schedule, days = 7) => {
+  const now = new Date();
+  const occurrences = occurrencesBetween(schedule, now, new Date(now.getTime() + days * DAY));
+
+  const rides = await Ride.find({
+    schedule: schedule._id,
+    occurrence: { $in: occurrences.map(item => item.occurrence) }
+  }).select('occurrence status');
+
+  return occurrences.map(item => {
+    const ride = rides.find(booked => booked.occurrence === item.occurrence);
+    return { ...item, ride: ride ? ride._id : null, status: ride ? ride.status : null };
+  });
+};
+
+// Book the ride for one occurrence of a schedule
+const bookOccurrence = async (schedule, { occurrence, scheduledTime }) => {
+  if (await ledger.hasOutstandingBalance(schedule.user)) {
+    throw new ErrorResponse('Please top up your wallet to clear your outstanding balance', 402);
+  }
+
+  const landmark = await Landmark.findById(schedule.pickupLandmark);
+  if (!landmark) {
+    throw new ErrorResponse('The pickup landmark of this schedule no longer exists', 404);
+  }
+
+  if (schedule.vehicleType !== 'any' && !booking.isVehicleTypeAllowed(landmark, schedule.vehicleType)) {
+    throw new ErrorResponse(`Vehicle type ${schedule.vehicleType} is not allowed at this pickup landmark`, 400);
+  }
+
+  const { distance, duration, fareDetails } = await booking.estimateTrip(
+    landmark,
+    schedule.destination.location.coordinates,
+    schedule.passengerCount,
+    scheduledTime
+  );
+
+  return booking.bookRide({
+    userId: schedule.user,
+    landmark,
+    destination: schedule.destination,
+    scheduledTime,
+    passengerCount: schedule.passengerCount,
+    vehicleType: schedule.vehicleType,
+    distance,
+    duration,
+    fareDetails,
+    details: { schedule: schedule._id, occurrence },
+    fields: { schedule: schedule._id, occurrence }
+  });
+};
+
+/**
+ * Book the rides of a schedule's occurrences inside the lookahead window
+ * @param {Object} schedule - Active ride schedule
+ * @returns {Array} - Rides booked
+ */
+const generateRides = async (schedule) => {
+  const now = new Date();
+  const until = new Date(now.getTime() + config().lookaheadHours * 60 * 60 * 1000);
+  const booked = [];
+
+  for (const item of occurrencesBetween(schedule, now, until)) {
+    if (await Ride.exists({ schedule: schedule._id, occurrence: item.occurrence })) {
+      continue;
+    }
+
+    try {
+      const ride = await bookOccurrence(schedule, item);
+      booked.push(ride);
+
+      eventBus.toUser(schedule.user, 'scheduledRideBooked', {
+        schedule: schedule._id,
+        occurrence: item.occurrence,
+        rideId: ride._id,
+        scheduledTime: ride.scheduledTime
+      });
+    } catch (err) {
+      // Booked by another process in the meantime
+      if (err.code === 11000) {
+        continue;
+      }
+
+      const lastError = schedule.lastError || {};
+
+      // Tell the user once per occurrence and reason, and retry on the next run
+      if (lastError.occurrence !== item.occurrence || lastError.message !== err.message) {
+        await RideSchedule.updateOne({ _id: schedule._id }, {
+          lastError: { occurrence: item.occurrence, message: err.message, at: Date.now() }
+        });
+
+        eventBus.toUser(schedule.user, 'scheduledRideFailed', {
+          schedule: schedule._id,
+          occurrence: item.occurrence,
+          scheduledTime: item.scheduledTime,
+          message: err.message
+        });
+      }
+
+      if (!err.statusCode) {
+        console.log(`Error: ${err.message}`);
+      }
+    }
+  }
+
+  return booked;
+};
+
+/**
+ * Book upcoming rides for every active schedule
+ * @returns {Number} - Rides booked
+ */
+const generateUpcomingRides = async () => {
+  const schedules = await RideSchedule.find({ status: 'active' });
+  let count = 0;
+
+  for (const schedule of schedules) {
+    count += (await generateRides(schedule)).length;
+  }
+
+  return count;
+};
+
+module.exports = {
+  config,
+  toInstant,
+  toLocalDate,
+  occurrencesBetween,
+  getUpcoming,
+  generateRides,
+  generateUpcomingRides
+};
@@ -0,0 +1,308 @@
+const Ride = require('../models/rideModel');
+const locationUtils = require('./locationUtils');
+const createRegistry = require('./registry');
+
+/**
+ * Multi-stop route planning for pooled rides.
+ *
+ * Riders in a pool share a pickup landmark. The planner orders their dropoffs
+ * to minimise the total distance while keeping each rider's detour within the
+ * limits. Distances, durations and paths come from a routing provider: any
+ * object with an async `leg(from, to)` method returning
+ * `{ distance (km), duration (minutes), coordinates ([lng, lat] points) }`.
+ * The provider is chosen with the ROUTING_PROVIDER environment variable
+ * (defaults to `haversine`, which works offline) or replaced with `setProvider`.
+ */
+
+// Default limits, the same the pool matcher admits riders with
+const DEFAULT_OPTIONS = {
+  maxDetourKm: 5, // Max extra distance any rider may travel because of pooling
+  maxDetourRatio: 0.5, // Max extra distance as a fraction of the rider's direct trip
+  maxExactStops: 7 // Up to this many dropoffs every order is tried
+};
+
+// Statuses in which a pool's route can still change
+const PLANNED_STATUSES = ['pending', 'pooling', 'assigned'];
+
+// Great-circle distances and straight lines, for offline use
+const haversineProvider = {
+  leg: async (from, to) => {
+    const distance = locationUtils.calculateDistance(from, to);
+
+    return {
+      distance,
+      duration: locationUtils.estimateDuration(distance),
+      coordinates: [[from.lng, from.lat], [to.lng, to.lat]]
+    };
+  }
+};
+
+// Straight lines are a fine fallback in production too
+const registry = createRegistry({
+  label: 'routing provider',
+  envVar: 'ROUTING_PROVIDER',
+  methods: ['leg'],
+  entries: {
+    haversine: haversineProvider
+  },
+  fallback: 'haversine',
+  fallbackInProduction: true
+});
+
+/**
+ * Register a named routing provider
+ * @param {String} name - Provider name used in ROUTING_PROVIDER
+ * @param {Object} provider - Object with an async leg(from, to) method
+ */
+const registerProvider = registry.register;
+
+/**
+ * Set the active routing provider
+ * @param {String|Object} provider - Registered provider name or provider object
+ */
+const setProvider = registry.set;
+
+/**
+ * Get the active routing provider
+ * @returns {Object} - Provider object
+ */
+const getProvider = registry.get;
+
+// Legs between every pair of points (index 0 is the pickup)
+const buildLegs = async (points) => {
+  const provider = getProvider();
+  const legs = points.map(() => []);
+
+  for (let from = 0; from < points.length; from++) {
+    for (let to = 1; to < points.length; to++) {
+      if (from !== to) {
+        legs[from][to] = await provider.leg(points[from], points[to]);
+      }
+    }
+  }
+
+  return legs;
+};
+
+// Walk a dropoff order and measure it
+const evaluate = (order, legs, opts) => {
+  let current = 0;
+  let distance = 0;
+  let duration = 0;
+  let excess = 0;
+
+  const stops = order.map(index => {
+    distance += legs[current][index].distance;
+    duration += legs[current][index].duration;
+    current = index;
+
+    const direct = legs[0][index].distance;
+    const detour = Math.max(0, distance - direct);
+    const allowed = Math.min(opts.maxDetourKm, direct * opts.maxDetourRatio);
+    excess += Math.max(0, detour - allowed);
+
+    return { index, distance, duration, direct, detour };
+  });
+
+  return { order, stops, totalDistance: distance, totalDuration: duration, excess };
+};
+
+// Prefer routes that break the detour limits less, then shorter ones
+const EPSILON = 1e-9;
+const isBetter = (a, b) => {
+  if (!b) {
+    return true;
+  }
+
+  if (Math.abs(a.excess - b.excess) > EPSILON) {
+    return a.excess < b.excess;
+  }
+
+  return a.totalDistance < b.totalDistance - EPSILON;
+};
+
+// Every order of the given indices
+const permutations = (items) => {
+  if (items.length <= 1) {
+    return [items];
+  }
+
+  return items.flatMap((item, index) => permutations([
+    ...items.slice(0, index),
+    ...items.slice(index + 1)
+  ]).map(rest => [item, ...rest]));
+};
+
+// Nearest-neighbour order improved with 2-opt, for pools too large to try every order
+const improveGreedy = (indices, legs, opts) => {
+  const remaining = [...indices];
+  const order = [];
+  let current = 0;
+
+  while (remaining.length > 0) {
+    remaining.sort((a, b) => legs[current][a].distance - legs[current][b].distance);
+    current = remaining.shift();
+    order.push(current);
+  }
+
+  let best = evaluate(order, legs, opts);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+
+    for (let i = 0; i < best.order.length - 1; i++) {
+      for (let j = i + 1; j < best.order.length; j++) {
+        const candidate = evaluate([
+          ...best.order.slice(0, i),
+          ...best.order.slice(i, j + 1).reverse(),
+          ...best.order.slice(j + 1)
+        ], legs, opts);
+
+        if (isBetter(candidate, best)) {
+          best = candidate;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Order dropoffs from a shared pickup point
+ * @param {Object} pickup - Pickup coordinate {lat, lng}
+ * @param {Array} riders - Riders [{id, destination: {lat, lng}}, ...]
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Object} - {stops, totalDistance, totalDuration, feasible, coordinates}
+ */
+const planRoute = async (pickup, riders, options = {}) => {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+
+  if (riders.length === 0) {
+    return { stops: [], totalDistance: 0, totalDuration: 0, feasible: true, coordinates: [] };
+  }
+
+  const legs = await buildLegs([pickup, ...riders.map(rider => rider.destination)]);
+  const indices = riders.map((rider, index) => index + 1);
+
+  let best;
+
+  if (indices.length <= opts.maxExactStops) {
+    permutations(indices).forEach(order => {
+      const candidate = evaluate(order, legs, opts);
+      if (isBetter(candidate, best)) {
+        best = candidate;
+      }
+    });
+  } else {
+    best = improveGreedy(indices, legs, opts);
+  }
+
+  // Join the leg paths into one polyline
+  const coordinates = [];
+  best.order.reduce((from, to) => {
+    const path = legs[from][to].coordinates || [];
+    coordinates.push(...(coordinates.length > 0 ? path.slice(1) : path));
+    return to;
+  }, 0);
+
+  return {
+    stops: best.stops.map((stop, sequence) => ({
+      id: riders[stop.index - 1].id,
+      destination: riders[stop.index - 1].destination,
+      sequence: sequence + 1,
+      distance: stop.distance,
+      duration: stop.duration,
+      direct: stop.direct,
+      detour: stop.detour
+    })),
+    totalDistance: best.totalDistance,
+    totalDuration: best.totalDuration,
+    feasible: best.excess <= EPSILON,
+    coordinates
+  };
+};
+
+/**
+ * Plan the dropoffs of every passenger still to be dropped off in a pool
+ * and store the stop sequence and polyline on each of its rides
+ * @param {String} poolId - Pool to plan
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Object|null} - Planned route, or null if the pool has no open rides
+ */
+const planPoolRoute = async (poolId, options) => {
+  const rides = await Ride.find({ poolId, status: { $in: PLANNED_STATUSES } })
+    .populate('pickupLandmark', 'location');
+
+  if (rides.length === 0 || !rides[0].pickupLandmark) {
+    return null;
+  }
+
+  const riders = [];
+  rides.forEach(ride => ride.passengers
+    .filter(passenger => ['pending', 'confirmed'].includes(passenger.status))
+    .forEach(passenger => riders.push({
+      id: `${ride._id}:${passenger.user}`,
+      ride: ride._id,
+      passenger: passenger.user,
+      destination: locationUtils.toLatLng(ride.dropoffFor(passenger))
+    })));
+
+  const plan = await planRoute(
+    locationUtils.toLatLng(rides[0].pickupLandmark.location.coordinates),
+    riders,
+    options
+  );
+
+  const stops = plan.stops.map(stop => {
+    const rider = riders.find(r => r.id === stop.id);
+
+    return {
+      ride: rider.ride,
+      passenger: rider.passenger,
+      location: {
+        type: 'Point',
+        coordinates: [stop.destination.lng, stop.destination.lat]
+      },
+      sequence: stop.sequence,
+      distance: stop.distance,
+      duration: stop.duration,
+      detour: stop.detour
+    };
+  });
+
+  const update = plan.coordinates.length > 1
+    ? { $set: { stops, route: { type: 'LineString', coordinates: plan.coordinates } } }
+    : { $set: { stops }, $unset: { route: 1 } };
+
+  await Ride.updateMany({ _id: { $in: rides.map(ride => ride._id) } }, update);
+
+  return { ...plan, stops };
+};
+
+/**
+ * Estimated dropoff times for a ride's planned stops
+ * @param {Object} ride - Ride document with stops
+ * @returns {Array} - Stops with an `eta` date
+ */
+const getStopEtas = (ride) => {
+  const departure = new Date(ride.startedAt || ride.scheduledTime).getTime();
+
+  return (ride.stops || []).map(stop => ({
+    ...(stop.toObject ? stop.toObject() : stop),
+    eta: new Date(departure + stop.duration * 60000)
+  }));
+};
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  providers: registry.entries,
+  registerProvider,
+  setProvider,
+  getProvider,
+  planRoute,
+  planPoolRoute,
+  getStopEtas
+};
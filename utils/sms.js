@@ -0,0 +1,69 @@
+const createRegistry = require('./registry');
+
+/**
+ * Pluggable SMS sending.
+ *
+ * A provider is any object with an async `send({ to, message })` method.
+ * The active provider is chosen with the SMS_PROVIDER environment variable
+ * (defaults to `console` outside production) or replaced at runtime with `setProvider`.
+ */
+
+// Logs messages to the console, for local development
+const consoleProvider = {
+  send: async ({ to, message }) => {
+    console.log(`SMS to ${to}: ${message}`);
+    return { to, message };
+  }
+};
+
+// Keeps messages in memory, for tests
+const memoryProvider = {
+  outbox: [],
+  send: async ({ to, message }) => {
+    const sms = { to, message, sentAt: new Date() };
+    memoryProvider.outbox.push(sms);
+    return sms;
+  },
+  clear: () => {
+    memoryProvider.outbox.length = 0;
+  }
+};
+
+const registry = createRegistry({
+  label: 'SMS provider',
+  envVar: 'SMS_PROVIDER',
+  methods: ['send'],
+  entries: {
+    console: consoleProvider,
+    memory: memoryProvider
+  },
+  fallback: 'console'
+});
+
+/**
+ * Register a named SMS provider
+ * @param {String} name - Provider name used in SMS_PROVIDER
+ * @param {Object} provider - Object with an async send({to, message}) method
+ */
+exports.registerProvider = registry.register;
+
+/**
+ * Set the active SMS provider
+ * @param {String|Object} provider - Registered provider name or provider object
+ */
+exports.setProvider = registry.set;
+
+/**
+ * Get the active SMS provider
+ * @returns {Object} - Provider object
+ */
+exports.getProvider = registry.get;
+
+/**
+ * Send an SMS through the active provider
+ * @param {Object} options - {to, message}
+ * @returns {Promise} - Provider result
+ */
+exports.sendSms = (options) => exports.getProvider().send(options);
+
+exports.providers = registry.entries;
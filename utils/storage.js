@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const createRegistry = require('./registry');
+
+/**
+ * Pluggable file storage.
+ *
+ * A backend is any object with async `save({ key, buffer, contentType })`,
+ * `read(key)` (resolving to a Buffer) and `remove(key)` methods. Keys are
+ * relative paths such as `drivers/<id>/license-<time>.pdf`. The active backend
+ * is chosen with the STORAGE_BACKEND environment variable (defaults to `local`
+ * outside production) or replaced at runtime with `setBackend`.
+ */
+
+// Resolve a key inside UPLOAD_DIR, refusing keys that point outside it
+const localPath = (key) => {
+  const root = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+  const file = path.resolve(root, key);
+
+  if (!file.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key ${key}`);
+  }
+
+  return file;
+};
+
+// Stores files on the local disk under UPLOAD_DIR
+const localBackend = {
+  save: async ({ key, buffer }) => {
+    const file = localPath(key);
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer);
+
+    return { key, size: buffer.length };
+  },
+  read: async (key) => fs.promises.readFile(localPath(key)),
+  remove: async (key) => {
+    await fs.promises.rm(localPath(key), { force: true });
+  }
+};
+
+// Keeps files in memory, for tests
+const memoryBackend = {
+  files: new Map(),
+  save: async ({ key, buffer, contentType }) => {
+    memoryBackend.files.set(key, { buffer, contentType, savedAt: new Date() });
+    return { key, size: buffer.length };
+  },
+  read: async (key) => {
+    const file = memoryBackend.files.get(key);
+
+    if (!file) {
+      throw new Error(`File not found: ${key}`);
+    }
+
+    return file.buffer;
+  },
+  remove: async (key) => {
+    memoryBackend.files.delete(key);
+  },
+  clear: () => {
+    memoryBackend.files.clear();
+  }
+};
+
+const registry = createRegistry({
+  label: 'storage backend',
+  envVar: 'STORAGE_BACKEND',
+  methods: ['save', 'read', 'remove'],
+  entries: {
+    local: localBackend,
+    memory: memoryBackend
+  },
+  fallback: 'local'
+});
+
+/**
+ * Register a named storage backend
+ * @param {String} name - Backend name used in STORAGE_BACKEND
+ * @param {Object} backend - Object with async save, read and remove methods
+ */
+exports.registerBackend = registry.register;
+
+/**
+ * Set the active storage backend
+ * @param {String|Object} backend - Registered backend name or backend object
+ */
+exports.setBackend = registry.set;
+
+/**
+ * Get the active storage backend
+ * @returns {Object} - Backend object
+ */
+exports.getBackend = registry.get;
+
+/**
+ * Save a file through the active backend
+ * @param {Object} file - {key, buffer, contentType}
+ * @returns {Promise} - {key, size}
+ */
+exports.saveFile = (file) => exports.getBackend().save(file);
+
+/**
+ * Read a file through the active backend
+ * @param {String} key - Storage key
+ * @returns {Promise} - File contents as a Buffer
+ */
+exports.readFile = (key) => exports.getBackend().read(key);
+
+/**
+ * Remove a file through the active backend
+ * @param {String} key - Storage key
+ * @returns {Promise}
+ */
+exports.removeFile = (key) => exports.getBackend().remove(key);
+
+exports.backends = registry.entries;